@@ -1,11 +1,18 @@
+const path = require('path');
 const express = require('express');
 const config = require('./src/config');
-const { connectToWhatsApp } = require('./src/whatsapp');
+const { restoreSessions, getHealth } = require('./src/sessions');
+const { startOutbox } = require('./src/webhookOutbox');
+const { startMediaCleanup } = require('./src/mediaStore');
+const { startQueue } = require('./src/outboundQueue');
 const apiRouter = require('./src/api');
+const { attachEventSocket } = require('./src/eventSocket');
+const { checkAuthConfig } = require('./src/auth');
+const { handleApiError } = require('./src/apiErrors');
 
 const app = express();
 
-app.use(express.json()); // For parsing application/json
+app.use(express.json({ limit: config.jsonBodyLimit })); // For parsing application/json
 
 // Webhook test endpoint (to demonstrate webhook receiving)
 app.post('/webhook-test', (req, res) => {
@@ -13,9 +20,27 @@ app.post('/webhook-test', (req, res) => {
     res.sendStatus(200);
 });
 
+// Delivery log viewer, reads /api/webhooks/deliveries with the API key entered on the page
+app.get('/webhook-test', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'webhook-log.html'));
+});
+
+// Health check for load balancers and monitoring, no API key needed
+app.get('/health', (req, res) => {
+    res.json(getHealth());
+});
+
 app.use('/api', apiRouter);
+// Invalid JSON bodies and unexpected exceptions are answered as { error, code } too
+app.use('/api', handleApiError);
 
-app.listen(config.port, async () => {
+const server = app.listen(config.port, async () => {
     console.log(`Server running on port ${config.port}`);
-    await connectToWhatsApp();
+    checkAuthConfig();
+    startOutbox();
+    startMediaCleanup();
+    startQueue();
+    await restoreSessions();
 });
+
+attachEventSocket(server);
@@ -0,0 +1,97 @@
+/**
+ * Import Baileys multi-file auth folders into the auth store selected with AUTH_STORE
+ *
+ *   AUTH_STORE=sqlite npm run migrate:auth-state
+ *   AUTH_STORE=sqlite npm run migrate:auth-state -- --session sales --dir ./sessions/sales --force
+ *
+ * Without options the default session (SESSION_PATH) and every folder in SESSIONS_DIR are imported.
+ * Sessions that already have credentials in the store are skipped unless --force is given.
+ * The folders are left in place, remove them once the sessions connect from the new store.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config');
+const { createAuthStore, importAuthFolder } = require('../src/authState');
+const { isValidSessionId } = require('../src/sessions');
+
+/**
+ * Parse the command line options
+ * @param {Array<string>} args - process.argv without node and the script
+ * @returns {{ session: string|null, dir: string|null, force: boolean }}
+ */
+function parseArgs(args) {
+    const options = { session: null, dir: null, force: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--session') options.session = args[++i];
+        else if (args[i] === '--dir') options.dir = args[++i];
+        else if (args[i] === '--force') options.force = true;
+        else throw new Error(`Unknown option ${args[i]}`);
+    }
+    return options;
+}
+
+/**
+ * Folders to import, keyed by session ID
+ * @param {Object} options - Parsed options
+ * @returns {Array<{ id: string, dir: string }>}
+ */
+function findFolders(options) {
+    if (options.session || options.dir) {
+        const id = options.session || config.defaultSessionId;
+        const dir = options.dir || (id === config.defaultSessionId ? config.sessionPath : path.join(config.sessionsDir, id));
+        return [{ id, dir }];
+    }
+
+    const folders = [{ id: config.defaultSessionId, dir: config.sessionPath }];
+    if (fs.existsSync(config.sessionsDir)) {
+        for (const entry of fs.readdirSync(config.sessionsDir, { withFileTypes: true })) {
+            if (entry.isDirectory() && isValidSessionId(entry.name) && entry.name !== config.defaultSessionId) {
+                folders.push({ id: entry.name, dir: path.join(config.sessionsDir, entry.name) });
+            }
+        }
+    }
+    return folders;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (config.authStore === 'multi-file' || config.authStore === 'memory') {
+        throw new Error(`AUTH_STORE is "${config.authStore}", set it to the store to import into (e.g. AUTH_STORE=sqlite)`);
+    }
+    if (options.session && !isValidSessionId(options.session)) {
+        throw new Error(`Invalid session ID "${options.session}"`);
+    }
+
+    let migrated = 0;
+    for (const { id, dir } of findFolders(options)) {
+        if (!fs.existsSync(path.join(dir, 'creds.json'))) {
+            console.log(`[${id}] ⚠ No creds.json in ${dir}, skipped`);
+            continue;
+        }
+
+        const store = createAuthStore(id, dir);
+        const existing = await store.get('creds', ['creds']);
+        if (existing.creds && !options.force) {
+            console.log(`[${id}] ⚠ Already has credentials in the ${config.authStore} store, skipped (use --force to overwrite)`);
+            continue;
+        }
+
+        if (options.force) await store.clear();
+        const count = await importAuthFolder(store, dir);
+        console.log(`[${id}] ✓ Imported ${count} entries from ${dir}`);
+        migrated++;
+    }
+
+    console.log(`✓ ${migrated} session(s) migrated to the ${config.authStore} store`);
+    if (migrated > 0) {
+        console.log('The auth folders were left in place, remove them once the sessions connect.');
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('✗ Migration failed:', error.message);
+        process.exit(1);
+    });
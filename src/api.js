@@ -1,69 +1,358 @@
+const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
+const multer = require('multer');
 const qrcode = require('qrcode');
-const { getSocket, getQrCode } = require('./whatsapp');
+const {
+    isValidSessionId,
+    createSession,
+    getSession,
+    getDefaultSession,
+    describeSession,
+    listSessions,
+    logoutSession,
+    restartSession,
+    deleteSession
+} = require('./sessions');
+const { ConnectionStateError, requestPairingCode } = require('./whatsapp');
+const {
+    SubscriptionInputError,
+    listSubscriptions,
+    getSubscription,
+    createSubscription,
+    updateSubscription,
+    rotateSecret,
+    deleteSubscription
+} = require('./webhookSubscriptions');
+const {
+    enqueueWebhook,
+    getOutboxStats,
+    listDeliveryLog,
+    listDeadLetters,
+    replayDeadLetter,
+    replayAllDeadLetters,
+    deleteDeadLetter
+} = require('./webhookOutbox');
+const { MEDIA_TYPES, MediaInputError, parseBoolean, prepareOutgoingMessage, messageFromFormFields } = require('./outboundMedia');
+const {
+    MessageInputError,
+    applyMentions,
+    buildReplyOptions,
+    buildPoll,
+    buildLocation,
+    buildContacts,
+    buildReaction,
+    buildEdit,
+    buildDelete
+} = require('./richMessages');
+const { ContactInputError, listContacts, getContactProfile } = require('./contacts');
+const { listCalls, getCall } = require('./calls');
+const { getMappingByLid, getMappingByPhone, fetchMappingFromAuthState, fetchMappingFromSocket } = require('./lidStore');
+const { RecipientError, normalizePhoneNumber, checkNumbers, resolveRecipient, resolveRecipients } = require('./recipients');
+const { enqueueMessage, getJob, listJobs, cancelJob, waitForJob } = require('./outboundQueue');
+const { getOrDownloadMedia, buildMediaUrl } = require('./inboundMedia');
+const { listChats, listMessages } = require('./messageStore');
+const { getMessageStatus } = require('./messageStatus');
+const { getPollResults } = require('./polls');
+const {
+    GroupInputError,
+    listGroups,
+    getGroup,
+    createGroup,
+    updateParticipants,
+    updateSubject,
+    updateDescription,
+    updateSettings,
+    getInviteLink,
+    leaveGroup
+} = require('./groups');
+const {
+    RuleInputError,
+    listRules,
+    getRule,
+    replaceRules,
+    addRule,
+    updateRule,
+    deleteRule,
+    reloadRules,
+    listHits
+} = require('./autoResponder');
+const { createBroadcast, getBroadcast, listBroadcasts, cancelBroadcast } = require('./broadcasts');
+const { parseFilters, openStream } = require('./eventStream');
+const { createEnvelope } = require('./events');
+const { getEventSchemas } = require('./eventSchemas');
+const { authenticate, requireScope, keyHasScope, createApiKey, listApiKeys, revokeApiKey } = require('./auth');
+const { sendError, sendInputError } = require('./apiErrors');
+const { getOpenApiDocument, validateRequest } = require('./openapi');
 const config = require('./config');
 
 const router = express.Router();
 
-router.use(bodyParser.json());
+router.use(bodyParser.json({ limit: config.jsonBodyLimit }));
 
-// Send Message Endpoint
-router.post('/send-message', async (req, res) => {
-    const sock = getSocket();
-    const { jid, message } = req.body; // jid: '1234567890@s.whatsapp.net', message: { text: 'Hello' }
+// OpenAPI Document Endpoint, no API key needed so client generators can fetch it
+router.get('/openapi.json', (req, res) => {
+    res.json(getOpenApiDocument());
+});
+
+// API Docs Endpoint: renders /api/openapi.json
+router.get('/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'api-docs.html'));
+});
+
+router.use(authenticate);
 
-    if (!sock) {
-        return res.status(503).json({ error: 'WhatsApp client not initialized' });
+// Endpoints available for every session, mounted on /api (default session) and /api/sessions/:id
+const sessionRouter = express.Router({ mergeParams: true });
+
+// Resolve the session addressed by /api/sessions/:id
+function useSessionFromParams(req, res, next) {
+    const session = getSession(req.params.id);
+    if (!session) {
+        return sendError(res, 404, `Session ${req.params.id} not found`, { code: 'SESSION_NOT_FOUND' });
     }
+    req.waSession = session;
+    next();
+}
+
+// Resolve the default session for the legacy /api/* endpoints
+function useDefaultSession(req, res, next) {
+    req.waSession = getDefaultSession();
+    next();
+}
 
-    if (!jid || !message) {
-        return res.status(400).json({ error: 'Missing jid or message' });
+// Refuse requests for a session that has not been started
+function requireSession(req, res, next) {
+    if (!req.waSession) {
+        return sendError(res, 503, 'WhatsApp client not initialized');
     }
+    next();
+}
 
-    try {
-        // Handle Image Message Helpers
-        if (message.image) {
-            // If image is a string (URL or Base64)
-            if (typeof message.image === 'string') {
-                if (message.image.startsWith('http')) {
-                    message.image = { url: message.image };
-                } else {
-                    // Assume Base64
-                    // Remove data:image/xxx;base64, prefix if present
-                    const base64Data = message.image.replace(/^data:image\/\w+;base64,/, "");
-                    message.image = Buffer.from(base64Data, 'base64');
-                }
+// Refuse requests that need a live socket while the session is not connected
+function requireConnected(req, res, next) {
+    const session = req.waSession;
+    if (!session) {
+        return sendError(res, 503, 'WhatsApp client not initialized');
+    }
+    if (!session.sock || !session.sock.user) {
+        return sendError(res, 503, `Session ${session.id} is not connected`);
+    }
+    next();
+}
+
+// Parse multipart/form-data uploads (one file per media type), JSON requests pass through untouched
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: config.mediaMaxBytes } })
+    .fields(MEDIA_TYPES.map(name => ({ name, maxCount: 1 })));
+
+function handleUpload(req, res, next) {
+    upload(req, res, (err) => {
+        if (err) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return sendError(res, status, `Upload failed: ${err.message}`);
+        }
+        next();
+    });
+}
+
+/**
+ * Parse the optional sendAt field (ms timestamp or ISO date)
+ * @param {*} value - sendAt from the request
+ * @returns {number|null} - Timestamp in ms, null when not given, NaN when invalid
+ */
+function parseSendAt(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * Parse a list field that is an array in JSON requests and comma-separated in multipart forms
+ * @param {*} value - Array, "a,b" or undefined
+ * @returns {Array|undefined}
+ */
+function parseList(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (Array.isArray(value)) return value;
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve the recipient of a send request, "jid" may be a JID or a phone number ("phone" is an alias)
+ * @param {Object} req - Express request
+ * @returns {Promise<string>} - JID
+ */
+function resolveJid(req) {
+    const body = req.body || {};
+    return resolveRecipient(req.waSession, body.jid || body.phone);
+}
+
+/**
+ * Add the optional "replyTo" (stored message ID) and "mentions" (phone numbers) of a request
+ * @param {Object} req - Express request
+ * @param {string} jid - Recipient JID
+ * @param {Object} content - Message content (modified in place)
+ * @returns {{ jid: string, content: Object, sendOptions: Object }}
+ */
+function withReplyAndMentions(req, jid, content) {
+    const body = req.body || {};
+    applyMentions(req.waSession, jid, content, parseList(body.mentions));
+    return { jid, content, sendOptions: buildReplyOptions(req.waSession.id, body.replyTo) };
+}
+
+/**
+ * Wrap a send endpoint: the builder turns the request into { jid, content, sendOptions }, the
+ * message then goes through the rate-limited outbound queue. By default the request waits for the
+ * send to finish; with "async": true or a future "sendAt" it returns the job ID right away
+ * @param {Function} build - async (req) => { jid, content, sendOptions }
+ * @returns {Function} - Express handler
+ */
+function sendHandler(build) {
+    return async (req, res) => {
+        const session = req.waSession;
+        const body = req.body || {};
+
+        if (!session) {
+            return sendError(res, 503, 'WhatsApp client not initialized');
+        }
+
+        if (session.stopped) {
+            return sendError(res, 503, `Session ${session.id} is ${session.status}`);
+        }
+
+        const sendAt = parseSendAt(body.sendAt);
+        if (Number.isNaN(sendAt)) {
+            return sendError(res, 400, 'sendAt must be a timestamp in ms or an ISO date');
+        }
+
+        try {
+            const { jid, content, sendOptions } = await build(req);
+            const job = enqueueMessage(session.id, jid, content, { sendAt, sendOptions });
+
+            if (parseBoolean(body.async) || (sendAt && sendAt > Date.now())) {
+                return res.status(202).json({ success: true, job });
+            }
+
+            const outcome = await waitForJob(job.id, config.queueWaitTimeoutMs);
+            if (!outcome) {
+                // Still queued (rate limit or reconnecting), the caller can poll the job
+                return res.status(202).json({ success: true, job: getJob(job.id) });
+            }
+            if (outcome.job.status !== 'sent') {
+                return sendError(res, 500, 'Failed to send message', { code: 'SEND_FAILED', details: outcome.job.error, job: outcome.job });
             }
+
+            res.json({ success: true, result: outcome.result, job: outcome.job });
+        } catch (error) {
+            if (error instanceof MediaInputError || error instanceof MessageInputError || error instanceof RecipientError) {
+                return sendInputError(res, error);
+            }
+            console.error('Error sending message:', error);
+            sendError(res, 500, 'Failed to send message', { details: error.message });
         }
+    };
+}
 
-        const result = await sock.sendMessage(jid, message);
-        res.json({ success: true, result });
-    } catch (error) {
-        console.error('Error sending message:', error);
-        res.status(500).json({ error: 'Failed to send message', details: error.message });
+// Send Message Endpoint
+// jid: '1234567890@s.whatsapp.net', message: { text: 'Hello' }, optional replyTo and mentions
+sessionRouter.post('/send-message', requireScope('send'), handleUpload, validateRequest('sendMessage'), sendHandler(async (req) => {
+    const body = req.body || {};
+    // Multipart requests carry the message as form fields next to the uploaded file
+    const message = req.is('multipart/form-data') ? messageFromFormFields(body) : body.message;
+    const hasUpload = req.files && Object.keys(req.files).length > 0;
+
+    if (!(body.jid || body.phone) || (!message && !hasUpload)) {
+        throw new MessageInputError('Missing jid or message');
     }
+
+    const jid = await resolveJid(req);
+    // Handle Media Message Helpers (URL, base64, data URI or uploaded file)
+    const content = await prepareOutgoingMessage(message || {}, req.files);
+    return withReplyAndMentions(req, jid, content);
+}));
+
+// Send Poll Endpoint: { jid, name, options: ['A', 'B'], selectableCount }
+sessionRouter.post('/send-poll', requireScope('send'), validateRequest('sendPoll'), sendHandler(async (req) => {
+    const body = req.body || {};
+    return withReplyAndMentions(req, await resolveJid(req), buildPoll(body));
+}));
+
+// Send Location Endpoint: { jid, latitude, longitude, name, address }
+sessionRouter.post('/send-location', requireScope('send'), validateRequest('sendLocation'), sendHandler(async (req) => {
+    const body = req.body || {};
+    return withReplyAndMentions(req, await resolveJid(req), buildLocation(body));
+}));
+
+// Send Contact Card Endpoint: { jid, contacts: [{ name, phone, organization, email }] }
+sessionRouter.post('/send-contact', requireScope('send'), validateRequest('sendContact'), sendHandler(async (req) => {
+    const body = req.body || {};
+    return withReplyAndMentions(req, await resolveJid(req), buildContacts(body.contacts));
+}));
+
+// React Endpoint: { emoji: '👍' }, an empty emoji removes the reaction
+sessionRouter.post('/messages/:messageId/react', requireScope('send'), validateRequest('reactToMessage'), sendHandler(async (req) => {
+    return buildReaction(req.waSession.id, req.params.messageId, (req.body || {}).emoji);
+}));
+
+// Edit Endpoint: { text }, only for messages sent by this session
+sessionRouter.post('/messages/:messageId/edit', requireScope('send'), validateRequest('editMessage'), sendHandler(async (req) => {
+    return buildEdit(req.waSession.id, req.params.messageId, (req.body || {}).text);
+}));
+
+// Delete For Everyone Endpoint
+sessionRouter.delete('/messages/:messageId', requireScope('send'), sendHandler(async (req) => {
+    return buildDelete(req.waSession.id, req.params.messageId);
+}));
+
+// List Jobs Endpoint
+sessionRouter.get('/jobs', requireScope('send'), requireSession, validateRequest('listJobs'), (req, res) => {
+    const { status, limit } = req.query;
+    res.json({ jobs: listJobs(req.waSession.id, { status, limit }) });
+});
+
+// Job Status Endpoint
+sessionRouter.get('/jobs/:jobId', requireScope('send'), requireSession, (req, res) => {
+    const job = getJob(req.params.jobId);
+    if (!job || job.sessionId !== req.waSession.id) {
+        return sendError(res, 404, `Job ${req.params.jobId} not found`);
+    }
+    res.json(job);
+});
+
+// Cancel Job Endpoint
+sessionRouter.delete('/jobs/:jobId', requireScope('send'), requireSession, (req, res) => {
+    const job = getJob(req.params.jobId);
+    if (!job || job.sessionId !== req.waSession.id) {
+        return sendError(res, 404, `Job ${req.params.jobId} not found`);
+    }
+    if (!cancelJob(job.id)) {
+        return sendError(res, 409, `Job ${job.id} is ${job.status} and can no longer be cancelled`);
+    }
+    res.json({ success: true, job: getJob(job.id) });
 });
 
 // Status Endpoint
-router.get('/status', (req, res) => {
-    const sock = getSocket();
-    const qr = getQrCode();
-    
+sessionRouter.get('/status', requireScope('read-status'), (req, res) => {
+    const session = req.waSession;
+    const sock = session && session.sock;
+    const qr = session && session.qrCodeData;
+
     if (sock && sock.user) {
         res.json({ status: 'connected', user: sock.user });
     } else if (qr) {
         res.json({ status: 'scan_qr', qr_code: qr });
+    } else if (session && session.stopped) {
+        res.json({ status: session.status });
     } else {
         res.json({ status: 'connecting' });
     }
 });
 
 // QR Code HTML Endpoint
-router.get('/qr', async (req, res) => {
-    const qr = getQrCode();
+sessionRouter.get('/qr', requireScope('admin-qr'), async (req, res) => {
+    const session = req.waSession;
+    const qr = session && session.qrCodeData;
     if (!qr) {
-        const sock = getSocket();
+        const sock = session && session.sock;
         if (sock && sock.user) {
             return res.send('<html><body><h1>Already Connected</h1></body></html>');
         }
@@ -74,8 +363,727 @@ router.get('/qr', async (req, res) => {
         const qrImage = await qrcode.toDataURL(qr);
         res.send(`<html><body><h1>Scan QR Code</h1><img src="${qrImage}" /></body></html>`);
     } catch (err) {
-        res.status(500).send('Error generating QR code');
+        sendError(res, 500, 'Error generating QR code', { details: err.message });
     }
 });
 
+// Pairing Code Endpoint: log in by entering a code on the phone instead of scanning the QR
+sessionRouter.post('/pairing-code', requireScope('admin-qr'), validateRequest('requestPairingCode'), requireSession, async (req, res) => {
+    try {
+        const phone = normalizePhoneNumber((req.body || {}).phone);
+        const code = await requestPairingCode(req.waSession, phone);
+        res.json({ success: true, phone, code });
+    } catch (error) {
+        if (error instanceof RecipientError || error instanceof ConnectionStateError) {
+            return sendInputError(res, error);
+        }
+        console.error('Error requesting pairing code:', error);
+        sendError(res, 500, 'Failed to request pairing code', { details: error.message });
+    }
+});
+
+// Logout Endpoint: unlinks the device, removes the credentials and starts over with a fresh QR
+sessionRouter.post('/logout', requireScope('admin'), requireSession, async (req, res) => {
+    try {
+        const session = await logoutSession(req.waSession.id);
+        res.json({ success: true, session: describeSession(session) });
+    } catch (error) {
+        console.error('Error logging out session:', error);
+        sendError(res, 500, 'Failed to log out session', { details: error.message });
+    }
+});
+
+// Restart Endpoint: reconnects with the same credentials (also starts a stopped session)
+sessionRouter.post('/restart', requireScope('admin'), requireSession, async (req, res) => {
+    try {
+        const session = await restartSession(req.waSession.id);
+        res.json({ success: true, session: describeSession(session) });
+    } catch (error) {
+        console.error('Error restarting session:', error);
+        sendError(res, 500, 'Failed to restart session', { details: error.message });
+    }
+});
+
+// Message Status Endpoint: latest delivery state of a sent message
+sessionRouter.get('/messages/:messageId/status', requireScope('send'), requireSession, (req, res) => {
+    const status = getMessageStatus(req.waSession.id, req.params.messageId);
+    if (!status) {
+        return sendError(res, 404, `No status tracked for message ${req.params.messageId}`);
+    }
+    res.json(status);
+});
+
+// Create Broadcast Endpoint
+// Body: { name, recipients: [{ jid or phone, variables }], message: { text: 'Hi {{name}}' }, sendAt, minDelayMs, maxDelayMs }
+// Recipients that are malformed or not on WhatsApp are skipped and listed in "rejected"
+sessionRouter.post('/broadcasts', requireScope('send'), validateRequest('createBroadcast'), async (req, res) => {
+    const session = req.waSession;
+    const { name, recipients, message, minDelayMs, maxDelayMs } = req.body;
+
+    if (!session) {
+        return sendError(res, 503, 'WhatsApp client not initialized');
+    }
+
+    const sendAt = parseSendAt(req.body.sendAt);
+    if (Number.isNaN(sendAt)) {
+        return sendError(res, 400, 'sendAt must be a timestamp in ms or an ISO date');
+    }
+
+    try {
+        const resolved = await resolveRecipients(session, recipients.map(r => r.jid || r.phone));
+        const rejected = resolved
+            .map((r, index) => r.error ? { index, input: r.input, error: r.error, code: r.code } : null)
+            .filter(Boolean);
+        const accepted = recipients
+            .map((recipient, index) => ({ jid: resolved[index].jid, variables: recipient.variables }))
+            .filter(recipient => recipient.jid);
+
+        if (accepted.length === 0) {
+            return sendError(res, 422, 'None of the recipients can receive WhatsApp messages', { code: 'NO_VALID_RECIPIENTS', rejected });
+        }
+
+        // Media is prepared once and shared by every recipient
+        const content = await prepareOutgoingMessage(message);
+        const broadcast = createBroadcast(session.id, { name, recipients: accepted, content, sendAt, minDelayMs, maxDelayMs });
+        res.status(202).json({ success: true, broadcast, rejected });
+    } catch (error) {
+        if (error instanceof MediaInputError) {
+            return sendInputError(res, error);
+        }
+        console.error('Error creating broadcast:', error);
+        sendError(res, 500, 'Failed to create broadcast', { details: error.message });
+    }
+});
+
+// List Broadcasts Endpoint
+sessionRouter.get('/broadcasts', requireScope('send'), requireSession, validateRequest('listBroadcasts'), (req, res) => {
+    res.json({ broadcasts: listBroadcasts(req.waSession.id, req.query.limit) });
+});
+
+// Broadcast Progress Endpoint
+sessionRouter.get('/broadcasts/:broadcastId', requireScope('send'), requireSession, (req, res) => {
+    const broadcast = getBroadcast(req.params.broadcastId);
+    if (!broadcast || broadcast.sessionId !== req.waSession.id) {
+        return sendError(res, 404, `Broadcast ${req.params.broadcastId} not found`);
+    }
+    res.json(broadcast);
+});
+
+// Broadcast Recipients Endpoint (one job per recipient)
+sessionRouter.get('/broadcasts/:broadcastId/jobs', requireScope('send'), requireSession, validateRequest('listBroadcastJobs'), (req, res) => {
+    const broadcast = getBroadcast(req.params.broadcastId);
+    if (!broadcast || broadcast.sessionId !== req.waSession.id) {
+        return sendError(res, 404, `Broadcast ${req.params.broadcastId} not found`);
+    }
+    const { status, limit } = req.query;
+    res.json({ jobs: listJobs(req.waSession.id, { status, broadcastId: broadcast.id, limit }) });
+});
+
+// Cancel Broadcast Endpoint
+sessionRouter.post('/broadcasts/:broadcastId/cancel', requireScope('send'), requireSession, (req, res) => {
+    const broadcast = getBroadcast(req.params.broadcastId);
+    if (!broadcast || broadcast.sessionId !== req.waSession.id) {
+        return sendError(res, 404, `Broadcast ${req.params.broadcastId} not found`);
+    }
+    res.json({ success: true, broadcast: cancelBroadcast(broadcast.id) });
+});
+
+/**
+ * Send a stored media file as the response
+ * @param {Object} res - Express response
+ * @param {Object} media - { meta, stream } from the media store
+ */
+function sendMedia(res, media) {
+    const { meta, stream } = media;
+    res.set('Content-Type', meta.mimetype || 'application/octet-stream');
+    res.set('Content-Length', String(meta.size));
+    if (meta.fileName) {
+        res.attachment(meta.fileName);
+    }
+    stream.pipe(res);
+}
+
+// Media Endpoint: serves stored media, downloads it on demand when only the reference is left
+sessionRouter.get('/media/:messageId', requireScope('read-media'), requireSession, async (req, res) => {
+    try {
+        const media = await getOrDownloadMedia(req.waSession, req.params.messageId);
+        if (!media) {
+            return sendError(res, 404, `No media found for message ${req.params.messageId}`);
+        }
+        sendMedia(res, media);
+    } catch (error) {
+        console.error('Error downloading media:', error);
+        sendError(res, 502, 'Failed to download media', { code: 'MEDIA_DOWNLOAD_FAILED', details: error.message });
+    }
+});
+
+// Media Download Endpoint: (re)download media from WhatsApp, e.g. after it expired from the store
+sessionRouter.post('/media/:messageId/download', requireScope('read-media'), requireSession, async (req, res) => {
+    try {
+        const media = await getOrDownloadMedia(req.waSession, req.params.messageId, true);
+        if (!media) {
+            return sendError(res, 404, `Message ${req.params.messageId} is unknown or has no media`);
+        }
+        media.stream.destroy();
+        res.json({ success: true, media: media.meta, url: buildMediaUrl(req.waSession.id, req.params.messageId) });
+    } catch (error) {
+        console.error('Error downloading media:', error);
+        sendError(res, 502, 'Failed to download media', { code: 'MEDIA_DOWNLOAD_FAILED', details: error.message });
+    }
+});
+
+/**
+ * Accept a chat JID or a bare phone number in the URL
+ * @param {string} value - e.g. "628123456789" or "628123456789@s.whatsapp.net"
+ * @returns {string} - Chat JID
+ */
+function toChatJid(value) {
+    return value.includes('@') ? value : `${value}@s.whatsapp.net`;
+}
+
+// List Chats Endpoint (cursor pagination: pass nextCursor as ?before=)
+sessionRouter.get('/chats', requireScope('read-messages'), requireSession, validateRequest('listChats'), (req, res) => {
+    try {
+        res.json(listChats(req.waSession.id, { before: req.query.before, limit: req.query.limit }));
+    } catch (error) {
+        console.error('Error listing chats:', error);
+        sendError(res, 500, 'Failed to list chats', { details: error.message });
+    }
+});
+
+// Chat History Endpoint, newest first (cursor pagination: pass nextCursor as ?before=)
+sessionRouter.get('/chats/:jid/messages', requireScope('read-messages'), requireSession, validateRequest('listChatMessages'), (req, res) => {
+    try {
+        const jid = toChatJid(req.params.jid);
+        const page = listMessages(req.waSession.id, jid, { before: req.query.before, limit: req.query.limit });
+        res.json({ jid, ...page });
+    } catch (error) {
+        console.error('Error listing messages:', error);
+        sendError(res, 500, 'Failed to list messages', { details: error.message });
+    }
+});
+
+// Call Log Endpoint, newest first (?from= caller phone number, pass nextOffset as ?offset=)
+sessionRouter.get('/calls', requireScope('read-messages'), requireSession, validateRequest('listCalls'), (req, res) => {
+    try {
+        const { from, limit, offset } = req.query;
+        res.json(listCalls(req.waSession.id, { from: from ? normalizePhoneNumber(from) : null, limit, offset }));
+    } catch (error) {
+        if (error instanceof RecipientError) {
+            return sendInputError(res, error);
+        }
+        console.error('Error listing calls:', error);
+        sendError(res, 500, 'Failed to list calls', { details: error.message });
+    }
+});
+
+// Call Details Endpoint
+sessionRouter.get('/calls/:callId', requireScope('read-messages'), requireSession, (req, res) => {
+    const call = getCall(req.waSession.id, req.params.callId);
+    if (!call) {
+        return sendError(res, 404, `Call ${req.params.callId} not found`);
+    }
+    res.json(call);
+});
+
+// List Contacts Endpoint, alphabetical (?search= matches names and phone numbers, pass nextOffset as ?offset=)
+sessionRouter.get('/contacts', requireScope('read-messages'), requireSession, validateRequest('listContacts'), (req, res) => {
+    try {
+        const { search, limit, offset } = req.query;
+        res.json(listContacts(req.waSession.id, { search, limit, offset }));
+    } catch (error) {
+        console.error('Error listing contacts:', error);
+        sendError(res, 500, 'Failed to list contacts', { details: error.message });
+    }
+});
+
+// Contact Profile Endpoint: stored names plus profile picture, about text and business profile
+sessionRouter.get('/contacts/:jid', requireScope('read-messages'), requireConnected, async (req, res) => {
+    try {
+        res.json(await getContactProfile(req.waSession, req.params.jid));
+    } catch (error) {
+        if (error instanceof ContactInputError) {
+            return sendInputError(res, error);
+        }
+        console.error('Error fetching contact profile:', error);
+        sendError(res, 500, 'Failed to fetch contact profile', { details: error.message });
+    }
+});
+
+// Check Numbers Endpoint: { numbers: ['0812...', '+62812...'] }, reports which are on WhatsApp
+sessionRouter.post('/contacts/check', requireScope('send'), validateRequest('checkNumbers'), requireConnected, async (req, res) => {
+    try {
+        res.json({ results: await checkNumbers(req.waSession, req.body.numbers) });
+    } catch (error) {
+        console.error('Error checking numbers:', error);
+        sendError(res, 500, 'Failed to check numbers', { details: error.message });
+    }
+});
+
+// LID Lookup Endpoint: phone number of a LID ("123...@lid" or "123...")
+sessionRouter.get('/lid/:lid', requireScope('read-messages'), requireSession, async (req, res) => {
+    const session = req.waSession;
+    const lid = req.params.lid.replace(/@lid$/, '');
+    if (!/^\d+$/.test(lid)) {
+        return sendError(res, 400, `Invalid LID: ${req.params.lid}`, { code: 'INVALID_JID' });
+    }
+
+    // Not stored yet: try the auth state, then the signal repository of a connected socket
+    if (!getMappingByLid(session.id, lid)
+        && !(await fetchMappingFromAuthState(session.lidCache, `${lid}@lid`))
+        && session.sock && session.sock.user) {
+        await fetchMappingFromSocket(session.lidCache, session.sock, `${lid}@lid`);
+    }
+
+    const mapping = getMappingByLid(session.id, lid);
+    if (!mapping) {
+        return sendError(res, 404, `No phone number known for LID ${lid}`);
+    }
+    res.json(mapping);
+});
+
+// Phone Lookup Endpoint: LID of a phone number (local or E.164 format)
+sessionRouter.get('/phone/:number/lid', requireScope('read-messages'), requireSession, async (req, res) => {
+    const session = req.waSession;
+    let phone;
+    try {
+        phone = normalizePhoneNumber(req.params.number.replace('@s.whatsapp.net', ''));
+    } catch (error) {
+        return sendInputError(res, error);
+    }
+
+    if (!getMappingByPhone(session.id, phone)
+        && !(await fetchMappingFromAuthState(session.lidCache, `${phone}@s.whatsapp.net`))
+        && session.sock && session.sock.user) {
+        await fetchMappingFromSocket(session.lidCache, session.sock, `${phone}@s.whatsapp.net`);
+    }
+
+    const mapping = getMappingByPhone(session.id, phone);
+    if (!mapping) {
+        return sendError(res, 404, `No LID known for ${phone}`);
+    }
+    res.json(mapping);
+});
+
+// Poll Results Endpoint: votes per option and per voter
+sessionRouter.get('/polls/:messageId/results', requireScope('read-messages'), requireSession, (req, res) => {
+    const results = getPollResults(req.waSession.id, req.params.messageId);
+    if (!results) {
+        return sendError(res, 404, `Poll ${req.params.messageId} not found in the message store`);
+    }
+    res.json(results);
+});
+
+/**
+ * Wrap a group endpoint: runs the handler and maps Baileys / input errors to HTTP statuses
+ * @param {string} action - Used in the error message ("Failed to <action>")
+ * @param {Function} handler - async (req, res) => response body
+ * @returns {Function} - Express handler
+ */
+function groupHandler(action, handler) {
+    return async (req, res) => {
+        try {
+            res.json(await handler(req, res));
+        } catch (error) {
+            if (error instanceof GroupInputError) {
+                return sendInputError(res, error);
+            }
+            // Baileys rejects with Boom errors, e.g. 403 when the session is not an admin, 404 for an unknown group
+            const status = error.output && error.output.statusCode;
+            if (status >= 400 && status < 500) {
+                return sendError(res, status, `Failed to ${action}`, { code: 'WHATSAPP_ERROR', details: error.message });
+            }
+            console.error(`Error trying to ${action}:`, error);
+            sendError(res, 500, `Failed to ${action}`, { details: error.message });
+        }
+    };
+}
+
+// List Groups Endpoint
+sessionRouter.get('/groups', requireScope('groups'), requireConnected, groupHandler('list groups', async (req) => {
+    return { groups: await listGroups(req.waSession) };
+}));
+
+// Create Group Endpoint
+sessionRouter.post('/groups', requireScope('groups'), validateRequest('createGroup'), requireConnected, groupHandler('create group', async (req, res) => {
+    const { subject, participants } = req.body || {};
+    res.status(201);
+    return createGroup(req.waSession, subject, participants);
+}));
+
+// Group Metadata Endpoint
+sessionRouter.get('/groups/:groupId', requireScope('groups'), requireConnected, groupHandler('get group', async (req) => {
+    return getGroup(req.waSession, req.params.groupId);
+}));
+
+// Update Group Endpoint: subject, description and settings in one request
+sessionRouter.patch('/groups/:groupId', requireScope('groups'), validateRequest('updateGroup'), requireConnected, groupHandler('update group', async (req) => {
+    const { subject, description, announcement, locked } = req.body || {};
+    const session = req.waSession;
+
+    if (subject === undefined && description === undefined && announcement === undefined && locked === undefined) {
+        throw new GroupInputError('Provide at least one of: subject, description, announcement, locked');
+    }
+    if (subject !== undefined) {
+        await updateSubject(session, req.params.groupId, subject);
+    }
+    if (description !== undefined) {
+        await updateDescription(session, req.params.groupId, description);
+    }
+    if (announcement !== undefined || locked !== undefined) {
+        await updateSettings(session, req.params.groupId, {
+            announcement: announcement !== undefined ? parseBoolean(announcement) : undefined,
+            locked: locked !== undefined ? parseBoolean(locked) : undefined
+        });
+    }
+    return getGroup(session, req.params.groupId);
+}));
+
+// Group Participants Endpoint: { action: add|remove|promote|demote, participants: [...] }
+sessionRouter.post('/groups/:groupId/participants', requireScope('groups'), validateRequest('updateGroupParticipants'), requireConnected, groupHandler('update participants', async (req) => {
+    const { action, participants } = req.body || {};
+    return { results: await updateParticipants(req.waSession, req.params.groupId, participants, action) };
+}));
+
+// Invite Link Endpoint
+sessionRouter.get('/groups/:groupId/invite', requireScope('groups'), requireConnected, groupHandler('get invite link', async (req) => {
+    return getInviteLink(req.waSession, req.params.groupId);
+}));
+
+// Revoke Invite Link Endpoint, returns the new link
+sessionRouter.post('/groups/:groupId/invite/revoke', requireScope('groups'), requireConnected, groupHandler('revoke invite link', async (req) => {
+    return getInviteLink(req.waSession, req.params.groupId, true);
+}));
+
+// Leave Group Endpoint
+sessionRouter.post('/groups/:groupId/leave', requireScope('groups'), requireConnected, groupHandler('leave group', async (req) => {
+    await leaveGroup(req.waSession, req.params.groupId);
+    return { success: true };
+}));
+
+// List Sessions Endpoint
+router.get('/sessions', requireScope('read-status'), (req, res) => {
+    res.json({ sessions: listSessions() });
+});
+
+// Create Session Endpoint (also restarts a logged out session)
+router.post('/sessions', requireScope('admin'), validateRequest('createSession'), async (req, res) => {
+    const { id } = req.body || {};
+
+    if (!isValidSessionId(id)) {
+        return sendError(res, 400, 'Missing or invalid session id (allowed: letters, digits, "-" and "_", max 64 chars)');
+    }
+
+    const existing = getSession(id);
+    if (existing && !existing.stopped) {
+        return sendError(res, 409, `Session ${id} already exists`, { session: describeSession(existing) });
+    }
+
+    try {
+        const session = await createSession(id);
+        res.status(existing ? 200 : 201).json({ success: true, session: describeSession(session) });
+    } catch (error) {
+        console.error('Error creating session:', error);
+        sendError(res, 500, 'Failed to create session', { details: error.message });
+    }
+});
+
+// Session Details Endpoint
+router.get('/sessions/:id', requireScope('read-status'), useSessionFromParams, (req, res) => {
+    res.json(describeSession(req.waSession));
+});
+
+// Delete Session Endpoint
+router.delete('/sessions/:id', requireScope('admin'), useSessionFromParams, async (req, res) => {
+    if (req.params.id === config.defaultSessionId) {
+        return sendError(res, 400, 'The default session cannot be deleted, use logout instead');
+    }
+
+    try {
+        await deleteSession(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        sendError(res, 500, 'Failed to delete session', { details: error.message });
+    }
+});
+
+/**
+ * Wrap a webhook subscription admin handler, invalid input is answered with its status code
+ * @param {Function} handler - (req, res) => void
+ * @returns {Function} - Express handler
+ */
+function subscriptionHandler(handler) {
+    return (req, res) => {
+        try {
+            handler(req, res);
+        } catch (error) {
+            if (error instanceof SubscriptionInputError) {
+                return sendInputError(res, error);
+            }
+            console.error('Error updating webhook subscription:', error);
+            sendError(res, 500, 'Failed to update webhook subscription', { details: error.message });
+        }
+    };
+}
+
+// List Webhook Subscriptions Endpoint (WEBHOOK_URL is listed as the read-only "config" subscription)
+router.get('/webhooks/subscriptions', requireScope('admin'), (req, res) => {
+    res.json({ subscriptions: listSubscriptions() });
+});
+
+// Create Webhook Subscription Endpoint (the secret is only returned once)
+router.post('/webhooks/subscriptions', requireScope('admin'), validateRequest('createWebhookSubscription'), subscriptionHandler((req, res) => {
+    res.status(201).json(createSubscription(req.body || {}));
+}));
+
+// Get Webhook Subscription Endpoint
+router.get('/webhooks/subscriptions/:id', requireScope('admin'), (req, res) => {
+    const subscription = getSubscription(req.params.id);
+    if (!subscription) {
+        return sendError(res, 404, `Subscription ${req.params.id} not found`);
+    }
+    res.json(subscription);
+});
+
+// Update Webhook Subscription Endpoint (url, name, events, groupsOnly, chats, sessions, enabled)
+router.patch('/webhooks/subscriptions/:id', requireScope('admin'), validateRequest('updateWebhookSubscription'), subscriptionHandler((req, res) => {
+    const subscription = updateSubscription(req.params.id, req.body || {});
+    if (!subscription) {
+        return sendError(res, 404, `Subscription ${req.params.id} not found`);
+    }
+    res.json(subscription);
+}));
+
+// Rotate Webhook Subscription Secret Endpoint (the new secret is only returned once)
+router.post('/webhooks/subscriptions/:id/rotate-secret', requireScope('admin'), subscriptionHandler((req, res) => {
+    const subscription = rotateSecret(req.params.id);
+    if (!subscription) {
+        return sendError(res, 404, `Subscription ${req.params.id} not found`);
+    }
+    res.json(subscription);
+}));
+
+// Test Webhook Subscription Endpoint: sends a webhook.test event to this subscription only
+router.post('/webhooks/subscriptions/:id/test', requireScope('admin'), (req, res) => {
+    const subscription = getSubscription(req.params.id);
+    if (!subscription) {
+        return sendError(res, 404, `Subscription ${req.params.id} not found`);
+    }
+
+    const deliveryId = enqueueWebhook(
+        subscription.url,
+        createEnvelope(null, 'webhook.test', { subscriptionId: subscription.id }),
+        subscription.id
+    );
+    res.status(202).json({ success: true, deliveryId });
+});
+
+// Delete Webhook Subscription Endpoint (its pending deliveries are dropped)
+router.delete('/webhooks/subscriptions/:id', requireScope('admin'), subscriptionHandler((req, res) => {
+    if (!deleteSubscription(req.params.id)) {
+        return sendError(res, 404, `Subscription ${req.params.id} not found`);
+    }
+    res.json({ success: true });
+}));
+
+// Webhook Delivery Log Endpoint (?subscriptionId=&deliveryId=&limit=, newest first)
+router.get('/webhooks/deliveries', requireScope('admin'), validateRequest('listWebhookDeliveries'), (req, res) => {
+    const { subscriptionId, deliveryId, limit } = req.query;
+    res.json({ deliveries: listDeliveryLog({ subscriptionId, deliveryId, limit }) });
+});
+
+// Webhook Outbox Status Endpoint
+router.get('/webhooks/outbox', requireScope('admin'), (req, res) => {
+    res.json(getOutboxStats());
+});
+
+// List Dead Letters Endpoint
+router.get('/webhooks/dead-letters', requireScope('admin'), (req, res) => {
+    res.json({ deadLetters: listDeadLetters() });
+});
+
+// Replay All Dead Letters Endpoint
+router.post('/webhooks/dead-letters/replay', requireScope('admin'), (req, res) => {
+    const count = replayAllDeadLetters();
+    res.json({ success: true, replayed: count });
+});
+
+// Replay Dead Letter Endpoint
+router.post('/webhooks/dead-letters/:id/replay', requireScope('admin'), (req, res) => {
+    if (!replayDeadLetter(req.params.id)) {
+        return sendError(res, 404, `Dead letter ${req.params.id} not found`);
+    }
+    res.json({ success: true });
+});
+
+// Delete Dead Letter Endpoint
+router.delete('/webhooks/dead-letters/:id', requireScope('admin'), (req, res) => {
+    if (!deleteDeadLetter(req.params.id)) {
+        return sendError(res, 404, `Dead letter ${req.params.id} not found`);
+    }
+    res.json({ success: true });
+});
+
+/**
+ * Wrap an auto-responder admin handler, invalid rules are answered with 400
+ * @param {Function} handler - (req, res) => void
+ * @returns {Function} - Express handler
+ */
+function ruleHandler(handler) {
+    return (req, res) => {
+        try {
+            handler(req, res);
+        } catch (error) {
+            if (error instanceof RuleInputError) {
+                return sendInputError(res, error);
+            }
+            console.error('Error updating auto-responder rules:', error);
+            sendError(res, 500, 'Failed to update auto-responder rules', { details: error.message });
+        }
+    };
+}
+
+// List Auto-Responder Rules Endpoint (in evaluation order, with hit counts)
+router.get('/auto-responder/rules', requireScope('admin'), (req, res) => {
+    res.json({ rules: listRules() });
+});
+
+// Replace Auto-Responder Rules Endpoint: { rules: [...] }
+router.put('/auto-responder/rules', requireScope('admin'), validateRequest('replaceRules'), ruleHandler((req, res) => {
+    res.json({ rules: replaceRules((req.body || {}).rules) });
+}));
+
+// Add Auto-Responder Rule Endpoint (?position= inserts it at that index instead of the end)
+router.post('/auto-responder/rules', requireScope('admin'), validateRequest('addRule'), ruleHandler((req, res) => {
+    res.status(201).json(addRule(req.body || {}, req.query.position));
+}));
+
+// Reload Auto-Responder Rules Endpoint, after editing the rules file by hand
+router.post('/auto-responder/reload', requireScope('admin'), ruleHandler((req, res) => {
+    res.json({ rules: reloadRules() });
+}));
+
+// Auto-Responder Rule Hits Endpoint (?ruleId=&limit=, newest first)
+router.get('/auto-responder/hits', requireScope('admin'), validateRequest('listRuleHits'), (req, res) => {
+    res.json({ hits: listHits({ ruleId: req.query.ruleId, limit: req.query.limit }) });
+});
+
+// Get Auto-Responder Rule Endpoint
+router.get('/auto-responder/rules/:id', requireScope('admin'), (req, res) => {
+    const rule = getRule(req.params.id);
+    if (!rule) {
+        return sendError(res, 404, `Rule ${req.params.id} not found`);
+    }
+    res.json(rule);
+});
+
+// Update Auto-Responder Rule Endpoint (replaces the rule, keeps its position)
+router.put('/auto-responder/rules/:id', requireScope('admin'), validateRequest('updateRule'), ruleHandler((req, res) => {
+    const rule = updateRule(req.params.id, req.body || {});
+    if (!rule) {
+        return sendError(res, 404, `Rule ${req.params.id} not found`);
+    }
+    res.json(rule);
+}));
+
+// Delete Auto-Responder Rule Endpoint
+router.delete('/auto-responder/rules/:id', requireScope('admin'), (req, res) => {
+    if (!deleteRule(req.params.id)) {
+        return sendError(res, 404, `Rule ${req.params.id} not found`);
+    }
+    res.json({ success: true });
+});
+
+/**
+ * Format a stream event as a Server-Sent Events message, the event ID is what EventSource sends back as Last-Event-ID
+ * @param {Object} entry - Event envelope plus its numeric stream id
+ * @returns {string}
+ */
+function formatServerSentEvent(entry) {
+    const id = entry.id !== null ? `id: ${entry.id}\n` : '';
+    return `${id}event: ${entry.event}\ndata: ${JSON.stringify(entry)}\n\n`;
+}
+
+// Event Stream Endpoint (Server-Sent Events): ?events=&sessions=&chats=&groupsOnly=, resumes after Last-Event-ID (or ?lastEventId=)
+router.get('/events', requireScope('events'), validateRequest('streamEvents'), (req, res) => {
+    let filters;
+    try {
+        filters = parseFilters(req.query);
+    } catch (error) {
+        if (error instanceof SubscriptionInputError) {
+            return sendInputError(res, error);
+        }
+        throw error;
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Keep nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const stream = openStream({
+        filters,
+        lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+        includeQr: keyHasScope(req.apiKey, 'admin-qr')
+    }, entry => res.write(formatServerSentEvent(entry)));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), config.eventStreamHeartbeatMs);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        stream.close();
+    });
+});
+
+// Event Schema Endpoint: JSON Schemas of every webhook and event stream payload
+router.get('/schema', (req, res) => {
+    res.json(getEventSchemas());
+});
+
+// Event Schema Endpoint for a single event
+router.get('/schema/:event', (req, res) => {
+    const { schemaVersion, events } = getEventSchemas();
+    if (!Object.hasOwn(events, req.params.event)) {
+        return sendError(res, 404, `No schema for event ${req.params.event}`);
+    }
+    res.json({ schemaVersion, schema: events[req.params.event] });
+});
+
+// List API Keys Endpoint
+router.get('/keys', requireScope('admin'), (req, res) => {
+    res.json({ keys: listApiKeys() });
+});
+
+// Create API Key Endpoint (the plain key is only returned once)
+router.post('/keys', requireScope('admin'), validateRequest('createApiKey'), (req, res) => {
+    const { name, scopes } = req.body;
+
+    try {
+        const key = createApiKey(name, scopes);
+        res.status(201).json({ success: true, key });
+    } catch (error) {
+        sendError(res, 400, error.message);
+    }
+});
+
+// Revoke API Key Endpoint
+router.delete('/keys/:id', requireScope('admin'), (req, res) => {
+    if (!revokeApiKey(req.params.id)) {
+        return sendError(res, 404, `API key ${req.params.id} not found (keys from API_KEYS can only be removed from the config)`);
+    }
+    res.json({ success: true });
+});
+
+router.use('/sessions/:id', useSessionFromParams, sessionRouter);
+router.use(useDefaultSession, sessionRouter);
+
+// Unknown endpoints are answered in the same format as every other error
+router.use((req, res) => {
+    sendError(res, 404, `No endpoint ${req.method} ${req.baseUrl}${req.path}`);
+});
+
 module.exports = router;
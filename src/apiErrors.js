@@ -0,0 +1,94 @@
+// Machine-readable codes of API error responses ({ error, code }), listed in the OpenAPI document
+const ERROR_CODES = {
+    VALIDATION_FAILED: 'The request does not match the OpenAPI document, or a field has an invalid value',
+    INVALID_JID: 'A phone number, JID, LID or group ID is malformed',
+    INVALID_MEDIA: 'Media is not an http(s) URL, a data URI or base64 data',
+    UNAUTHORIZED: 'Missing or invalid API key',
+    FORBIDDEN: 'The API key is missing the scope of the endpoint',
+    NOT_FOUND: 'The addressed resource (message, job, group, ...) does not exist',
+    SESSION_NOT_FOUND: 'No session with this ID',
+    CONFLICT: 'The request does not fit the current state (session exists, job already sent, ...)',
+    MEDIA_TOO_LARGE: 'Media or request body is larger than allowed',
+    NOT_ON_WHATSAPP: 'The recipient is not registered on WhatsApp',
+    NO_VALID_RECIPIENTS: 'None of the broadcast recipients can receive WhatsApp messages',
+    SEND_FAILED: 'WhatsApp did not accept the message',
+    MEDIA_FETCH_FAILED: 'Media could not be fetched from the given URL',
+    MEDIA_DOWNLOAD_FAILED: 'Media of a received message could not be downloaded from WhatsApp',
+    WHATSAPP_ERROR: 'WhatsApp rejected the request (not a group admin, unknown group, ...)',
+    NOT_CONNECTED: 'The session is not started or not connected to WhatsApp',
+    INTERNAL_ERROR: 'Unexpected error, see details'
+};
+
+// Code of errors that do not name a more specific one
+const DEFAULT_CODES = {
+    400: 'VALIDATION_FAILED',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'MEDIA_TOO_LARGE',
+    422: 'NOT_ON_WHATSAPP',
+    502: 'WHATSAPP_ERROR',
+    503: 'NOT_CONNECTED'
+};
+
+/**
+ * Code of an error that does not name a more specific one
+ * @param {number} statusCode - HTTP status
+ * @returns {string}
+ */
+function errorCode(statusCode) {
+    return DEFAULT_CODES[statusCode] || 'INTERNAL_ERROR';
+}
+
+/**
+ * Answer a request with an error
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Human readable error
+ * @param {Object} extra - Extra response fields (details, job, ...), code overrides the default code of the status
+ * @returns {Object} - Express response
+ */
+function sendError(res, statusCode, message, extra = {}) {
+    const code = errorCode(statusCode);
+    return res.status(statusCode).json({ error: message, code, ...extra });
+}
+
+/**
+ * Answer a request with an input error thrown by a module (RecipientError, MediaInputError, ...)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with statusCode and an optional code
+ * @returns {Object} - Express response
+ */
+function sendInputError(res, error) {
+    return sendError(res, error.statusCode, error.message, error.code ? { code: error.code } : {});
+}
+
+/**
+ * Error handler for /api, answers body parser errors and unexpected exceptions in the same format as the routes
+ * @param {Error} error - Thrown error
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function handleApiError(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, `Request body is not valid JSON: ${error.message}`);
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, `Request body is larger than ${error.limit} bytes`);
+    }
+    console.error('Unhandled API error:', error);
+    sendError(res, 500, 'Internal server error', { details: error.message });
+}
+
+module.exports = {
+    ERROR_CODES,
+    errorCode,
+    sendError,
+    sendInputError,
+    handleApiError
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('./config');
+const { createJsonStore } = require('./jsonStore');
+const { sendError } = require('./apiErrors');
+
+// Scopes an API key can be granted, '*' grants all of them
+const SCOPES = ['send', 'read-status', 'read-media', 'read-messages', 'groups', 'events', 'admin-qr', 'admin'];
+
+// Keys created through the admin API, only their SHA-256 hash is stored
+const keyStore = createJsonStore(path.join(config.dataDir, 'api-keys.json'), { keys: [] });
+
+/**
+ * Hash an API key for storage and comparison
+ * @param {string} key - Plain API key
+ * @returns {string} - Hex SHA-256 hash
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Parse API_KEYS ("name:key:scope|scope,name2:key2:*") into key records
+ * @param {string} value - Raw API_KEYS value
+ * @returns {Array<Object>} - Key records ({ id, name, hash, scopes, source })
+ */
+function parseConfigKeys(value) {
+    if (!value) return [];
+
+    return value.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [name, key, scopes] = entry.split(':');
+            if (!name || !key) {
+                console.error(`Ignoring malformed API_KEYS entry "${name || entry}" (expected name:key:scopes)`);
+                return null;
+            }
+            return {
+                id: `config:${name}`,
+                name,
+                hash: hashKey(key),
+                scopes: scopes ? scopes.split('|') : ['*'],
+                source: 'config'
+            };
+        })
+        .filter(Boolean);
+}
+
+const configKeys = parseConfigKeys(config.apiKeys);
+
+/**
+ * All keys accepted by the gateway (config + admin API)
+ * @returns {Array<Object>}
+ */
+function getAllKeys() {
+    return configKeys.concat(keyStore.data.keys);
+}
+
+/**
+ * Whether authentication is enforced (at least one API key exists)
+ * @returns {boolean}
+ */
+function isAuthEnabled() {
+    return getAllKeys().length > 0;
+}
+
+// Headers set by reverse proxies, a loopback connection carrying them is forwarded from elsewhere
+const FORWARDED_HEADERS = ['forwarded', 'x-forwarded-for', 'x-real-ip'];
+
+// Returned while no API key exists and the request is not from the gateway's own host
+const BOOTSTRAP_ERROR = 'No API keys configured: set API_KEYS, or create the first key with POST /api/keys from the gateway host';
+
+/**
+ * Whether a request comes straight from the gateway's own host (not through a reverse proxy)
+ * While no API key exists, only such requests are served, so the first key cannot be created remotely
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean}
+ */
+function isLocalRequest(req) {
+    const address = req.socket && req.socket.remoteAddress;
+    const isLoopback = address === '::1' || /^(::ffff:)?127\./.test(address || '');
+    return isLoopback && !FORWARDED_HEADERS.some(header => req.headers[header] !== undefined);
+}
+
+/**
+ * Find the key record matching a plain key
+ * @param {string} key - Plain API key from the request
+ * @returns {Object|null}
+ */
+function findKey(key) {
+    const hash = Buffer.from(hashKey(key), 'hex');
+    return getAllKeys().find(record => crypto.timingSafeEqual(hash, Buffer.from(record.hash, 'hex'))) || null;
+}
+
+/**
+ * Check whether a key record grants a scope
+ * @param {Object} record - Key record
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+function hasScope(record, scope) {
+    return record.scopes.includes('*') || record.scopes.includes(scope);
+}
+
+/**
+ * Plain API key of a request: the Bearer header, or ?apiKey= for clients that cannot set headers
+ * (EventSource and WebSocket in browsers), only accepted for event streams
+ * @param {http.IncomingMessage} req - Request
+ * @param {boolean} allowQuery - Whether ?apiKey= is accepted
+ * @returns {string|null}
+ */
+function getRequestKey(req, allowQuery) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+    if (!allowQuery) return null;
+
+    const key = new URL(req.url, 'http://localhost').searchParams.get('apiKey');
+    return key || null;
+}
+
+/**
+ * Keep ?apiKey= values out of the request log
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+function maskQueryKey(url) {
+    return url.replace(/([?&]apiKey=)[^&]*/, '$1***');
+}
+
+/**
+ * Express middleware: authenticate the Bearer API key and attach it as req.apiKey
+ * While no keys are configured only local requests pass, everything else is refused
+ */
+function authenticate(req, res, next) {
+    if (!isAuthEnabled()) {
+        if (isLocalRequest(req)) return next();
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendError(res, 401, BOOTSTRAP_ERROR);
+    }
+
+    const isEventStream = (req.headers.accept || '').includes('text/event-stream');
+    const key = getRequestKey(req, isEventStream);
+    const record = key ? findKey(key) : null;
+
+    if (!record) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendError(res, 401, 'Missing or invalid API key');
+    }
+
+    req.apiKey = record;
+    console.log(`[API] ${record.name} ${req.method} ${maskQueryKey(req.originalUrl)}`);
+    next();
+}
+
+/**
+ * Authenticate a WebSocket upgrade request (Bearer header or ?apiKey=) and check its scope
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {string} scope - Required scope
+ * @returns {{ apiKey: Object|null, statusCode: number|null, error: string|null }} - statusCode 401/403 when rejected
+ */
+function authenticateUpgrade(req, scope) {
+    if (!isAuthEnabled()) {
+        return isLocalRequest(req)
+            ? { apiKey: null, statusCode: null, error: null }
+            : { apiKey: null, statusCode: 401, error: BOOTSTRAP_ERROR };
+    }
+
+    const key = getRequestKey(req, true);
+    const record = key ? findKey(key) : null;
+    if (!record) {
+        return { apiKey: null, statusCode: 401, error: 'Missing or invalid API key' };
+    }
+    if (!hasScope(record, scope)) {
+        return { apiKey: record, statusCode: 403, error: `API key "${record.name}" is missing the "${scope}" scope` };
+    }
+    console.log(`[API] ${record.name} WebSocket ${maskQueryKey(req.url)}`);
+    return { apiKey: record, statusCode: null, error: null };
+}
+
+/**
+ * Whether a request's API key grants a scope (always true while no keys are configured, only local requests get that far then)
+ * @param {Object|null} record - req.apiKey
+ * @param {string} scope - Scope
+ * @returns {boolean}
+ */
+function keyHasScope(record, scope) {
+    if (!isAuthEnabled()) return true;
+    return !!record && hasScope(record, scope);
+}
+
+/**
+ * Express middleware factory: reject requests whose API key lacks a scope
+ * @param {string} scope - Required scope
+ * @returns {Function} - Middleware
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!isAuthEnabled()) return next();
+
+        if (!req.apiKey || !hasScope(req.apiKey, scope)) {
+            const name = req.apiKey ? req.apiKey.name : 'anonymous';
+            return sendError(res, 403, `API key "${name}" is missing the "${scope}" scope`);
+        }
+        next();
+    };
+}
+
+/**
+ * Strip the hash before returning a key record from the API
+ * @param {Object} record - Key record
+ * @returns {Object}
+ */
+function describeKey(record) {
+    const { hash, ...rest } = record;
+    return rest;
+}
+
+/**
+ * Create a new API key, the plain key is only returned here
+ * @param {string} name - Key name, shown in logs
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {Object} - Key record plus the plain `key`
+ */
+function createApiKey(name, scopes) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Key name is required');
+    }
+    if (getAllKeys().some(record => record.name === name)) {
+        throw new Error(`An API key named "${name}" already exists`);
+    }
+    const invalid = scopes.filter(scope => scope !== '*' && !SCOPES.includes(scope));
+    if (invalid.length > 0) {
+        throw new Error(`Unknown scope(s): ${invalid.join(', ')} (allowed: ${SCOPES.join(', ')}, *)`);
+    }
+
+    const key = `wa_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name,
+        hash: hashKey(key),
+        scopes,
+        source: 'api',
+        createdAt: Date.now()
+    };
+
+    keyStore.data.keys.push(record);
+    keyStore.save();
+    console.log(`✓ API key created: ${name} (${scopes.join(', ')})`);
+    return { ...describeKey(record), key };
+}
+
+/**
+ * List all API keys without their hashes
+ * @returns {Array<Object>}
+ */
+function listApiKeys() {
+    return getAllKeys().map(describeKey);
+}
+
+/**
+ * Revoke a key created through the API (config keys can only be removed from API_KEYS)
+ * @param {string} id - Key ID
+ * @returns {boolean} - false if no API-managed key with that ID exists
+ */
+function revokeApiKey(id) {
+    const count = keyStore.data.keys.length;
+    keyStore.data.keys = keyStore.data.keys.filter(record => record.id !== id);
+    if (keyStore.data.keys.length === count) return false;
+    keyStore.save();
+    console.log(`✓ API key revoked: ${id}`);
+    return true;
+}
+
+/**
+ * Warn on boot when the API is left open
+ */
+function checkAuthConfig() {
+    if (!isAuthEnabled()) {
+        console.warn('⚠ No API keys configured (API_KEYS), the /api endpoints only answer requests from this host until a key is created');
+    } else {
+        console.log(`✓ API key authentication enabled (${getAllKeys().length} key(s))`);
+    }
+}
+
+module.exports = {
+    SCOPES,
+    authenticate,
+    authenticateUpgrade,
+    requireScope,
+    keyHasScope,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    checkAuthConfig
+};
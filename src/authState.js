@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+const config = require('./config');
+const { getDb } = require('./db');
+
+// Available auth-state drivers, selected with AUTH_STORE
+const drivers = {};
+
+// Key types Baileys stores, longest first so "sender-key-memory-..." is not read as a "sender-key"
+const KEY_TYPES = [
+    'app-state-sync-version',
+    'app-state-sync-key',
+    'sender-key-memory',
+    'identity-key',
+    'device-list',
+    'lid-mapping',
+    'sender-key',
+    'pre-key',
+    'session',
+    'tctoken'
+];
+
+// Sessions kept by the memory driver, survive reconnects but not a restart
+const memoryStates = new Map();
+
+let statements = null;
+
+/**
+ * Key IDs as Baileys' multi-file store names them, every driver uses the same form
+ * so folders imported with importAuthFolder are found under the IDs Baileys asks for
+ * @param {string} id - Key ID ("628123:1.0", ...)
+ * @returns {string}
+ */
+function fixKeyId(id) {
+    return String(id).replace(/\//g, '__').replace(/:/g, '-');
+}
+
+/**
+ * Split a multi-file auth state file name into key type and ID
+ * @param {string} fileName - "creds.json", "pre-key-12.json", "lid-mapping-628123_reverse.json", ...
+ * @returns {{ type: string, id: string }|null} - null for files that are not part of the auth state
+ */
+function parseKeyFile(fileName) {
+    if (!fileName.endsWith('.json')) return null;
+    if (fileName === 'creds.json') return { type: 'creds', id: 'creds' };
+
+    const name = fileName.slice(0, -'.json'.length);
+    const type = KEY_TYPES.find(candidate => name.startsWith(`${candidate}-`));
+    return type ? { type, id: name.slice(type.length + 1) } : null;
+}
+
+/**
+ * Baileys' multi-file layout: one JSON file per key in the session's auth folder
+ * Kept as the default so existing auth_info_baileys folders keep working
+ * @param {string} sessionId - Session ID
+ * @param {string} authDir - Auth folder of the session
+ * @returns {Object} - Auth store
+ */
+function createMultiFileAuthStore(sessionId, authDir) {
+    const filePath = (type, id) => path.join(authDir, type === 'creds' ? 'creds.json' : `${type}-${id}.json`);
+    const readFile = (file) => {
+        try {
+            return fs.readFileSync(file, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    return {
+        async get(type, ids) {
+            const values = {};
+            for (const id of ids) {
+                const value = readFile(filePath(type, id));
+                if (value !== null) values[id] = value;
+            }
+            return values;
+        },
+
+        async set(entries) {
+            fs.mkdirSync(authDir, { recursive: true });
+            for (const { type, id, value } of entries) {
+                if (value === null) {
+                    fs.rmSync(filePath(type, id), { force: true });
+                } else {
+                    fs.writeFileSync(filePath(type, id), value);
+                }
+            }
+        },
+
+        async list(type) {
+            if (!fs.existsSync(authDir)) return [];
+            return fs.readdirSync(authDir)
+                .map(file => ({ file, key: parseKeyFile(file) }))
+                .filter(({ key }) => key && key.type === type)
+                .map(({ file, key }) => ({ id: key.id, value: readFile(path.join(authDir, file)) }))
+                .filter(entry => entry.value !== null);
+        },
+
+        async clear() {
+            fs.rmSync(authDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Create the auth_state table on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS auth_state (
+            session_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            id TEXT NOT NULL,
+            value TEXT NOT NULL,
+            PRIMARY KEY (session_id, type, id)
+        );
+    `);
+
+    statements = {
+        get: db.prepare('SELECT value FROM auth_state WHERE session_id = ? AND type = ? AND id = ?'),
+        upsert: db.prepare(`
+            INSERT INTO auth_state (session_id, type, id, value) VALUES (?, ?, ?, ?)
+            ON CONFLICT (session_id, type, id) DO UPDATE SET value = excluded.value
+        `),
+        remove: db.prepare('DELETE FROM auth_state WHERE session_id = ? AND type = ? AND id = ?'),
+        list: db.prepare('SELECT id, value FROM auth_state WHERE session_id = ? AND type = ?'),
+        clear: db.prepare('DELETE FROM auth_state WHERE session_id = ?'),
+        sessions: db.prepare('SELECT DISTINCT session_id FROM auth_state WHERE type = \'creds\'')
+    };
+    return statements;
+}
+
+/**
+ * All sessions' keys in one table of DATA_DIR/gateway.db
+ * @param {string} sessionId - Session ID
+ * @returns {Object} - Auth store
+ */
+function createSqliteAuthStore(sessionId) {
+    const stmts = init();
+
+    return {
+        async get(type, ids) {
+            const values = {};
+            for (const id of ids) {
+                const row = stmts.get.get(sessionId, type, id);
+                if (row) values[id] = row.value;
+            }
+            return values;
+        },
+
+        async set(entries) {
+            getDb().transaction(() => {
+                for (const { type, id, value } of entries) {
+                    if (value === null) {
+                        stmts.remove.run(sessionId, type, id);
+                    } else {
+                        stmts.upsert.run(sessionId, type, id, value);
+                    }
+                }
+            })();
+        },
+
+        async list(type) {
+            return stmts.list.all(sessionId, type);
+        },
+
+        async clear() {
+            stmts.clear.run(sessionId);
+        }
+    };
+}
+
+/**
+ * Keys kept in process memory, for tests and throwaway sessions
+ * @param {string} sessionId - Session ID
+ * @returns {Object} - Auth store
+ */
+function createMemoryAuthStore(sessionId) {
+    const values = () => {
+        if (!memoryStates.has(sessionId)) memoryStates.set(sessionId, new Map());
+        return memoryStates.get(sessionId);
+    };
+
+    return {
+        async get(type, ids) {
+            const result = {};
+            for (const id of ids) {
+                const value = values().get(`${type}/${id}`);
+                if (value !== undefined) result[id] = value;
+            }
+            return result;
+        },
+
+        async set(entries) {
+            for (const { type, id, value } of entries) {
+                if (value === null) {
+                    values().delete(`${type}/${id}`);
+                } else {
+                    values().set(`${type}/${id}`, value);
+                }
+            }
+        },
+
+        async list(type) {
+            const prefix = `${type}/`;
+            return Array.from(values().entries())
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, value]) => ({ id: key.slice(prefix.length), value }));
+        },
+
+        async clear() {
+            memoryStates.delete(sessionId);
+        }
+    };
+}
+
+drivers['multi-file'] = {
+    create: createMultiFileAuthStore,
+    listSessions: () => []
+};
+drivers.sqlite = {
+    create: createSqliteAuthStore,
+    listSessions: () => init().sessions.all().map(row => row.session_id)
+};
+drivers.memory = {
+    create: createMemoryAuthStore,
+    listSessions: () => Array.from(memoryStates.keys())
+};
+
+/**
+ * Register a custom auth-state driver (e.g. Redis), selectable with AUTH_STORE=<name>
+ * A store has async get(type, ids) -> { id: json }, set([{ type, id, value: json|null }]), list(type) -> [{ id, value }] and clear()
+ * @param {string} name - Driver name
+ * @param {Function} create - (sessionId, authDir) => store
+ * @param {Function} listSessions - Returns the IDs of sessions with stored credentials, restored on boot
+ */
+function registerAuthStore(name, create, listSessions = () => []) {
+    drivers[name] = { create, listSessions };
+}
+
+/**
+ * Get the configured driver
+ * @returns {Object}
+ */
+function getDriver() {
+    const driver = drivers[config.authStore];
+    if (!driver) {
+        throw new Error(`Unknown AUTH_STORE "${config.authStore}" (available: ${Object.keys(drivers).join(', ')})`);
+    }
+    return driver;
+}
+
+/**
+ * Create the auth store of a session with the configured driver
+ * @param {string} sessionId - Session ID
+ * @param {string} authDir - Auth folder of the session (only used by the multi-file driver)
+ * @returns {Object} - Auth store
+ */
+function createAuthStore(sessionId, authDir) {
+    return getDriver().create(sessionId, authDir);
+}
+
+/**
+ * IDs of the sessions the configured driver has credentials for (besides SESSIONS_DIR folders)
+ * @returns {Array<string>}
+ */
+function listAuthSessions() {
+    return getDriver().listSessions();
+}
+
+/**
+ * Baileys auth state backed by an auth store, the drop-in replacement for useMultiFileAuthState
+ * @param {Object} store - Auth store
+ * @param {Function} onKeysSet - Called with the key data Baileys writes (used to mirror lid-mapping keys)
+ * @returns {Promise<{ state: Object, saveCreds: Function }>}
+ */
+async function useAuthState(store, onKeysSet = null) {
+    const encode = value => JSON.stringify(value, BufferJSON.replacer);
+    const decode = text => JSON.parse(text, BufferJSON.reviver);
+
+    const stored = await store.get('creds', ['creds']);
+    const creds = stored.creds ? decode(stored.creds) : initAuthCreds();
+
+    return {
+        state: {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    const values = await store.get(type, ids.map(fixKeyId));
+                    const result = {};
+                    for (const id of ids) {
+                        const text = values[fixKeyId(id)];
+                        if (text === undefined) continue;
+                        const value = decode(text);
+                        result[id] = type === 'app-state-sync-key' && value
+                            ? proto.Message.AppStateSyncKeyData.fromObject(value)
+                            : value;
+                    }
+                    return result;
+                },
+                set: async (data) => {
+                    const entries = [];
+                    for (const type of Object.keys(data)) {
+                        for (const [id, value] of Object.entries(data[type])) {
+                            entries.push({ type, id: fixKeyId(id), value: value ? encode(value) : null });
+                        }
+                    }
+                    await store.set(entries);
+                    if (onKeysSet) onKeysSet(data);
+                }
+            }
+        },
+        saveCreds: () => store.set([{ type: 'creds', id: 'creds', value: encode(creds) }])
+    };
+}
+
+/**
+ * Copy a multi-file auth folder (auth_info_baileys) into an auth store
+ * @param {Object} store - Target auth store
+ * @param {string} dir - Auth folder
+ * @returns {Promise<number>} - Number of entries copied
+ */
+async function importAuthFolder(store, dir) {
+    const entries = [];
+    for (const file of fs.readdirSync(dir)) {
+        const key = parseKeyFile(file);
+        if (!key) continue;
+        entries.push({ ...key, value: fs.readFileSync(path.join(dir, file), 'utf-8') });
+    }
+
+    await store.set(entries);
+    return entries.length;
+}
+
+module.exports = {
+    createMultiFileAuthStore,
+    registerAuthStore,
+    createAuthStore,
+    listAuthSessions,
+    useAuthState,
+    importAuthFolder
+};
@@ -0,0 +1,502 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('./config');
+const { getDb } = require('./db');
+const { createJsonStore } = require('./jsonStore');
+const { enqueueWebhook } = require('./webhookOutbox');
+const { createEnvelope } = require('./events');
+const { enqueueMessage } = require('./outboundQueue');
+const { renderTemplate } = require('./broadcasts');
+const { normalizePhoneNumber } = require('./recipients');
+
+const ACTION_TYPES = ['reply', 'react', 'forward', 'stop'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Rules live in a JSON file so they can be edited by hand or through the admin API
+const rulesPath = config.autoResponderRulesFile || path.join(config.dataDir, 'auto-responder-rules.json');
+let store = createJsonStore(rulesPath, { rules: [] });
+let compiled = null;
+let statements = null;
+
+// Error caused by an invalid rule
+class RuleInputError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RuleInputError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Create the hits table on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS auto_responder_hits (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id TEXT NOT NULL,
+            session_id TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            chat_jid TEXT NOT NULL,
+            sender TEXT,
+            actions TEXT NOT NULL,
+            hit_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS auto_responder_hits_rule_idx ON auto_responder_hits (rule_id, hit_at);
+        CREATE INDEX IF NOT EXISTS auto_responder_hits_chat_idx ON auto_responder_hits (rule_id, session_id, chat_jid, hit_at);
+    `);
+
+    statements = {
+        insertHit: db.prepare(`
+            INSERT INTO auto_responder_hits (rule_id, session_id, message_id, chat_jid, sender, actions, hit_at)
+            VALUES (@ruleId, @sessionId, @messageId, @chatJid, @sender, @actions, @hitAt)
+        `),
+        stats: db.prepare('SELECT rule_id, COUNT(*) AS hits, MAX(hit_at) AS last_hit_at FROM auto_responder_hits GROUP BY rule_id'),
+        listHits: db.prepare(`
+            SELECT * FROM auto_responder_hits
+            WHERE (@ruleId IS NULL OR rule_id = @ruleId)
+            ORDER BY id DESC LIMIT @limit
+        `),
+        lastChatHit: db.prepare('SELECT MAX(hit_at) AS hit_at FROM auto_responder_hits WHERE rule_id = ? AND session_id = ? AND chat_jid = ?'),
+        deleteRuleHits: db.prepare('DELETE FROM auto_responder_hits WHERE rule_id = ?')
+    };
+    return statements;
+}
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ * @param {string} value - Time of day
+ * @returns {number}
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new RuleInputError(`Invalid time "${value}", use HH:MM`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Turn a sender list entry into the form messages are compared with
+ * @param {string} value - Phone number or JID
+ * @returns {string} - Phone digits, or the JID for LIDs
+ */
+function normalizeSender(value) {
+    const text = String(value || '').trim();
+    if (text.endsWith('@lid')) return text;
+    try {
+        return normalizePhoneNumber(text.replace('@s.whatsapp.net', ''));
+    } catch (error) {
+        throw new RuleInputError(`Invalid sender "${value}": ${error.message}`);
+    }
+}
+
+/**
+ * Validate a rule and prepare it for matching
+ * @param {Object} rule - Rule as stored
+ * @returns {Object} - Compiled rule (regex, minutes, normalized senders)
+ */
+function compileRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        throw new RuleInputError('A rule must be an object');
+    }
+    if (!rule.id || typeof rule.id !== 'string') {
+        throw new RuleInputError('Every rule needs a string id');
+    }
+
+    const match = rule.match || {};
+    for (const [name, value] of [['sessions', rule.sessions], ['messageTypes', match.messageTypes], ['allowSenders', match.allowSenders], ['denySenders', match.denySenders], ['timeWindows', match.timeWindows]]) {
+        if (value !== undefined && !Array.isArray(value)) {
+            throw new RuleInputError(`Rule ${rule.id}: ${name} must be an array`);
+        }
+    }
+
+    let content = null;
+    if (match.content !== undefined) {
+        try {
+            content = new RegExp(match.content, match.contentFlags === undefined ? 'i' : match.contentFlags);
+        } catch (error) {
+            throw new RuleInputError(`Rule ${rule.id}: invalid content regex: ${error.message}`);
+        }
+    }
+
+    const windows = (match.timeWindows || []).map(window => {
+        const days = window.days || [0, 1, 2, 3, 4, 5, 6];
+        if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new RuleInputError(`Rule ${rule.id}: days must be numbers from 0 (Sunday) to 6 (Saturday)`);
+        }
+        return { days, from: parseTimeOfDay(window.from), to: parseTimeOfDay(window.to) };
+    });
+
+    if (rule.cooldownMs !== undefined && (!Number.isInteger(rule.cooldownMs) || rule.cooldownMs < 0)) {
+        throw new RuleInputError(`Rule ${rule.id}: cooldownMs must be a non-negative integer`);
+    }
+
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+        throw new RuleInputError(`Rule ${rule.id}: actions must be a non-empty array`);
+    }
+    for (const action of rule.actions) {
+        if (!action || !ACTION_TYPES.includes(action.type)) {
+            throw new RuleInputError(`Rule ${rule.id}: action type must be one of: ${ACTION_TYPES.join(', ')}`);
+        }
+        if (action.type === 'reply' && (!action.text || typeof action.text !== 'string')) {
+            throw new RuleInputError(`Rule ${rule.id}: reply actions need a text`);
+        }
+        if (action.type === 'react' && (!action.emoji || typeof action.emoji !== 'string')) {
+            throw new RuleInputError(`Rule ${rule.id}: react actions need an emoji`);
+        }
+        if (action.type === 'forward' && !/^https?:\/\//.test(action.url || '')) {
+            throw new RuleInputError(`Rule ${rule.id}: forward actions need an http(s) url`);
+        }
+    }
+
+    return {
+        rule,
+        content,
+        windows,
+        allowSenders: match.allowSenders ? match.allowSenders.map(normalizeSender) : null,
+        denySenders: (match.denySenders || []).map(normalizeSender)
+    };
+}
+
+/**
+ * Compile the stored rules, invalid ones are logged and skipped so one typo in the file
+ * does not switch off every other rule
+ * @returns {Array<Object>}
+ */
+function getCompiledRules() {
+    if (compiled) return compiled;
+
+    compiled = [];
+    for (const rule of store.data.rules) {
+        try {
+            compiled.push(compileRule(rule));
+        } catch (error) {
+            console.error(`⚠ Auto-responder rule skipped: ${error.message}`);
+        }
+    }
+    return compiled;
+}
+
+/**
+ * Day of the week and minutes since midnight in the auto-responder time zone
+ * @param {number} timestamp - Time in ms
+ * @returns {{ day: number, minutes: number }}
+ */
+function getLocalTime(timestamp) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: config.autoResponderTimezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp));
+    const part = type => parts.find(p => p.type === type).value;
+
+    return {
+        day: WEEKDAYS.indexOf(part('weekday')),
+        minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+}
+
+/**
+ * Whether a time falls in one of the windows, windows ending before they start span midnight
+ * @param {Array<Object>} windows - Compiled windows
+ * @param {number} timestamp - Time in ms
+ * @returns {boolean}
+ */
+function inTimeWindows(windows, timestamp) {
+    const { day, minutes } = getLocalTime(timestamp);
+    return windows.some(({ days, from, to }) => {
+        if (from <= to) {
+            return days.includes(day) && minutes >= from && minutes < to;
+        }
+        // Overnight window, e.g. 22:00-06:00: the part after midnight belongs to the previous day
+        return (days.includes(day) && minutes >= from) || (days.includes((day + 6) % 7) && minutes < to);
+    });
+}
+
+/**
+ * Phone number (or LID JID while unresolved) of the person who sent a message
+ * @param {Object} normalized - Normalized message
+ * @returns {string|null}
+ */
+function getSender(normalized) {
+    if (normalized.isGroup) {
+        return normalized.participant || normalized.participantJidRaw;
+    }
+    return normalized.from || normalized.fromJidRaw;
+}
+
+/**
+ * Check a compiled rule against a message
+ * @param {Object} compiledRule - Rule from compileRule
+ * @param {string} sessionId - Session the message arrived on
+ * @param {Object} normalized - Normalized message
+ * @param {number} now - Current time in ms
+ * @returns {RegExpExecArray|Array|null} - Content match (capture groups), null when the rule does not match
+ */
+function matchRule({ rule, content, windows, allowSenders, denySenders }, sessionId, normalized, now) {
+    const match = rule.match || {};
+    if (rule.enabled === false) return null;
+    if (rule.sessions && !rule.sessions.includes(sessionId)) return null;
+    if (match.messageTypes && !match.messageTypes.includes(normalized.messageType)) return null;
+    if (match.isGroup !== undefined && match.isGroup !== normalized.isGroup) return null;
+
+    const sender = getSender(normalized);
+    if (allowSenders && !allowSenders.includes(sender)) return null;
+    if (denySenders.includes(sender)) return null;
+
+    if (windows.length > 0 && inTimeWindows(windows, now) === !!match.outsideTimeWindows) return null;
+
+    if (!content) return [];
+    return content.exec(normalized.content || normalized.caption || '');
+}
+
+/**
+ * Whether a rule matched the same chat less than cooldownMs ago, so two bots replying
+ * to each other do not end up in a loop
+ * @param {Object} rule - Rule
+ * @param {string} sessionId - Session ID
+ * @param {string} chatJid - Chat of the message
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function inCooldown(rule, sessionId, chatJid, now) {
+    if (!rule.cooldownMs) return false;
+    const { hit_at: lastHitAt } = init().lastChatHit.get(rule.id, sessionId, chatJid);
+    return lastHitAt !== null && now - lastHitAt < rule.cooldownMs;
+}
+
+/**
+ * Run a matching rule's actions
+ * @param {Object} rule - Rule
+ * @param {Object} session - Session state
+ * @param {Object} msg - Raw Baileys message
+ * @param {Object} normalized - Normalized message
+ * @param {Array} contentMatch - Regex match of the content
+ * @returns {{ stop: boolean, skipWebhook: boolean }}
+ */
+function runActions(rule, session, msg, normalized, contentMatch) {
+    const chatJid = msg.key.remoteJid;
+    const variables = {
+        ...contentMatch, // {{0}} is the whole match, {{1}}... the capture groups
+        ...(contentMatch.groups || {}),
+        senderName: normalized.senderName,
+        phone: getSender(normalized),
+        content: normalized.content || normalized.caption,
+        chatJid
+    };
+    const result = { stop: false, skipWebhook: false };
+
+    for (const action of rule.actions) {
+        if (action.type === 'reply') {
+            const sendOptions = action.quote === false ? undefined : { quoted: msg };
+            enqueueMessage(session.id, chatJid, { text: renderTemplate(action.text, variables) }, { sendOptions });
+        } else if (action.type === 'react') {
+            enqueueMessage(session.id, chatJid, { react: { text: action.emoji, key: msg.key } });
+        } else if (action.type === 'forward') {
+            enqueueWebhook(action.url, createEnvelope(session.id, 'message.received', normalized, { ruleId: rule.id }));
+        } else if (action.type === 'stop') {
+            result.stop = true;
+            result.skipWebhook = !!action.skipWebhook;
+        }
+    }
+    return result;
+}
+
+/**
+ * Evaluate the rules for an incoming message, in order, until a rule with a stop action matches
+ * @param {Object} session - Session state
+ * @param {Object} msg - Raw Baileys message
+ * @param {Object} normalized - Normalized message
+ * @returns {{ matched: Array<string>, skipWebhook: boolean }} - IDs of the rules that matched
+ */
+function handleIncomingMessage(session, msg, normalized) {
+    const outcome = { matched: [], skipWebhook: false };
+    const now = Date.now();
+
+    for (const compiledRule of getCompiledRules()) {
+        const { rule } = compiledRule;
+        try {
+            const contentMatch = matchRule(compiledRule, session.id, normalized, now);
+            if (!contentMatch) continue;
+
+            if (inCooldown(rule, session.id, msg.key.remoteJid, now)) {
+                console.log(`[${session.id}] Auto-responder rule "${rule.id}" skipped for ${msg.key.remoteJid}, still cooling down`);
+                continue;
+            }
+
+            const result = runActions(rule, session, msg, normalized, contentMatch);
+            outcome.matched.push(rule.id);
+
+            init().insertHit.run({
+                ruleId: rule.id,
+                sessionId: session.id,
+                messageId: normalized.messageId,
+                chatJid: msg.key.remoteJid,
+                sender: getSender(normalized),
+                actions: rule.actions.map(action => action.type).join(','),
+                hitAt: now
+            });
+            console.log(`[${session.id}] Auto-responder rule "${rule.id}" matched message ${normalized.messageId}`);
+
+            if (result.stop) {
+                outcome.skipWebhook = result.skipWebhook;
+                break;
+            }
+        } catch (error) {
+            // A failing rule must not keep the message from the webhook
+            console.error(`[${session.id}] Error running auto-responder rule "${rule.id}":`, error.message);
+        }
+    }
+    return outcome;
+}
+
+/**
+ * List the rules with their hit counts
+ * @returns {Array<Object>}
+ */
+function listRules() {
+    const stats = new Map(init().stats.all().map(row => [row.rule_id, row]));
+    return store.data.rules.map(rule => ({
+        ...rule,
+        hits: stats.has(rule.id) ? stats.get(rule.id).hits : 0,
+        lastHitAt: stats.has(rule.id) ? stats.get(rule.id).last_hit_at : null
+    }));
+}
+
+/**
+ * Get one rule with its hit count
+ * @param {string} id - Rule ID
+ * @returns {Object|null}
+ */
+function getRule(id) {
+    return listRules().find(rule => rule.id === id) || null;
+}
+
+/**
+ * Persist a new rule list (all rules are validated first)
+ * @param {Array<Object>} rules - Rules in evaluation order
+ */
+function saveRules(rules) {
+    const ids = new Set();
+    for (const rule of rules) {
+        compileRule(rule);
+        if (ids.has(rule.id)) {
+            throw new RuleInputError(`Duplicate rule id: ${rule.id}`);
+        }
+        ids.add(rule.id);
+    }
+
+    store.data.rules = rules;
+    store.save();
+    compiled = null;
+}
+
+/**
+ * Replace all rules
+ * @param {Array<Object>} rules - Rules in evaluation order
+ * @returns {Array<Object>}
+ */
+function replaceRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new RuleInputError('rules must be an array');
+    }
+    saveRules(rules);
+    return listRules();
+}
+
+/**
+ * Add a rule at the end of the list (or at "position")
+ * @param {Object} rule - Rule, an id is generated when missing
+ * @param {number} position - Index to insert at, optional
+ * @returns {Object}
+ */
+function addRule(rule, position) {
+    const created = { ...rule, id: rule.id || crypto.randomUUID() };
+    const rules = store.data.rules.slice();
+    const index = position === undefined ? rules.length : Math.max(0, Math.min(Number(position) || 0, rules.length));
+    rules.splice(index, 0, created);
+    saveRules(rules);
+    return getRule(created.id);
+}
+
+/**
+ * Replace one rule, keeping its position
+ * @param {string} id - Rule ID
+ * @param {Object} rule - New rule
+ * @returns {Object|null} - null when the rule does not exist
+ */
+function updateRule(id, rule) {
+    const index = store.data.rules.findIndex(r => r.id === id);
+    if (index === -1) return null;
+
+    const rules = store.data.rules.slice();
+    rules[index] = { ...rule, id };
+    saveRules(rules);
+    return getRule(id);
+}
+
+/**
+ * Delete a rule and its hits
+ * @param {string} id - Rule ID
+ * @returns {boolean}
+ */
+function deleteRule(id) {
+    const rules = store.data.rules.filter(rule => rule.id !== id);
+    if (rules.length === store.data.rules.length) return false;
+
+    saveRules(rules);
+    init().deleteRuleHits.run(id);
+    return true;
+}
+
+/**
+ * Re-read the rules file after it was edited by hand
+ * @returns {Array<Object>}
+ */
+function reloadRules() {
+    store = createJsonStore(rulesPath, { rules: [] });
+    compiled = null;
+    const valid = getCompiledRules().length;
+    console.log(`✓ Auto-responder: ${valid} of ${store.data.rules.length} rule(s) loaded from ${rulesPath}`);
+    return listRules();
+}
+
+/**
+ * Most recent rule hits
+ * @param {Object} options - { ruleId, limit }
+ * @returns {Array<Object>}
+ */
+function listHits({ ruleId, limit } = {}) {
+    return init().listHits.all({
+        ruleId: ruleId || null,
+        limit: Math.min(parseInt(limit, 10) || 100, 1000)
+    }).map(row => ({
+        ruleId: row.rule_id,
+        sessionId: row.session_id,
+        messageId: row.message_id,
+        chatJid: row.chat_jid,
+        sender: row.sender,
+        actions: row.actions.split(','),
+        hitAt: row.hit_at
+    }));
+}
+
+module.exports = {
+    RuleInputError,
+    handleIncomingMessage,
+    listRules,
+    getRule,
+    replaceRules,
+    addRule,
+    updateRule,
+    deleteRule,
+    reloadRules,
+    listHits
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const config = require('./config');
+const { getDb } = require('./db');
+const { enqueueMessage, countBroadcastJobs, cancelBroadcastJobs } = require('./outboundQueue');
+
+// Message fields that may contain {{variables}}
+const TEMPLATE_FIELDS = ['text', 'caption', 'fileName'];
+
+// Parsed content of the broadcasts sending right now, so media is not decoded again for every recipient
+const contentCache = new Map();
+const CONTENT_CACHE_SIZE = 10;
+
+let statements = null;
+
+/**
+ * Create the broadcasts table on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS broadcasts (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            name TEXT,
+            total INTEGER NOT NULL,
+            starts_at INTEGER NOT NULL,
+            ends_at INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            cancelled_at INTEGER,
+            content TEXT,
+            min_delay_ms INTEGER,
+            max_delay_ms INTEGER,
+            next_send_at INTEGER
+        );
+    `);
+
+    // Databases created by older versions lack the columns added since, their broadcasts
+    // keep the rendered content and send time on every job
+    const columns = db.prepare('PRAGMA table_info(broadcasts)').all().map(c => c.name);
+    for (const [column, type] of [['content', 'TEXT'], ['min_delay_ms', 'INTEGER'], ['max_delay_ms', 'INTEGER'], ['next_send_at', 'INTEGER']]) {
+        if (!columns.includes(column)) {
+            db.exec(`ALTER TABLE broadcasts ADD COLUMN ${column} ${type}`);
+        }
+    }
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS broadcasts_session_idx ON broadcasts (session_id, created_at);
+    `);
+
+    statements = {
+        insert: db.prepare(`
+            INSERT INTO broadcasts (id, session_id, name, total, starts_at, ends_at, created_at, content, min_delay_ms, max_delay_ms)
+            VALUES (@id, @sessionId, @name, @total, @startsAt, @endsAt, @createdAt, @content, @minDelayMs, @maxDelayMs)
+        `),
+        get: db.prepare('SELECT * FROM broadcasts WHERE id = ?'),
+        getContent: db.prepare('SELECT content FROM broadcasts WHERE id = ?'),
+        getDelays: db.prepare('SELECT min_delay_ms, max_delay_ms FROM broadcasts WHERE id = ?'),
+        setNextSendAt: db.prepare('UPDATE broadcasts SET next_send_at = ? WHERE id = ?'),
+        waiting: db.prepare('SELECT id FROM broadcasts WHERE next_send_at > ? AND cancelled_at IS NULL'),
+        list: db.prepare('SELECT * FROM broadcasts WHERE session_id = ? ORDER BY created_at DESC LIMIT ?'),
+        cancel: db.prepare('UPDATE broadcasts SET cancelled_at = ? WHERE id = ? AND cancelled_at IS NULL'),
+        deleteSession: db.prepare('DELETE FROM broadcasts WHERE session_id = ?')
+    };
+    return statements;
+}
+
+/**
+ * Replace {{name}} placeholders with the recipient's variables
+ * Unknown variables are replaced with an empty string
+ * @param {string} template - e.g. "Hi {{name}}, your order {{order}} shipped"
+ * @param {Object} variables - e.g. { name: 'Budi', order: 'A-17' }
+ * @returns {string}
+ */
+function renderTemplate(template, variables = {}) {
+    return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+        const value = variables[key];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Build one recipient's message from the shared content
+ * @param {Object} content - Prepared message content
+ * @param {Object} variables - Recipient variables
+ * @returns {Object}
+ */
+function renderMessage(content, variables) {
+    const rendered = { ...content };
+    for (const field of TEMPLATE_FIELDS) {
+        if (typeof rendered[field] === 'string') {
+            rendered[field] = renderTemplate(rendered[field], variables);
+        }
+    }
+    return rendered;
+}
+
+/**
+ * Random delay between two broadcast messages
+ * @param {number} minDelayMs - Lower bound
+ * @param {number} maxDelayMs - Upper bound
+ * @returns {number}
+ */
+function randomDelay(minDelayMs, maxDelayMs) {
+    return minDelayMs + Math.floor(Math.random() * (maxDelayMs - minDelayMs + 1));
+}
+
+/**
+ * Queue a broadcast: the content is stored once, each recipient gets a job holding only its variables
+ * The first message goes out at sendAt, every next one a randomized delay after the previous send
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { name, recipients: [{ jid, variables }], content, sendAt, minDelayMs, maxDelayMs }
+ * @returns {Object} - Broadcast with progress
+ */
+function createBroadcast(sessionId, { name, recipients, content, sendAt, minDelayMs, maxDelayMs }) {
+    const stmts = init();
+    const id = crypto.randomUUID();
+    const createdAt = Date.now();
+    const startsAt = sendAt && sendAt > createdAt ? sendAt : createdAt;
+    const minDelay = minDelayMs !== undefined ? minDelayMs : config.broadcastMinDelayMs;
+    const maxDelay = Math.max(minDelay, maxDelayMs !== undefined ? maxDelayMs : config.broadcastMaxDelayMs);
+
+    getDb().transaction(() => {
+        stmts.insert.run({
+            id,
+            sessionId,
+            name: name || null,
+            total: recipients.length,
+            startsAt,
+            // Rate limits and slow sends only make it later
+            endsAt: startsAt + Math.round((recipients.length - 1) * (minDelay + maxDelay) / 2),
+            createdAt,
+            content: JSON.stringify(content, BufferJSON.replacer),
+            minDelayMs: minDelay,
+            maxDelayMs: maxDelay
+        });
+
+        for (const recipient of recipients) {
+            enqueueMessage(sessionId, recipient.jid, null, {
+                sendAt: startsAt,
+                broadcastId: id,
+                variables: recipient.variables || {}
+            });
+        }
+    })();
+
+    console.log(`[${sessionId}] Broadcast ${id} queued for ${recipients.length} recipient(s)`);
+    return getBroadcast(id);
+}
+
+/**
+ * Build a recipient's message from the broadcast content, called by the queue right before sending
+ * @param {string} id - Broadcast ID
+ * @param {Object} variables - Recipient variables
+ * @returns {Object} - Baileys message content
+ */
+function renderBroadcastMessage(id, variables) {
+    let content = contentCache.get(id);
+    if (!content) {
+        const row = init().getContent.get(id);
+        if (!row || !row.content) {
+            throw new Error(`Broadcast ${id} has no content`);
+        }
+        content = JSON.parse(row.content, BufferJSON.reviver);
+
+        if (contentCache.size >= CONTENT_CACHE_SIZE) {
+            contentCache.delete(contentCache.keys().next().value);
+        }
+        contentCache.set(id, content);
+    }
+    return renderMessage(content, variables);
+}
+
+/**
+ * Hold the next message of a broadcast for a randomized delay, counted from the send that just happened
+ * @param {string} id - Broadcast ID
+ */
+function delayNextBroadcastMessage(id) {
+    const stmts = init();
+    const row = stmts.getDelays.get(id);
+    if (!row) return;
+
+    const minDelay = row.min_delay_ms !== null ? row.min_delay_ms : config.broadcastMinDelayMs;
+    const maxDelay = row.max_delay_ms !== null ? row.max_delay_ms : Math.max(minDelay, config.broadcastMaxDelayMs);
+    stmts.setNextSendAt.run(Date.now() + randomDelay(minDelay, maxDelay), id);
+}
+
+/**
+ * IDs of the broadcasts still waiting out the delay after their last send
+ * @param {number} now - Current time in ms
+ * @returns {Array<string>}
+ */
+function getWaitingBroadcasts(now) {
+    return init().waiting.all(now).map(row => row.id);
+}
+
+/**
+ * Shape a broadcast row with its progress
+ * @param {Object} row - broadcasts row
+ * @returns {Object}
+ */
+function describeBroadcast(row) {
+    const counts = countBroadcastJobs(row.id);
+    const pending = (counts.queued || 0) + (counts.sending || 0);
+
+    let status = 'running';
+    if (row.cancelled_at) {
+        status = 'cancelled';
+    } else if (pending === 0) {
+        status = 'completed';
+    } else if (row.starts_at > Date.now()) {
+        status = 'scheduled';
+    }
+
+    return {
+        id: row.id,
+        sessionId: row.session_id,
+        name: row.name,
+        status,
+        total: row.total,
+        sent: counts.sent || 0,
+        failed: counts.failed || 0,
+        pending,
+        cancelled: counts.cancelled || 0,
+        startsAt: row.starts_at,
+        estimatedEndAt: row.ends_at,
+        createdAt: row.created_at,
+        cancelledAt: row.cancelled_at
+    };
+}
+
+/**
+ * Get a broadcast with its progress
+ * @param {string} id - Broadcast ID
+ * @returns {Object|null}
+ */
+function getBroadcast(id) {
+    const row = init().get.get(id);
+    return row ? describeBroadcast(row) : null;
+}
+
+/**
+ * List the most recent broadcasts of a session
+ * @param {string} sessionId - Session ID
+ * @param {number} limit - Max results
+ * @returns {Array<Object>}
+ */
+function listBroadcasts(sessionId, limit) {
+    return init().list.all(sessionId, Math.min(parseInt(limit, 10) || 50, 500)).map(describeBroadcast);
+}
+
+/**
+ * Stop a broadcast, messages already sent stay sent
+ * @param {string} id - Broadcast ID
+ * @returns {Object|null} - Broadcast, or null if it does not exist
+ */
+function cancelBroadcast(id) {
+    const stmts = init();
+    if (!stmts.get.get(id)) return null;
+
+    stmts.cancel.run(Date.now(), id);
+    contentCache.delete(id);
+    const cancelled = cancelBroadcastJobs(id);
+    console.log(`Broadcast ${id} cancelled, ${cancelled} pending message(s) dropped`);
+    return getBroadcast(id);
+}
+
+/**
+ * Remove all broadcasts of a session, their jobs are removed with the session's other jobs
+ * @param {string} sessionId - Session ID
+ */
+function deleteSessionBroadcasts(sessionId) {
+    contentCache.clear();
+    init().deleteSession.run(sessionId);
+}
+
+module.exports = {
+    renderTemplate,
+    createBroadcast,
+    renderBroadcastMessage,
+    delayNextBroadcastMessage,
+    getWaitingBroadcasts,
+    getBroadcast,
+    listBroadcasts,
+    cancelBroadcast,
+    deleteSessionBroadcasts
+};
@@ -0,0 +1,205 @@
+const config = require('./config');
+const { getDb } = require('./db');
+const { publishEvent } = require('./events');
+const { enqueueMessage } = require('./outboundQueue');
+const { extractPhoneNumber } = require('./messageNormalizer');
+const { rememberLidMapping } = require('./lidStore');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+let statements = null;
+
+/**
+ * Create the calls table on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS calls (
+            session_id TEXT NOT NULL,
+            call_id TEXT NOT NULL,
+            caller TEXT,
+            caller_jid TEXT NOT NULL,
+            is_video INTEGER NOT NULL DEFAULT 0,
+            is_group INTEGER NOT NULL DEFAULT 0,
+            group_jid TEXT,
+            status TEXT NOT NULL,
+            rejected INTEGER NOT NULL DEFAULT 0,
+            offered_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (session_id, call_id)
+        );
+        CREATE INDEX IF NOT EXISTS calls_session_offered ON calls (session_id, offered_at);
+    `);
+
+    statements = {
+        get: db.prepare('SELECT * FROM calls WHERE session_id = ? AND call_id = ?'),
+        insert: db.prepare(`
+            INSERT OR IGNORE INTO calls (session_id, call_id, caller, caller_jid, is_video, is_group, group_jid, status, offered_at, updated_at)
+            VALUES (@sessionId, @callId, @caller, @callerJid, @isVideo, @isGroup, @groupJid, @status, @offeredAt, @offeredAt)
+        `),
+        updateStatus: db.prepare('UPDATE calls SET status = ?, updated_at = ? WHERE session_id = ? AND call_id = ?'),
+        markRejected: db.prepare('UPDATE calls SET rejected = 1, status = \'reject\', updated_at = ? WHERE session_id = ? AND call_id = ?'),
+        list: db.prepare(`
+            SELECT * FROM calls
+            WHERE session_id = @sessionId AND (@caller IS NULL OR caller = @caller)
+            ORDER BY offered_at DESC
+            LIMIT @limit OFFSET @offset
+        `),
+        deleteSession: db.prepare('DELETE FROM calls WHERE session_id = ?')
+    };
+    return statements;
+}
+
+/**
+ * Shape a calls row for API responses
+ * @param {Object} row - calls row
+ * @returns {Object|null}
+ */
+function describeCall(row) {
+    if (!row) return null;
+    return {
+        callId: row.call_id,
+        from: row.caller, // Phone number, null while the caller's LID is unresolved
+        fromJid: row.caller_jid,
+        isVideo: !!row.is_video,
+        isGroup: !!row.is_group,
+        groupJid: row.group_jid,
+        status: row.status, // offer, ringing, accept, reject, timeout or terminate
+        rejected: !!row.rejected, // Rejected by the gateway (CALL_AUTO_REJECT)
+        offeredAt: row.offered_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Reject a call and tell the caller why, see CALL_AUTO_REJECT and CALL_REJECT_MESSAGE
+ * @param {Object} session - Session state
+ * @param {Object} call - Baileys call event
+ * @param {string} chatJid - Chat of the caller
+ */
+async function rejectCall(session, call, chatJid) {
+    try {
+        await session.sock.rejectCall(call.id, call.from);
+        init().markRejected.run(Date.now(), session.id, call.id);
+        console.log(`[${session.id}] ✓ Rejected call ${call.id} from ${chatJid}`);
+    } catch (error) {
+        console.error(`[${session.id}] ✗ Failed to reject call ${call.id}:`, error.message);
+        return;
+    }
+
+    if (config.callRejectMessage) {
+        enqueueMessage(session.id, chatJid, { text: config.callRejectMessage });
+    }
+}
+
+/**
+ * Handle Baileys call events: log them, publish incoming offers as call.received and auto-reject them when enabled
+ * @param {Object} session - Session state
+ * @param {Array<Object>} calls - Baileys call events ({ id, from, callerPn, isVideo, isGroup, groupJid, status, date, offline })
+ */
+async function handleCalls(session, calls) {
+    const stmts = init();
+
+    for (const call of calls) {
+        try {
+            if (call.status !== 'offer') {
+                stmts.updateStatus.run(call.status, Date.now(), session.id, call.id);
+                continue;
+            }
+
+            if (call.callerPn && String(call.from).endsWith('@lid')) {
+                rememberLidMapping(session.lidCache, call.from, call.callerPn, 'call');
+            }
+            const phone = extractPhoneNumber(call.from, session.sock, session.lidCache);
+            const chatJid = phone ? `${phone}@s.whatsapp.net` : call.from;
+            const offeredAt = call.date ? new Date(call.date).getTime() : Date.now();
+
+            const inserted = stmts.insert.run({
+                sessionId: session.id,
+                callId: call.id,
+                caller: phone,
+                callerJid: chatJid,
+                isVideo: call.isVideo ? 1 : 0,
+                isGroup: call.isGroup ? 1 : 0,
+                groupJid: call.groupJid || null,
+                status: call.status,
+                offeredAt
+            });
+            // Offers can be repeated when the socket reconnects
+            if (inserted.changes === 0) continue;
+
+            console.log(`[${session.id}] Incoming ${call.isVideo ? 'video' : 'voice'} call from ${phone || call.from}`);
+            publishEvent(session.id, 'call.received', {
+                callId: call.id,
+                from: phone,
+                fromJid: chatJid, // Phone number JID, or the LID while it is unresolved
+                fromJidRaw: call.from,
+                isVideo: !!call.isVideo,
+                isGroup: !!call.isGroup,
+                groupJid: call.groupJid || null,
+                offline: !!call.offline, // Offered while the gateway was disconnected
+                offeredAt,
+                autoReject: config.callAutoReject && !call.offline // Whether the gateway is rejecting the call
+            });
+
+            if (config.callAutoReject && !call.offline) {
+                await rejectCall(session, call, chatJid);
+            }
+        } catch (error) {
+            console.error(`[${session.id}] Error handling call ${call.id}:`, error);
+        }
+    }
+}
+
+/**
+ * List logged calls, newest first
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { from: caller phone number, limit, offset }
+ * @returns {{ calls: Array<Object>, nextOffset: number|null }}
+ */
+function listCalls(sessionId, { from, limit, offset } = {}) {
+    const size = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const rows = init().list.all({
+        sessionId,
+        caller: from || null,
+        limit: size,
+        offset: start
+    });
+
+    return {
+        calls: rows.map(describeCall),
+        nextOffset: rows.length === size ? start + size : null
+    };
+}
+
+/**
+ * Get one logged call
+ * @param {string} sessionId - Session ID
+ * @param {string} callId - Call ID
+ * @returns {Object|null}
+ */
+function getCall(sessionId, callId) {
+    return describeCall(init().get.get(sessionId, callId));
+}
+
+/**
+ * Remove the call log of a session
+ * @param {string} sessionId - Session ID
+ */
+function deleteSessionCalls(sessionId) {
+    init().deleteSession.run(sessionId);
+}
+
+module.exports = {
+    handleCalls,
+    listCalls,
+    getCall,
+    deleteSessionCalls
+};
@@ -3,5 +3,52 @@ require('dotenv').config();
 module.exports = {
     port: process.env.PORT || 3000,
     webhookUrl: process.env.WEBHOOK_URL,
-    sessionPath: process.env.SESSION_PATH || './auth_info_baileys'
+    webhookSecret: process.env.WEBHOOK_SECRET, // HMAC key for the X-Webhook-Signature header
+    webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000,
+    webhookRetryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 15 * 60 * 1000,
+    webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    webhookLogMaxEntries: parseInt(process.env.WEBHOOK_LOG_MAX_ENTRIES, 10) || 5000, // Delivery attempts kept for the delivery log
+    webhookConcurrencyPerUrl: parseInt(process.env.WEBHOOK_CONCURRENCY_PER_URL, 10) || 1, // Deliveries in flight per webhook URL, with 1 they arrive in the order they were queued
+    webhookDeadLetterMaxEntries: parseInt(process.env.WEBHOOK_DEAD_LETTER_MAX_ENTRIES, 10) || 1000, // Oldest dead letters are dropped beyond this
+    webhookDeadLetterRetentionDays: process.env.WEBHOOK_DEAD_LETTER_RETENTION_DAYS !== undefined ? Number(process.env.WEBHOOK_DEAD_LETTER_RETENTION_DAYS) : 7, // 0 keeps them until the cap
+    includeRawMessage: process.env.INCLUDE_RAW_MESSAGE !== 'false', // Send the Baileys message as rawMessage in message events
+    validateEvents: process.env.VALIDATE_EVENTS !== undefined ? process.env.VALIDATE_EVENTS === 'true' : process.env.NODE_ENV === 'development', // Check payloads against GET /api/schema before sending
+    eventStreamBufferSize: parseInt(process.env.EVENT_STREAM_BUFFER_SIZE, 10) || 1000, // Events kept for Last-Event-ID resume
+    eventStreamHeartbeatMs: parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS, 10) || 25000, // SSE comments / WebSocket pings keeping idle streams open
+    apiKeys: process.env.API_KEYS, // name:key:scope|scope entries, comma separated
+    mediaMaxBytes: parseInt(process.env.MEDIA_MAX_BYTES, 10) || 64 * 1024 * 1024, // Uploads, base64 and fetched media
+    jsonBodyLimit: process.env.JSON_BODY_LIMIT || '100mb', // Must fit base64 encoded media
+    mediaFetchTimeoutMs: parseInt(process.env.MEDIA_FETCH_TIMEOUT_MS, 10) || 30000,
+    inboundMediaMaxBytes: parseInt(process.env.INBOUND_MEDIA_MAX_BYTES, 10) || 16 * 1024 * 1024, // Auto-download limit
+    mediaStore: process.env.MEDIA_STORE || 'local',
+    mediaDir: process.env.MEDIA_DIR || './data/media',
+    mediaRetentionHours: process.env.MEDIA_RETENTION_HOURS !== undefined ? Number(process.env.MEDIA_RETENTION_HOURS) : 72, // 0 keeps media forever
+    mediaRefRetentionDays: process.env.MEDIA_REF_RETENTION_DAYS !== undefined ? Number(process.env.MEDIA_REF_RETENTION_DAYS) : 30,
+    publicUrl: process.env.PUBLIC_URL, // Base URL used for links in webhook payloads
+    messageStoreEnabled: process.env.MESSAGE_STORE_ENABLED !== 'false', // Keep message history in DATA_DIR/gateway.db
+    queueGlobalRatePerMinute: Number(process.env.QUEUE_GLOBAL_RATE_PER_MIN) || 30, // Per session
+    queuePerJidRatePerMinute: Number(process.env.QUEUE_PER_JID_RATE_PER_MIN) || 10,
+    queueMaxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3,
+    queueRetryDelayMs: parseInt(process.env.QUEUE_RETRY_DELAY_MS, 10) || 5000,
+    queueWaitTimeoutMs: parseInt(process.env.QUEUE_WAIT_TIMEOUT_MS, 10) || 30000, // How long /send-message waits before answering 202
+    queuePollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 500,
+    broadcastMinDelayMs: parseInt(process.env.BROADCAST_MIN_DELAY_MS, 10) || 3000, // Randomized delay between broadcast messages
+    broadcastMaxDelayMs: parseInt(process.env.BROADCAST_MAX_DELAY_MS, 10) || 10000,
+    broadcastMaxRecipients: parseInt(process.env.BROADCAST_MAX_RECIPIENTS, 10) || 5000,
+    defaultCountryCode: (process.env.DEFAULT_COUNTRY_CODE || '62').replace(/\D/g, ''), // For local numbers starting with 0
+    validateRecipients: process.env.VALIDATE_RECIPIENTS !== 'false', // Check numbers with onWhatsApp before sending
+    onWhatsAppCacheTtlMs: parseInt(process.env.ONWHATSAPP_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    onWhatsAppNegativeCacheTtlMs: process.env.ONWHATSAPP_NEGATIVE_CACHE_TTL_MS !== undefined ? Number(process.env.ONWHATSAPP_NEGATIVE_CACHE_TTL_MS) : 60 * 1000, // "Not registered" answers, 0 = not cached
+    autoResponderRulesFile: process.env.AUTO_RESPONDER_RULES_FILE, // Defaults to DATA_DIR/auto-responder-rules.json
+    autoResponderTimezone: process.env.AUTO_RESPONDER_TIMEZONE || undefined, // For time windows, e.g. Asia/Jakarta (default: server time zone)
+    callAutoReject: process.env.CALL_AUTO_REJECT === 'true', // Reject incoming voice/video calls
+    callRejectMessage: process.env.CALL_REJECT_MESSAGE || '', // Text sent to the caller after a rejected call, empty = none
+    dataDir: process.env.DATA_DIR || './data', // Database and other gateway state
+    reconnectBaseDelayMs: parseInt(process.env.RECONNECT_BASE_DELAY_MS, 10) || 1000, // First reconnect delay, doubled per failed attempt
+    reconnectMaxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS, 10) || 60000,
+    authStore: process.env.AUTH_STORE || 'multi-file', // Where Baileys credentials and keys are kept: multi-file, sqlite or memory
+    sessionPath: process.env.SESSION_PATH || './auth_info_baileys', // Auth folder of the default session
+    sessionsDir: process.env.SESSIONS_DIR || './sessions', // One auth folder per additional session
+    defaultSessionId: process.env.DEFAULT_SESSION_ID || 'default'
 };
@@ -0,0 +1,335 @@
+const { getDb } = require('./db');
+const { extractPhoneNumber } = require('./messageNormalizer');
+const { lookupLidByPhone } = require('./lidStore');
+const { normalizePhoneNumber } = require('./recipients');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+let statements = null;
+
+// Error caused by the caller's contact request (malformed number or JID)
+class ContactInputError extends Error {
+    constructor(message, statusCode = 400, code = null) {
+        super(message);
+        this.name = 'ContactInputError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+/**
+ * Create the contacts table on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS contacts (
+            session_id TEXT NOT NULL,
+            jid TEXT NOT NULL,
+            phone TEXT,
+            lid TEXT,
+            name TEXT,
+            notify TEXT,
+            verified_name TEXT,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (session_id, jid)
+        );
+    `);
+
+    statements = {
+        get: db.prepare('SELECT * FROM contacts WHERE session_id = ? AND jid = ?'),
+        upsert: db.prepare(`
+            INSERT INTO contacts (session_id, jid, phone, lid, name, notify, verified_name, updated_at)
+            VALUES (@sessionId, @jid, @phone, @lid, @name, @notify, @verifiedName, @now)
+            ON CONFLICT (session_id, jid) DO UPDATE SET
+                phone = COALESCE(excluded.phone, phone),
+                lid = COALESCE(excluded.lid, lid),
+                name = COALESCE(excluded.name, name),
+                notify = COALESCE(excluded.notify, notify),
+                verified_name = COALESCE(excluded.verified_name, verified_name),
+                updated_at = excluded.updated_at
+        `),
+        remove: db.prepare('DELETE FROM contacts WHERE session_id = ? AND jid = ?'),
+        search: db.prepare(`
+            SELECT * FROM contacts
+            WHERE session_id = @sessionId
+              AND (@search IS NULL OR name LIKE @search OR notify LIKE @search OR verified_name LIKE @search OR phone LIKE @search)
+            ORDER BY COALESCE(name, verified_name, notify, phone, jid) COLLATE NOCASE, jid
+            LIMIT @limit OFFSET @offset
+        `),
+        deleteSession: db.prepare('DELETE FROM contacts WHERE session_id = ?')
+    };
+    return statements;
+}
+
+/**
+ * Shape a contacts row for API responses
+ * @param {Object} row - contacts row
+ * @returns {Object|null}
+ */
+function describeContact(row) {
+    if (!row) return null;
+    return {
+        jid: row.jid,
+        phone: row.phone,
+        lid: row.lid,
+        name: row.name, // Name in the phone's address book
+        notify: row.notify, // Name the contact set for themselves (push name)
+        verifiedName: row.verified_name, // Verified business name
+        displayName: row.name || row.verified_name || row.notify || row.phone,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Key a contact by its phone number JID, or by its LID while the phone number is unknown
+ * @param {Object} session - Session state
+ * @param {Array<string>} ids - JIDs known for the contact
+ * @returns {{ jid: string, phone: string|null, lid: string|null }|null} - null for groups, broadcasts and newsletters
+ */
+function identifyContact(session, ids) {
+    // Drop device suffixes ("628123:12@s.whatsapp.net")
+    const jids = ids.filter(Boolean).map(id => String(id).replace(/:\d+@/, '@'));
+    const lidJid = jids.find(id => id.endsWith('@lid'));
+    const phoneJid = jids.find(id => id.endsWith('@s.whatsapp.net'));
+    if (!lidJid && !phoneJid) return null;
+
+    const phone = extractPhoneNumber(phoneJid || lidJid, session.sock, session.lidCache);
+    const lid = lidJid ? lidJid.split('@')[0] : (phone && lookupLidByPhone(session.lidCache, phone));
+    return {
+        jid: phone ? `${phone}@s.whatsapp.net` : lidJid,
+        phone: phone || null,
+        lid: lid || null
+    };
+}
+
+/**
+ * Store (or update) a contact, only the fields that are present are changed
+ * A contact first seen by LID is moved to its phone number JID once the number is known
+ * @param {Object} session - Session state
+ * @param {Array<string>} ids - JIDs known for the contact
+ * @param {Object} fields - { name, notify, verifiedName }
+ */
+function saveContact(session, ids, { name, notify, verifiedName }) {
+    const identity = identifyContact(session, ids);
+    if (!identity) return;
+
+    const stmts = init();
+    getDb().transaction(() => {
+        const lidJid = identity.lid ? `${identity.lid}@lid` : null;
+        if (lidJid && lidJid !== identity.jid) {
+            const previous = stmts.get.get(session.id, lidJid);
+            if (previous) {
+                stmts.remove.run(session.id, lidJid);
+                stmts.upsert.run({
+                    sessionId: session.id,
+                    ...identity,
+                    name: previous.name,
+                    notify: previous.notify,
+                    verifiedName: previous.verified_name,
+                    now: previous.updated_at
+                });
+            }
+        }
+
+        stmts.upsert.run({
+            sessionId: session.id,
+            ...identity,
+            name: name || null,
+            notify: notify || null,
+            verifiedName: verifiedName || null,
+            now: Date.now()
+        });
+    })();
+}
+
+/**
+ * Store contacts from contacts.upsert, contacts.update and messaging-history.set
+ * @param {Object} session - Session state
+ * @param {Array<Object>} contacts - Baileys contacts ({ id, lid, phoneNumber, name, notify, verifiedName })
+ */
+function saveContacts(session, contacts) {
+    for (const contact of contacts || []) {
+        try {
+            saveContact(session, [contact.id, contact.lid, contact.phoneNumber, contact.jid], contact);
+        } catch (error) {
+            console.error(`[${session.id}] Error saving contact ${contact.id}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Remember the push name of an incoming message's sender and put the best known name on the message
+ * @param {Object} session - Session state
+ * @param {Object} normalized - Normalized message (senderName is filled in place)
+ */
+function applySenderName(session, normalized) {
+    const senderRaw = normalized.isGroup ? normalized.participantJidRaw : normalized.fromJidRaw;
+    const senderJid = normalized.isGroup ? normalized.participantJid : normalized.fromJid;
+    if (normalized.fromMe || !senderRaw) return;
+
+    if (normalized.senderName) {
+        saveContact(session, [senderRaw, senderJid], { notify: normalized.senderName });
+        return;
+    }
+
+    const identity = identifyContact(session, [senderRaw, senderJid]);
+    const contact = identity && describeContact(init().get.get(session.id, identity.jid));
+    normalized.senderName = contact ? contact.name || contact.verifiedName || contact.notify : null;
+}
+
+/**
+ * Turn a phone number or JID from the request into the contact's store key
+ * @param {Object} session - Session state
+ * @param {string} value - "0812...", "+62812...", "62812...@s.whatsapp.net" or "123...@lid"
+ * @returns {{ jid: string, phone: string|null, lid: string|null }}
+ */
+function toContactIdentity(session, value) {
+    const text = String(value || '').trim();
+    if (text.endsWith('@lid') || text.endsWith('@s.whatsapp.net')) {
+        return identifyContact(session, [text]);
+    }
+    try {
+        return identifyContact(session, [`${normalizePhoneNumber(text)}@s.whatsapp.net`]);
+    } catch (error) {
+        throw new ContactInputError(error.message, 400, 'INVALID_JID');
+    }
+}
+
+/**
+ * List stored contacts alphabetically
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { search: part of a name or phone number, limit, offset }
+ * @returns {{ contacts: Array<Object>, nextOffset: number|null }}
+ */
+function listContacts(sessionId, { search, limit, offset } = {}) {
+    const size = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+    const term = search ? String(search).trim().replace(/[%_]/g, '') : '';
+
+    const rows = init().search.all({
+        sessionId,
+        search: term ? `%${term}%` : null,
+        limit: size,
+        offset: start
+    });
+
+    return {
+        contacts: rows.map(describeContact),
+        nextOffset: rows.length === size ? start + size : null
+    };
+}
+
+/**
+ * Profile picture URL, null when there is none or the contact's privacy settings hide it
+ * @param {Object} sock - Connected Baileys socket
+ * @param {string} jid - Contact JID
+ * @returns {Promise<string|null>}
+ */
+async function fetchProfilePicture(sock, jid) {
+    try {
+        return await sock.profilePictureUrl(jid, 'image') || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * About text of a contact, null when it is hidden
+ * @param {Object} sock - Connected Baileys socket
+ * @param {string} jid - Contact JID
+ * @returns {Promise<{ text: string, setAt: number|null }|null>}
+ */
+async function fetchAbout(sock, jid) {
+    try {
+        // Newer Baileys versions answer a list of { id, status: { status, setAt } }
+        const result = await sock.fetchStatus(jid);
+        const entry = Array.isArray(result) ? result[0] && result[0].status : result;
+        if (!entry || !entry.status) return null;
+        return {
+            text: entry.status,
+            setAt: entry.setAt ? new Date(entry.setAt).getTime() : null
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Business profile of a contact, null for regular accounts
+ * @param {Object} sock - Connected Baileys socket
+ * @param {string} jid - Contact JID
+ * @returns {Promise<Object|null>}
+ */
+async function fetchBusinessProfile(sock, jid) {
+    try {
+        const profile = await sock.getBusinessProfile(jid);
+        if (!profile) return null;
+        return {
+            description: profile.description || null,
+            category: profile.category || null,
+            email: profile.email || null,
+            website: profile.website || [],
+            address: profile.address || null,
+            businessHours: profile.business_hours || null
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Stored contact with its live profile (picture, about text, business profile)
+ * @param {Object} session - Connected session
+ * @param {string} value - Phone number or JID
+ * @returns {Promise<Object>}
+ */
+async function getContactProfile(session, value) {
+    const identity = toContactIdentity(session, value);
+    if (!identity) {
+        throw new ContactInputError(`Invalid contact: ${value}`, 400, 'INVALID_JID');
+    }
+
+    const { sock } = session;
+    const [profilePictureUrl, about, businessProfile] = await Promise.all([
+        fetchProfilePicture(sock, identity.jid),
+        fetchAbout(sock, identity.jid),
+        fetchBusinessProfile(sock, identity.jid)
+    ]);
+
+    const contact = describeContact(init().get.get(session.id, identity.jid));
+    return {
+        ...identity,
+        name: null,
+        notify: null,
+        verifiedName: null,
+        displayName: identity.phone,
+        updatedAt: null,
+        ...contact,
+        profilePictureUrl,
+        about,
+        isBusiness: !!businessProfile,
+        businessProfile
+    };
+}
+
+/**
+ * Remove all contacts of a session
+ * @param {string} sessionId - Session ID
+ */
+function deleteSessionContacts(sessionId) {
+    init().deleteSession.run(sessionId);
+}
+
+module.exports = {
+    ContactInputError,
+    saveContacts,
+    applySenderName,
+    listContacts,
+    getContactProfile,
+    deleteSessionContacts
+};
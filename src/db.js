@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('./config');
+
+let db = null;
+
+/**
+ * Get the gateway's embedded SQLite database (DATA_DIR/gateway.db)
+ * Each store creates its own tables on first use
+ * @returns {Object} - better-sqlite3 Database
+ */
+function getDb() {
+    if (!db) {
+        fs.mkdirSync(config.dataDir, { recursive: true });
+        db = new Database(path.join(config.dataDir, 'gateway.db'));
+        db.pragma('journal_mode = WAL');
+    }
+    return db;
+}
+
+module.exports = {
+    getDb
+};
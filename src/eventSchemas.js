@@ -0,0 +1,280 @@
+const Ajv = require('ajv');
+
+// Version of the event envelope and payloads, sent as schemaVersion with every event.
+// The minor version grows when fields are added, the major version when fields are renamed, removed or change type
+const SCHEMA_VERSION = '1.0';
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+const nullableInteger = { type: ['integer', 'null'] };
+const boolean = { type: 'boolean' };
+const stringList = { type: 'array', items: string };
+
+/**
+ * Object schema whose properties are all required unless listed as optional
+ * Properties that are not described are allowed, so new fields do not break existing consumers
+ * @param {Object} properties - Property name -> schema
+ * @param {Array<string>} optional - Properties that may be missing
+ * @returns {Object}
+ */
+function object(properties, optional = []) {
+    return {
+        type: 'object',
+        required: Object.keys(properties).filter(name => !optional.includes(name)),
+        properties
+    };
+}
+
+/**
+ * Allow null next to an object schema
+ * @param {Object} schema - Object schema
+ * @returns {Object}
+ */
+function nullable(schema) {
+    return { anyOf: [schema, { type: 'null' }] };
+}
+
+// Add a description to a schema
+const describe = (schema, description) => ({ ...schema, description });
+
+const MESSAGE_TYPES = [
+    'text', 'image', 'video', 'audio', 'voice', 'document', 'sticker',
+    'location', 'live_location', 'contact', 'contacts', 'poll', 'poll_vote', 'reaction',
+    'button_reply', 'list_reply', 'interactive_reply', 'group_invite',
+    'revoke', 'edit', 'protocol', 'unsupported', 'unknown'
+];
+
+// Normalized message, see normalizeMessage
+const message = object({
+    messageId: string,
+    timestamp: describe({ type: 'integer' }, 'Unix time in milliseconds'),
+    from: describe(nullableString, 'Phone number of the chat, null while a LID chat is unresolved'),
+    fromLid: nullableString,
+    fromJid: describe(nullableString, 'Phone number JID of the chat (or the group JID)'),
+    fromJidRaw: describe(string, 'JID as reported by WhatsApp, can be a LID'),
+    fromMe: boolean,
+    participant: describe(nullableString, 'Phone number of the sender in a group'),
+    participantLid: nullableString,
+    participantJid: nullableString,
+    participantJidRaw: nullableString,
+    senderUnresolved: describe(boolean, 'The sender is a LID whose phone number is not known yet'),
+    senderName: nullableString,
+    isGroup: boolean,
+    messageType: { enum: MESSAGE_TYPES },
+    content: describe(nullableString, 'Text of the message, or the original type name for unsupported messages'),
+    caption: nullableString,
+    quotedMessage: nullable(object({
+        messageId: nullableString,
+        participant: nullableString,
+        participantLid: nullableString,
+        participantJid: nullableString,
+        content: string
+    }, ['messageId', 'participantJid'])),
+    mentions: stringList,
+    mentionLids: stringList,
+    isForwarded: boolean,
+    forwardingScore: { type: 'integer' },
+    isEphemeral: boolean,
+    ephemeralExpiration: describe(nullableInteger, 'Seconds until a disappearing message expires'),
+    isViewOnce: boolean,
+    hasMedia: boolean,
+    mediaUrl: describe(nullableString, 'Encrypted WhatsApp CDN URL, download through localMediaUrl instead'),
+    mimeType: nullableString,
+    fileName: nullableString,
+    fileSize: nullableInteger,
+    duration: describe(nullableInteger, 'Seconds, for audio and video'),
+    localMediaUrl: describe(string, 'Download link of the media on this gateway, only for media messages'),
+    mediaStored: describe(boolean, 'Whether the media was downloaded when the message arrived, only for media messages'),
+    mediaError: describe(string, 'Why the media was not downloaded'),
+    location: nullable(object({
+        latitude: { type: 'number' },
+        longitude: { type: 'number' },
+        name: nullableString,
+        address: nullableString,
+        isLive: boolean,
+        accuracyInMeters: nullableNumber,
+        speedInMps: nullableNumber,
+        heading: nullableNumber,
+        sequenceNumber: nullableInteger
+    }, ['accuracyInMeters', 'speedInMps', 'heading', 'sequenceNumber'])),
+    contacts: nullable({
+        type: 'array',
+        items: object({ displayName: nullableString, vcard: nullableString }, ['displayName', 'vcard'])
+    }),
+    pollData: nullable(object({
+        name: string,
+        options: stringList,
+        selectableCount: { type: 'integer' },
+        pollMessageId: nullableString
+    }, ['name', 'options', 'selectableCount', 'pollMessageId'])),
+    reactionData: nullable(object({
+        emoji: describe(string, 'Empty when a reaction is removed'),
+        targetMessageId: string
+    })),
+    buttonData: nullable(object({ id: nullableString, text: nullableString, index: nullableInteger })),
+    listData: nullable(object({ id: nullableString, title: nullableString, description: nullableString })),
+    interactiveData: nullable(object({
+        name: nullableString,
+        params: describe({}, 'Parsed paramsJson, the raw string when it is not JSON')
+    }, ['params'])),
+    inviteData: nullable(object({
+        groupJid: string,
+        groupName: nullableString,
+        inviteCode: string,
+        expiresAt: describe(nullableInteger, 'Unix time in milliseconds')
+    })),
+    revokeData: nullable(object({ targetMessageId: nullableString })),
+    editData: nullable(object({
+        targetMessageId: nullableString,
+        messageType: describe(string, 'Type of the edited message, e.g. text or image for a caption edit'),
+        editedAt: { type: 'integer' }
+    })),
+    rawMessage: describe({ type: 'object' }, 'Baileys message content as received, left out with INCLUDE_RAW_MESSAGE=false')
+}, ['localMediaUrl', 'mediaStored', 'mediaError', 'rawMessage']);
+
+// Payload of each event, without the envelope
+const EVENT_DATA = {
+    'message.received': message,
+    'message.deleted': describe(message, 'Normalized message of type revoke, revokeData.targetMessageId is the deleted message'),
+    'message.edited': describe(message, 'Normalized message of type edit with the new text or caption, editData.targetMessageId is the edited message'),
+    'message.status': object({
+        messageId: string,
+        jid: string,
+        status: { enum: ['error', 'server_ack', 'delivered', 'read', 'played'] },
+        participant: describe(nullableString, 'Group member the receipt is from'),
+        participantJid: nullableString,
+        at: { type: 'integer' }
+    }),
+    'poll.vote': object({
+        pollMessageId: string,
+        chatJid: nullableString,
+        voter: nullableString,
+        voterJid: string,
+        selectedOptions: describe(stringList, 'Empty when the vote was retracted'),
+        votedAt: { type: 'integer' },
+        results: describe(nullable({ type: 'object' }), 'Tally of the poll, see GET /api/polls/:messageId/results')
+    }),
+    'connection.update': object({
+        status: { enum: ['connecting', 'scan_qr', 'connected', 'closed', 'logged_out'] },
+        qr: describe(string, 'QR code to scan, with status scan_qr'),
+        user: nullable(object({ id: string, name: nullableString })),
+        statusCode: nullableInteger,
+        error: nullableString,
+        attempt: describe({ type: 'integer' }, 'Reconnect attempt, with status connecting'),
+        retryInMs: { type: 'integer' }
+    }, ['qr', 'user', 'statusCode', 'error', 'attempt', 'retryInMs']),
+    'group.update': object({
+        groupId: string,
+        author: nullableString,
+        changes: object({
+            subject: string,
+            description: nullableString,
+            announcement: boolean,
+            locked: boolean,
+            memberAddMode: boolean,
+            joinApprovalMode: boolean
+        }, ['subject', 'description', 'announcement', 'locked', 'memberAddMode', 'joinApprovalMode'])
+    }),
+    'group.participants.update': object({
+        groupId: string,
+        action: string,
+        author: nullableString,
+        participants: {
+            type: 'array',
+            items: object({ phone: nullableString, jid: nullableString, rawJid: string })
+        }
+    }),
+    'call.received': object({
+        callId: string,
+        from: nullableString,
+        fromJid: string,
+        fromJidRaw: string,
+        isVideo: boolean,
+        isGroup: boolean,
+        groupJid: nullableString,
+        offline: boolean,
+        offeredAt: { type: 'integer' },
+        autoReject: boolean
+    }),
+    'webhook.test': object({ subscriptionId: string }),
+    'stream.gap': describe(object({
+        lastEventId: string,
+        oldestBufferedId: nullableInteger
+    }), 'Event stream only: some events after Last-Event-ID are no longer buffered'),
+    'stream.filters': describe(object({
+        events: stringList,
+        sessions: { type: ['array', 'null'], items: string },
+        chats: stringList,
+        groupsOnly: boolean
+    }), 'WebSocket only: filters after a filters message'),
+    'stream.error': describe(object({ error: string }), 'WebSocket only: a filters message was rejected')
+};
+
+/**
+ * Schema of an event including the envelope
+ * @param {string} event - Event name
+ * @param {Object} data - Schema of the payload
+ * @returns {Object}
+ */
+function envelopeSchema(event, data) {
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: event,
+        ...object({
+            schemaVersion: describe({ type: 'string', pattern: '^\\d+\\.\\d+$' }, 'Version of the payload schema'),
+            eventId: describe(nullableString, 'Unique and increasing, the same for every delivery of an event and the event stream ID. Use it to drop duplicate deliveries'),
+            event: { const: event },
+            sessionId: nullableString,
+            timestamp: describe({ type: 'integer' }, 'Publish time, Unix time in milliseconds'),
+            ruleId: describe(string, 'Auto-responder rule, for messages sent by a forward action'),
+            data
+        }, ['ruleId'])
+    };
+}
+
+const schemas = Object.fromEntries(
+    Object.entries(EVENT_DATA).map(([event, data]) => [event, envelopeSchema(event, data)])
+);
+
+let validators = null;
+
+/**
+ * Compile the schemas on first use
+ * @returns {Object} - Event name -> validate function
+ */
+function getValidators() {
+    if (!validators) {
+        const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+        validators = Object.fromEntries(
+            Object.entries(schemas).map(([event, schema]) => [event, ajv.compile(schema)])
+        );
+    }
+    return validators;
+}
+
+/**
+ * JSON Schemas of every event, served at GET /api/schema
+ * @returns {Object} - { schemaVersion, events: { name: schema } }
+ */
+function getEventSchemas() {
+    return { schemaVersion: SCHEMA_VERSION, events: schemas };
+}
+
+/**
+ * Check an event envelope against the schema of its event
+ * @param {Object} payload - { schemaVersion, eventId, event, sessionId, timestamp, data }
+ * @returns {Array<string>} - Problems found, empty when the payload is valid
+ */
+function validateEvent(payload) {
+    const validate = getValidators()[payload.event];
+    if (!validate) return [`No schema for event ${payload.event}`];
+    if (validate(payload)) return [];
+    return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    getEventSchemas,
+    validateEvent
+};
@@ -0,0 +1,123 @@
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('./config');
+const { authenticateUpgrade, keyHasScope } = require('./auth');
+const { parseFilters, openStream } = require('./eventStream');
+const { SCHEMA_VERSION } = require('./eventSchemas');
+const { errorCode } = require('./apiErrors');
+
+// Path of the WebSocket event stream, next to the SSE stream at /api/events
+const SOCKET_PATH = '/api/events/ws';
+
+/**
+ * Reject an upgrade request before the WebSocket handshake, with the same { error, code } body as the HTTP routes
+ * @param {net.Socket} socket - Raw socket of the request
+ * @param {number} statusCode - HTTP status
+ * @param {string} error - Error message
+ */
+function rejectUpgrade(socket, statusCode, error) {
+    const body = JSON.stringify({ error, code: errorCode(statusCode) });
+    socket.end(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n`
+        + 'Content-Type: application/json\r\n'
+        + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+        + 'Connection: close\r\n\r\n'
+        + body);
+}
+
+/**
+ * Send an event to a client while its socket is open
+ * @param {WebSocket} ws - Client socket
+ * @param {Object} entry - { id, event, sessionId, timestamp, data }
+ */
+function sendEvent(ws, entry) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(entry));
+    }
+}
+
+/**
+ * Control message answer, shaped like an event so clients handle a single message format
+ * @param {string} event - stream.filters or stream.error
+ * @param {Object} data - Payload
+ * @returns {Object}
+ */
+function controlMessage(event, data) {
+    return { id: null, schemaVersion: SCHEMA_VERSION, eventId: null, event, sessionId: null, timestamp: Date.now(), data };
+}
+
+/**
+ * Stream events to a connected client
+ * Clients can change their filters by sending { "type": "filters", "events": [...], "sessions": [...], "chats": [...], "groupsOnly": false }
+ * @param {WebSocket} ws - Client socket
+ * @param {Object} options - { filters, lastEventId, includeQr }
+ */
+function handleConnection(ws, options) {
+    const stream = openStream(options, entry => sendEvent(ws, entry));
+    let alive = true;
+
+    ws.on('pong', () => { alive = true; });
+    const heartbeat = setInterval(() => {
+        if (!alive) return ws.terminate();
+        alive = false;
+        ws.ping();
+    }, config.eventStreamHeartbeatMs);
+
+    ws.on('message', (raw) => {
+        try {
+            const message = JSON.parse(raw.toString());
+            if (!message || message.type !== 'filters') {
+                throw new Error('Unknown message, expected { "type": "filters", ... }');
+            }
+            const filters = parseFilters(message);
+            stream.setFilters(filters);
+            sendEvent(ws, controlMessage('stream.filters', filters));
+        } catch (error) {
+            sendEvent(ws, controlMessage('stream.error', { error: error.message }));
+        }
+    });
+
+    ws.on('close', () => {
+        clearInterval(heartbeat);
+        stream.close();
+    });
+}
+
+/**
+ * Serve the WebSocket event stream on the HTTP server
+ * Filters and Last-Event-ID resume work like GET /api/events: ?events=&sessions=&chats=&groupsOnly=&lastEventId=
+ * @param {http.Server} server - Server returned by app.listen
+ */
+function attachEventSocket(server) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== SOCKET_PATH) {
+            return rejectUpgrade(socket, 400, `WebSocket connections are only served on ${SOCKET_PATH}`);
+        }
+
+        const { apiKey, statusCode, error } = authenticateUpgrade(req, 'events');
+        if (statusCode) {
+            return rejectUpgrade(socket, statusCode, error);
+        }
+
+        let filters;
+        try {
+            filters = parseFilters(Object.fromEntries(url.searchParams));
+        } catch (parseError) {
+            return rejectUpgrade(socket, 400, parseError.message);
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, {
+            filters,
+            lastEventId: req.headers['last-event-id'] || url.searchParams.get('lastEventId'),
+            includeQr: keyHasScope(apiKey, 'admin-qr')
+        }));
+    });
+
+    console.log(`✓ WebSocket event stream on ${SOCKET_PATH}`);
+}
+
+module.exports = {
+    attachEventSocket
+};
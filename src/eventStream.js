@@ -0,0 +1,129 @@
+const { EventEmitter } = require('events');
+const config = require('./config');
+const { SCHEMA_VERSION } = require('./eventSchemas');
+const { matchesFilters, validateFields } = require('./webhookSubscriptions');
+
+// Most recent events, oldest first, replayed to clients that resume with Last-Event-ID
+const buffer = [];
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected client
+
+// Event IDs start from the boot time so they keep increasing across restarts,
+// an ID from before a restart is then reported as a gap instead of being mistaken for a newer event
+let lastEventId = Date.now() * 1000;
+
+/**
+ * Take the ID of a new event, used as eventId in webhooks and as the event stream ID
+ * @returns {string}
+ */
+function nextEventId() {
+    return String(++lastEventId);
+}
+
+/**
+ * Add a published event to the replay buffer and hand it to connected clients
+ * @param {Object} payload - Event envelope { schemaVersion, eventId, event, sessionId, timestamp, data }
+ */
+function recordEvent(payload) {
+    const entry = { id: Number(payload.eventId), ...payload };
+    buffer.push(entry);
+    if (buffer.length > config.eventStreamBufferSize) {
+        buffer.splice(0, buffer.length - config.eventStreamBufferSize);
+    }
+    emitter.emit('event', entry);
+}
+
+/**
+ * Turn a comma separated query value (or an array) into a list
+ * @param {string|Array<string>} value - "messages,receipts" or ["messages", "receipts"]
+ * @returns {Array<string>}
+ */
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parse the filters of a stream client, they work like webhook subscription filters
+ * @param {Object} query - { events, sessions, chats, groupsOnly } as query strings or arrays
+ * @returns {Object} - { events, sessions, chats, groupsOnly }
+ */
+function parseFilters({ events, sessions, chats, groupsOnly } = {}) {
+    return validateFields({
+        events: events ? toList(events) : ['*'],
+        sessions: sessions ? toList(sessions) : null,
+        chats: chats ? toList(chats) : [],
+        groupsOnly: groupsOnly === true || groupsOnly === 'true'
+    });
+}
+
+/**
+ * Hide QR codes from clients whose API key may not link devices
+ * @param {Object} entry - Buffered event
+ * @param {boolean} includeQr - Whether the client may see QR codes
+ * @returns {Object}
+ */
+function forClient(entry, includeQr) {
+    if (includeQr || !entry.data || !entry.data.qr) return entry;
+    const { qr, ...data } = entry.data;
+    return { ...entry, data };
+}
+
+/**
+ * Buffered events published after an event ID
+ * @param {string|number} afterId - Last event ID the client received
+ * @returns {{ entries: Array<Object>, gap: boolean }} - gap is set when events after afterId are no longer buffered
+ */
+function getEventsAfter(afterId) {
+    const id = Number(afterId);
+    if (!Number.isSafeInteger(id)) return { entries: [], gap: true };
+
+    const entries = buffer.filter(entry => entry.id > id);
+    const oldestId = entries.length > 0 ? entries[0].id : lastEventId + 1;
+    return { entries, gap: id < lastEventId && oldestId > id + 1 };
+}
+
+/**
+ * Stream events to a client: buffered events after lastEventId first, then new events as they are published
+ * A stream.gap event is sent first when some of the missed events are no longer buffered
+ * @param {Object} options - { filters: from parseFilters, lastEventId, includeQr }
+ * @param {Function} send - (entry) => void, entry is the event envelope plus its numeric stream id
+ * @returns {{ setFilters: Function, close: Function }}
+ */
+function openStream({ filters, lastEventId: resumeFrom, includeQr }, send) {
+    let current = filters;
+    const deliver = entry => {
+        if (matchesFilters(current, entry.sessionId, entry.event, entry.data)) {
+            send(forClient(entry, includeQr));
+        }
+    };
+
+    if (resumeFrom !== undefined && resumeFrom !== null && resumeFrom !== '') {
+        const { entries, gap } = getEventsAfter(resumeFrom);
+        if (gap) {
+            send({
+                id: null,
+                schemaVersion: SCHEMA_VERSION,
+                eventId: null,
+                event: 'stream.gap',
+                sessionId: null,
+                timestamp: Date.now(),
+                data: { lastEventId: String(resumeFrom), oldestBufferedId: buffer.length > 0 ? buffer[0].id : null }
+            });
+        }
+        entries.forEach(deliver);
+    }
+
+    emitter.on('event', deliver);
+    return {
+        setFilters: next => { current = next; },
+        close: () => emitter.off('event', deliver)
+    };
+}
+
+module.exports = {
+    nextEventId,
+    recordEvent,
+    parseFilters,
+    openStream
+};
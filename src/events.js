@@ -0,0 +1,61 @@
+const config = require('./config');
+const { enqueueWebhook } = require('./webhookOutbox');
+const { getMatchingSubscriptions } = require('./webhookSubscriptions');
+const { nextEventId, recordEvent } = require('./eventStream');
+const { SCHEMA_VERSION, validateEvent } = require('./eventSchemas');
+
+/**
+ * Wrap an event payload in the versioned envelope sent to webhooks and the event stream
+ * With VALIDATE_EVENTS (on by default when NODE_ENV=development) payloads that do not match their schema are logged
+ * @param {string|null} sessionId - Session the event belongs to
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @param {Object} extra - Extra envelope fields (ruleId, ...)
+ * @returns {Object} - { schemaVersion, eventId, event, sessionId, timestamp, ...extra, data }
+ */
+function createEnvelope(sessionId, event, data, extra = {}) {
+    let payloadData = data;
+    if (!config.includeRawMessage && data && data.rawMessage !== undefined) {
+        const { rawMessage, ...rest } = data;
+        payloadData = rest;
+    }
+
+    const envelope = {
+        schemaVersion: SCHEMA_VERSION,
+        eventId: nextEventId(),
+        event,
+        sessionId,
+        timestamp: Date.now(),
+        ...extra,
+        data: payloadData
+    };
+
+    if (config.validateEvents) {
+        const problems = validateEvent(envelope);
+        if (problems.length > 0) {
+            console.error(`✗ ${event} payload does not match its schema: ${problems.join('; ')}`);
+        }
+    }
+    return envelope;
+}
+
+/**
+ * Publish a gateway event (message.received, message.status, ...) to every webhook subscription
+ * whose filters it passes (WEBHOOK_URL receives everything) and to the SSE / WebSocket event stream
+ * @param {string} sessionId - Session the event belongs to
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function publishEvent(sessionId, event, data) {
+    const payload = createEnvelope(sessionId, event, data);
+
+    for (const subscription of getMatchingSubscriptions(sessionId, event, data)) {
+        enqueueWebhook(subscription.url, payload, subscription.id);
+    }
+    recordEvent(payload);
+}
+
+module.exports = {
+    createEnvelope,
+    publishEvent
+};
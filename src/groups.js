@@ -0,0 +1,297 @@
+const { extractPhoneNumber, normalizeToWhatsAppJid } = require('./messageNormalizer');
+const { normalizePhoneNumber } = require('./recipients');
+
+// Actions accepted by sock.groupParticipantsUpdate
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// Group settings and the value sock.groupSettingUpdate expects for true / false
+const GROUP_SETTINGS = {
+    announcement: ['announcement', 'not_announcement'], // Only admins can send messages
+    locked: ['locked', 'unlocked'] // Only admins can edit the group info
+};
+
+// Error caused by the caller's group request (bad JID, unknown action, ...)
+class GroupInputError extends Error {
+    constructor(message, statusCode = 400, code = null) {
+        super(message);
+        this.name = 'GroupInputError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+/**
+ * Turn a group ID into a group JID ("1203630...": "1203630...@g.us")
+ * @param {string} value - Group JID or the part before @g.us
+ * @returns {string}
+ */
+function toGroupJid(value) {
+    const jid = String(value || '').includes('@') ? String(value) : `${value}@g.us`;
+    if (!/^[\d-]+@g\.us$/.test(jid)) {
+        throw new GroupInputError(`Invalid group JID: ${value}`, 400, 'INVALID_JID');
+    }
+    return jid;
+}
+
+/**
+ * Turn a phone number or JID into a participant JID
+ * @param {string} value - "628123456789", "+62 812-3456-789", "0812..." or a full JID
+ * @returns {string}
+ */
+function toParticipantJid(value) {
+    const text = String(value || '').trim();
+    if (text.includes('@')) {
+        return text;
+    }
+    try {
+        return `${normalizePhoneNumber(text)}@s.whatsapp.net`;
+    } catch (error) {
+        throw new GroupInputError(`Invalid participant: ${value}`, 400, 'INVALID_JID');
+    }
+}
+
+/**
+ * Validate a participants list from the request body
+ * @param {*} participants - Array of phone numbers or JIDs
+ * @returns {Array<string>} - Participant JIDs
+ */
+function toParticipantJids(participants) {
+    if (!Array.isArray(participants) || participants.length === 0) {
+        throw new GroupInputError('participants must be a non-empty array of phone numbers or JIDs');
+    }
+    return participants.map(toParticipantJid);
+}
+
+/**
+ * Describe a group participant with its phone number resolved
+ * Baileys reports participants as JID strings in events and as objects in group metadata
+ * @param {string|Object} participant - JID or { id, phoneNumber, admin }
+ * @param {Object} session - Session state
+ * @returns {Object}
+ */
+function describeParticipant(participant, session) {
+    const { sock, lidCache } = session;
+    const rawJid = typeof participant === 'string' ? participant : participant.id;
+    // Newer Baileys versions report the phone number JID next to the LID
+    const phoneJid = typeof participant === 'object' && participant.phoneNumber ? participant.phoneNumber : rawJid;
+
+    return {
+        phone: extractPhoneNumber(phoneJid, sock, lidCache),
+        jid: normalizeToWhatsAppJid(phoneJid, sock, lidCache),
+        rawJid,
+        admin: typeof participant === 'object' ? participant.admin || null : undefined
+    };
+}
+
+/**
+ * Shape Baileys group metadata for API responses
+ * @param {Object} metadata - Baileys GroupMetadata
+ * @param {Object} session - Session state
+ * @returns {Object}
+ */
+function describeGroup(metadata, session) {
+    const { sock, lidCache } = session;
+    const participants = (metadata.participants || []).map(participant => describeParticipant(participant, session));
+
+    return {
+        id: metadata.id,
+        subject: metadata.subject,
+        description: metadata.desc || null,
+        owner: metadata.owner ? extractPhoneNumber(metadata.owner, sock, lidCache) : null,
+        createdAt: metadata.creation ? metadata.creation * 1000 : null,
+        announcement: !!metadata.announce,
+        locked: !!metadata.restrict,
+        size: metadata.size || participants.length,
+        participants
+    };
+}
+
+/**
+ * List the groups the session is a member of
+ * @param {Object} session - Connected session
+ * @returns {Promise<Array<Object>>}
+ */
+async function listGroups(session) {
+    const groups = await session.sock.groupFetchAllParticipating();
+    return Object.values(groups)
+        .map(metadata => describeGroup(metadata, session))
+        .sort((a, b) => String(a.subject).localeCompare(String(b.subject)));
+}
+
+/**
+ * Get the metadata of one group
+ * @param {Object} session - Connected session
+ * @param {string} groupId - Group JID or ID
+ * @returns {Promise<Object>}
+ */
+async function getGroup(session, groupId) {
+    return describeGroup(await session.sock.groupMetadata(toGroupJid(groupId)), session);
+}
+
+/**
+ * Create a group
+ * @param {Object} session - Connected session
+ * @param {string} subject - Group name
+ * @param {Array<string>} participants - Phone numbers or JIDs
+ * @returns {Promise<Object>}
+ */
+async function createGroup(session, subject, participants) {
+    if (!subject || typeof subject !== 'string') {
+        throw new GroupInputError('subject is required');
+    }
+    const metadata = await session.sock.groupCreate(subject, toParticipantJids(participants));
+    console.log(`[${session.id}] ✓ Group created: ${metadata.id} (${subject})`);
+    return describeGroup(metadata, session);
+}
+
+/**
+ * Add, remove, promote or demote participants
+ * @param {Object} session - Connected session
+ * @param {string} groupId - Group JID or ID
+ * @param {Array<string>} participants - Phone numbers or JIDs
+ * @param {string} action - add, remove, promote or demote
+ * @returns {Promise<Array<Object>>} - Per-participant result ({ phone, jid, status, success })
+ */
+async function updateParticipants(session, groupId, participants, action) {
+    if (!PARTICIPANT_ACTIONS.includes(action)) {
+        throw new GroupInputError(`action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}`);
+    }
+    const results = await session.sock.groupParticipantsUpdate(toGroupJid(groupId), toParticipantJids(participants), action);
+
+    return results.map(result => {
+        const { phone, jid } = describeParticipant(result.jid, session);
+        return {
+            phone,
+            jid,
+            // WhatsApp answers per participant, e.g. 403 (privacy settings) or 409 (already a member)
+            status: Number(result.status),
+            success: result.status === '200'
+        };
+    });
+}
+
+/**
+ * Change the group subject
+ * @param {Object} session - Connected session
+ * @param {string} groupId - Group JID or ID
+ * @param {string} subject - New group name
+ */
+async function updateSubject(session, groupId, subject) {
+    if (!subject || typeof subject !== 'string') {
+        throw new GroupInputError('subject is required');
+    }
+    await session.sock.groupUpdateSubject(toGroupJid(groupId), subject);
+}
+
+/**
+ * Change (or clear) the group description
+ * @param {Object} session - Connected session
+ * @param {string} groupId - Group JID or ID
+ * @param {string|null} description - New description, empty to remove it
+ */
+async function updateDescription(session, groupId, description) {
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw new GroupInputError('description must be a string');
+    }
+    await session.sock.groupUpdateDescription(toGroupJid(groupId), description || undefined);
+}
+
+/**
+ * Change the group settings
+ * @param {Object} session - Connected session
+ * @param {string} groupId - Group JID or ID
+ * @param {Object} settings - { announcement: boolean, locked: boolean }
+ */
+async function updateSettings(session, groupId, settings = {}) {
+    const jid = toGroupJid(groupId);
+    const changes = Object.keys(GROUP_SETTINGS).filter(name => settings[name] !== undefined);
+    if (changes.length === 0) {
+        throw new GroupInputError(`Provide at least one of: ${Object.keys(GROUP_SETTINGS).join(', ')}`);
+    }
+
+    for (const name of changes) {
+        const [enabled, disabled] = GROUP_SETTINGS[name];
+        await session.sock.groupSettingUpdate(jid, settings[name] ? enabled : disabled);
+    }
+}
+
+/**
+ * Get the invite link of a group (the session must be an admin)
+ * @param {Object} session - Connected session
+ * @param {string} groupId - Group JID or ID
+ * @param {boolean} revoke - Revoke the current link and return the new one
+ * @returns {Promise<{ code: string, link: string }>}
+ */
+async function getInviteLink(session, groupId, revoke = false) {
+    const jid = toGroupJid(groupId);
+    const code = revoke ? await session.sock.groupRevokeInvite(jid) : await session.sock.groupInviteCode(jid);
+    return { code, link: `https://chat.whatsapp.com/${code}` };
+}
+
+/**
+ * Leave a group
+ * @param {Object} session - Connected session
+ * @param {string} groupId - Group JID or ID
+ */
+async function leaveGroup(session, groupId) {
+    await session.sock.groupLeave(toGroupJid(groupId));
+}
+
+/**
+ * Normalize a groups.update entry for the webhook
+ * Only the fields that changed are present in Baileys' update
+ * @param {Object} update - Partial GroupMetadata
+ * @param {Object} session - Session state
+ * @returns {Object}
+ */
+function normalizeGroupUpdate(update, session) {
+    const { sock, lidCache } = session;
+    const changes = {};
+    if (update.subject !== undefined) changes.subject = update.subject;
+    if (update.desc !== undefined) changes.description = update.desc || null;
+    if (update.announce !== undefined) changes.announcement = !!update.announce;
+    if (update.restrict !== undefined) changes.locked = !!update.restrict;
+    if (update.memberAddMode !== undefined) changes.memberAddMode = update.memberAddMode;
+    if (update.joinApprovalMode !== undefined) changes.joinApprovalMode = update.joinApprovalMode;
+
+    return {
+        groupId: update.id,
+        author: update.author ? extractPhoneNumber(update.author, sock, lidCache) : null,
+        changes
+    };
+}
+
+/**
+ * Normalize a group-participants.update event for the webhook
+ * @param {Object} update - { id, author, participants, action }
+ * @param {Object} session - Session state
+ * @returns {Object}
+ */
+function normalizeParticipantsUpdate(update, session) {
+    const { sock, lidCache } = session;
+    return {
+        groupId: update.id,
+        action: update.action,
+        author: update.author ? extractPhoneNumber(update.author, sock, lidCache) : null,
+        participants: (update.participants || []).map(participant => {
+            const { phone, jid, rawJid } = describeParticipant(participant, session);
+            return { phone, jid, rawJid };
+        })
+    };
+}
+
+module.exports = {
+    PARTICIPANT_ACTIONS,
+    GroupInputError,
+    listGroups,
+    getGroup,
+    createGroup,
+    updateParticipants,
+    updateSubject,
+    updateDescription,
+    updateSettings,
+    getInviteLink,
+    leaveGroup,
+    normalizeGroupUpdate,
+    normalizeParticipantsUpdate
+};
@@ -0,0 +1,117 @@
+const { downloadMediaMessage, BufferJSON } = require('@whiskeysockets/baileys');
+const pino = require('pino');
+const config = require('./config');
+const { getMediaStore } = require('./mediaStore');
+
+/**
+ * Build the gateway URL a stored media file can be fetched from
+ * Absolute when PUBLIC_URL is set, otherwise relative to the gateway
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @returns {string}
+ */
+function buildMediaUrl(sessionId, messageId) {
+    const base = config.publicUrl ? config.publicUrl.replace(/\/+$/, '') : '';
+    const prefix = sessionId === config.defaultSessionId ? '/api' : `/api/sessions/${encodeURIComponent(sessionId)}`;
+    return `${base}${prefix}/media/${encodeURIComponent(messageId)}`;
+}
+
+/**
+ * Download the media of a message from WhatsApp and put it in the media store
+ * @param {Object} session - Session state (its socket is used to re-request expired media)
+ * @param {Object} msg - Raw Baileys message
+ * @param {Object} meta - { messageType, mimetype, fileName }
+ * @param {number} maxBytes - Reject media larger than this
+ * @returns {Promise<Object>} - Stored media metadata
+ */
+async function downloadAndStoreMedia(session, msg, meta, maxBytes) {
+    const buffer = await downloadMediaMessage(
+        msg,
+        'buffer',
+        {},
+        {
+            logger: pino({ level: 'silent' }),
+            reuploadRequest: session.sock ? session.sock.updateMediaMessage : undefined
+        }
+    );
+
+    if (!buffer) {
+        throw new Error('Empty media download');
+    }
+    if (buffer.length > maxBytes) {
+        throw new Error(`Media is ${buffer.length} bytes, limit is ${maxBytes}`);
+    }
+
+    return getMediaStore().saveMedia(session.id, msg.key.id, buffer, meta);
+}
+
+/**
+ * Store the media of an inbound message and point the webhook payload at it
+ * A reference to the message is always kept, so media skipped here (too large,
+ * failed or expired by retention) can still be downloaded on demand later
+ * @param {Object} session - Session state
+ * @param {Object} msg - Raw Baileys message
+ * @param {Object} normalized - Normalized message (modified in place)
+ */
+async function handleInboundMedia(session, msg, normalized) {
+    const store = getMediaStore();
+    const meta = {
+        messageType: normalized.messageType,
+        mimetype: normalized.mimeType || null,
+        fileName: normalized.fileName || null
+    };
+
+    await store.saveRef(session.id, msg.key.id, {
+        ...meta,
+        message: JSON.stringify({ key: msg.key, message: msg.message }, BufferJSON.replacer)
+    });
+    normalized.localMediaUrl = buildMediaUrl(session.id, msg.key.id);
+
+    const declaredSize = Number(normalized.fileSize) || 0;
+    if (declaredSize > config.inboundMediaMaxBytes) {
+        normalized.mediaStored = false;
+        normalized.mediaError = `Media is ${declaredSize} bytes, larger than the auto-download limit (${config.inboundMediaMaxBytes}). Fetch it from localMediaUrl to download on demand.`;
+        return;
+    }
+
+    try {
+        console.log(`Downloading ${normalized.messageType} media...`);
+        await downloadAndStoreMedia(session, msg, meta, config.inboundMediaMaxBytes);
+        normalized.mediaStored = true;
+        console.log(`✓ ${normalized.messageType} media stored`);
+    } catch (err) {
+        console.error('Failed to download media:', err.message);
+        normalized.mediaStored = false;
+        normalized.mediaError = 'Failed to download media: ' + err.message;
+    }
+}
+
+/**
+ * Get stored media, downloading it from WhatsApp first if only the reference is left
+ * @param {Object} session - Session state
+ * @param {string} messageId - Message ID
+ * @param {boolean} force - Re-download even if the media is already stored
+ * @returns {Promise<Object|null>} - { meta, stream } or null if the message is unknown
+ */
+async function getOrDownloadMedia(session, messageId, force = false) {
+    const store = getMediaStore();
+
+    if (!force) {
+        const media = await store.getMedia(session.id, messageId);
+        if (media) return media;
+    }
+
+    const ref = await store.getRef(session.id, messageId);
+    if (!ref) return null;
+
+    const msg = JSON.parse(ref.message, BufferJSON.reviver);
+    const { message, savedAt, ...meta } = ref;
+    await downloadAndStoreMedia(session, msg, meta, config.mediaMaxBytes);
+    return store.getMedia(session.id, messageId);
+}
+
+module.exports = {
+    buildMediaUrl,
+    handleInboundMedia,
+    getOrDownloadMedia
+};
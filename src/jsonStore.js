@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a small JSON document persisted to a single file on disk
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated file behind
+ * @param {string} filePath - Where the document is stored
+ * @param {Object} defaults - Initial document when the file does not exist yet
+ * @returns {Object} - Store with `data` (the live document) and `save()`
+ */
+function createJsonStore(filePath, defaults = {}) {
+    const store = {
+        filePath,
+        data: { ...defaults },
+        save() {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(store.data));
+            fs.renameSync(tmpPath, filePath);
+        }
+    };
+
+    try {
+        if (fs.existsSync(filePath)) {
+            store.data = { ...defaults, ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) };
+        }
+    } catch (error) {
+        // Keep the broken file around for inspection instead of overwriting it
+        const brokenPath = `${filePath}.broken-${Date.now()}`;
+        console.error(`Could not read ${filePath} (${error.message}), moved to ${brokenPath}`);
+        fs.renameSync(filePath, brokenPath);
+    }
+
+    return store;
+}
+
+module.exports = {
+    createJsonStore
+};
@@ -0,0 +1,389 @@
+const { getDb } = require('./db');
+
+let statements = null;
+
+/**
+ * Create the mappings table on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS lid_mappings (
+            session_id TEXT NOT NULL,
+            lid TEXT NOT NULL,
+            phone TEXT NOT NULL,
+            source TEXT,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (session_id, lid)
+        );
+        CREATE INDEX IF NOT EXISTS lid_mappings_phone_idx ON lid_mappings (session_id, phone, updated_at);
+    `);
+
+    statements = {
+        all: db.prepare('SELECT lid, phone FROM lid_mappings WHERE session_id = ? ORDER BY updated_at'),
+        byLid: db.prepare('SELECT * FROM lid_mappings WHERE session_id = ? AND lid = ?'),
+        byPhone: db.prepare('SELECT * FROM lid_mappings WHERE session_id = ? AND phone = ? ORDER BY updated_at DESC LIMIT 1'),
+        upsert: db.prepare(`
+            INSERT INTO lid_mappings (session_id, lid, phone, source, updated_at)
+            VALUES (@sessionId, @lid, @phone, @source, @now)
+            ON CONFLICT (session_id, lid) DO UPDATE SET phone = excluded.phone, source = excluded.source, updated_at = excluded.updated_at
+        `),
+        // The LID a phone number was bound to before, the upsert replaces the old phone number of a LID itself
+        deleteOtherLids: db.prepare('DELETE FROM lid_mappings WHERE session_id = ? AND phone = ? AND lid != ?'),
+        deleteSession: db.prepare('DELETE FROM lid_mappings WHERE session_id = ?')
+    };
+    return statements;
+}
+
+/**
+ * Create the in-memory view of a session's LID <-> phone number mappings
+ * The mappings themselves live in DATA_DIR/gateway.db
+ * @param {string} sessionId - Session ID
+ * @param {Object} authStore - Auth store of the session (Baileys keeps lid-mapping keys there)
+ * @returns {Object} - LID cache passed to the normalizer functions
+ */
+function createLidCache(sessionId, authStore) {
+    return {
+        sessionId,
+        authStore,
+        lidToPhoneCache: new Map(),
+        phoneToLidCache: new Map(),
+        unresolved: new Set(), // LIDs already reported as unresolved, to log them once
+        mappingsLoaded: false
+    };
+}
+
+/**
+ * Drop the in-memory mappings of a session (the stored mappings are kept)
+ * @param {Object} lidCache - LID cache created by createLidCache
+ */
+function closeLidCache(lidCache) {
+    if (!lidCache) return;
+    lidCache.lidToPhoneCache.clear();
+    lidCache.phoneToLidCache.clear();
+    lidCache.unresolved.clear();
+    lidCache.mappingsLoaded = false;
+}
+
+/**
+ * User part of a JID without the device suffix ("628123:12@s.whatsapp.net" -> "628123")
+ * @param {string} jid - JID or bare user
+ * @returns {string}
+ */
+function jidUser(jid) {
+    return String(jid || '').split('@')[0].split(':')[0];
+}
+
+/**
+ * Turn a Baileys lid-mapping key into a pair
+ * lid-mapping <phone> holds the LID, lid-mapping <lid>_reverse holds the phone number
+ * @param {string} id - Key ID
+ * @param {string} value - Key value
+ * @returns {Array<string>} - [lid, phone]
+ */
+function mappingFromKey(id, value) {
+    return id.endsWith('_reverse')
+        ? [id.slice(0, -'_reverse'.length), value]
+        : [value, id];
+}
+
+/**
+ * Import the lid-mapping keys Baileys keeps in the auth state
+ * @param {Object} lidCache - LID cache of the session
+ * @returns {Promise<number>} - Number of mappings imported
+ */
+async function importAuthStateMappings(lidCache) {
+    if (!lidCache.authStore) return 0;
+
+    let imported = 0;
+    for (const { id, value } of await lidCache.authStore.list('lid-mapping')) {
+        try {
+            const [lid, phone] = mappingFromKey(id, JSON.parse(value));
+            if (rememberLidMapping(lidCache, lid, phone, 'auth-state')) {
+                imported++;
+            }
+        } catch (error) {
+            console.error(`[${lidCache.sessionId}] Error reading mapping key ${id}:`, error.message);
+        }
+    }
+    return imported;
+}
+
+/**
+ * Load a session's mappings into memory, then import Baileys' lid-mapping keys in the background
+ * @param {Object} lidCache - LID cache of the session
+ */
+function loadLidMappings(lidCache) {
+    if (!lidCache || lidCache.mappingsLoaded) return;
+    lidCache.mappingsLoaded = true;
+
+    try {
+        for (const { lid, phone } of init().all.all(lidCache.sessionId)) {
+            lidCache.lidToPhoneCache.set(lid, phone);
+            lidCache.phoneToLidCache.set(phone, lid);
+        }
+        console.log(`[${lidCache.sessionId}] ✓ Loaded ${lidCache.lidToPhoneCache.size} LID mapping(s)`);
+    } catch (error) {
+        console.error(`[${lidCache.sessionId}] Error loading LID mappings:`, error.message);
+    }
+
+    importAuthStateMappings(lidCache)
+        .then((imported) => {
+            if (imported) console.log(`[${lidCache.sessionId}] ✓ Imported ${imported} LID mapping(s) from the auth state`);
+        })
+        .catch(error => console.error(`[${lidCache.sessionId}] Error importing LID mappings from the auth state:`, error.message));
+}
+
+/**
+ * Store a LID <-> phone number mapping
+ * A LID or phone number bound to something else before loses its old counterpart, so lookups
+ * through the old key do not resolve to the wrong JID
+ * @param {Object} lidCache - LID cache of the session
+ * @param {string} lid - LID, with or without @lid
+ * @param {string} phone - Phone number, with or without @s.whatsapp.net
+ * @param {string} source - Where the mapping was learned (lid-mapping, contact, message, ...)
+ * @returns {boolean} - true if the mapping is new or changed
+ */
+function rememberLidMapping(lidCache, lid, phone, source) {
+    if (!lidCache) return false;
+    const lidUser = jidUser(lid);
+    const phoneUser = jidUser(phone);
+    if (!/^\d+$/.test(lidUser) || !/^\d{6,15}$/.test(phoneUser)) return false;
+
+    if (lidCache.lidToPhoneCache.get(lidUser) === phoneUser && lidCache.phoneToLidCache.get(phoneUser) === lidUser) {
+        return false;
+    }
+
+    const stmts = init();
+    getDb().transaction(() => {
+        stmts.deleteOtherLids.run(lidCache.sessionId, phoneUser, lidUser);
+        stmts.upsert.run({ sessionId: lidCache.sessionId, lid: lidUser, phone: phoneUser, source, now: Date.now() });
+    })();
+
+    const previousPhone = lidCache.lidToPhoneCache.get(lidUser);
+    if (previousPhone && previousPhone !== phoneUser && lidCache.phoneToLidCache.get(previousPhone) === lidUser) {
+        lidCache.phoneToLidCache.delete(previousPhone);
+    }
+    const previousLid = lidCache.phoneToLidCache.get(phoneUser);
+    if (previousLid && previousLid !== lidUser && lidCache.lidToPhoneCache.get(previousLid) === phoneUser) {
+        lidCache.lidToPhoneCache.delete(previousLid);
+    }
+    lidCache.lidToPhoneCache.set(lidUser, phoneUser);
+    lidCache.phoneToLidCache.set(phoneUser, lidUser);
+    lidCache.unresolved.delete(lidUser);
+    return true;
+}
+
+/**
+ * Phone number of a LID, null when the session has not learned it
+ * @param {Object} lidCache - LID cache of the session
+ * @param {string} lid - LID, with or without @lid
+ * @returns {string|null}
+ */
+function lookupPhoneByLid(lidCache, lid) {
+    if (!lidCache) return null;
+    loadLidMappings(lidCache);
+    return lidCache.lidToPhoneCache.get(jidUser(lid)) || null;
+}
+
+/**
+ * LID of a phone number, null when the session has not learned it
+ * @param {Object} lidCache - LID cache of the session
+ * @param {string} phone - Phone number, with or without @s.whatsapp.net
+ * @returns {string|null}
+ */
+function lookupLidByPhone(lidCache, phone) {
+    if (!lidCache) return null;
+    loadLidMappings(lidCache);
+    return lidCache.phoneToLidCache.get(jidUser(phone)) || null;
+}
+
+/**
+ * Learn the mapping of a pair of JIDs where one is a LID and the other a phone number JID
+ * @param {Object} lidCache - LID cache of the session
+ * @param {string} a - JID
+ * @param {string} b - The same user's other JID
+ * @param {string} source - Where the pair came from
+ * @returns {boolean}
+ */
+function learnPair(lidCache, a, b, source) {
+    if (!a || !b) return false;
+    if (a.endsWith('@lid') && b.endsWith('@s.whatsapp.net')) return rememberLidMapping(lidCache, a, b, source);
+    if (b.endsWith('@lid') && a.endsWith('@s.whatsapp.net')) return rememberLidMapping(lidCache, b, a, source);
+    return false;
+}
+
+/**
+ * Learn from the alternate addressing WhatsApp sends along with message keys
+ * (remoteJidAlt / participantAlt, senderPn / participantPn on older versions)
+ * @param {Object} lidCache - LID cache of the session
+ * @param {Object} key - Baileys message key
+ */
+function learnFromMessageKey(lidCache, key) {
+    if (!key) return;
+    loadLidMappings(lidCache);
+    learnPair(lidCache, key.remoteJid, key.remoteJidAlt || key.senderPn, 'message');
+    learnPair(lidCache, key.participant, key.participantAlt || key.participantPn, 'message');
+}
+
+/**
+ * Learn from contacts.upsert / contacts.update entries ({ id, lid, phoneNumber, jid })
+ * @param {Object} lidCache - LID cache of the session
+ * @param {Array<Object>} contacts - Baileys contacts
+ */
+function learnFromContacts(lidCache, contacts) {
+    loadLidMappings(lidCache);
+    for (const contact of contacts || []) {
+        const ids = [contact.id, contact.lid, contact.phoneNumber, contact.jid].filter(Boolean);
+        const lid = ids.find(id => id.endsWith('@lid'));
+        const phone = ids.find(id => id.endsWith('@s.whatsapp.net'));
+        if (lid && phone) {
+            rememberLidMapping(lidCache, lid, phone, 'contact');
+        }
+    }
+}
+
+/**
+ * Learn from Baileys' lid-mapping.update event ({ lid, pn }, or a list of them)
+ * @param {Object} lidCache - LID cache of the session
+ * @param {Object|Array<Object>} update - Event payload
+ */
+function learnFromLidMappingUpdate(lidCache, update) {
+    loadLidMappings(lidCache);
+    for (const mapping of Array.isArray(update) ? update : [update]) {
+        if (mapping && mapping.lid && mapping.pn) {
+            rememberLidMapping(lidCache, mapping.lid, mapping.pn, 'lid-mapping');
+        }
+    }
+}
+
+/**
+ * Learn from the lid-mapping keys Baileys writes to the auth state
+ * @param {Object} lidCache - LID cache of the session
+ * @param {Object} data - Key data passed to the auth state's keys.set ({ 'lid-mapping': { id: value } })
+ */
+function learnFromAuthKeys(lidCache, data) {
+    const mappings = data && data['lid-mapping'];
+    if (!mappings) return;
+
+    loadLidMappings(lidCache);
+    for (const [id, value] of Object.entries(mappings)) {
+        if (value) {
+            const [lid, phone] = mappingFromKey(id, value);
+            rememberLidMapping(lidCache, lid, phone, 'auth-state');
+        }
+    }
+}
+
+/**
+ * Look up a mapping the store does not have yet in the session's auth state
+ * Works while the session is disconnected, unlike fetchMappingFromSocket
+ * @param {Object} lidCache - LID cache of the session
+ * @param {string} jid - "<lid>@lid" or "<phone>@s.whatsapp.net"
+ * @returns {Promise<boolean>} - true if a mapping was learned
+ */
+async function fetchMappingFromAuthState(lidCache, jid) {
+    if (!lidCache.authStore) return false;
+
+    const user = jidUser(jid);
+    const id = jid.endsWith('@lid') ? `${user}_reverse` : user;
+    try {
+        const values = await lidCache.authStore.get('lid-mapping', [id]);
+        if (!values[id]) return false;
+        const [lid, phone] = mappingFromKey(id, JSON.parse(values[id]));
+        return rememberLidMapping(lidCache, lid, phone, 'auth-state');
+    } catch (error) {
+        console.error(`[${lidCache.sessionId}] Error looking up ${jid} in the auth state:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Ask the socket's signal repository for a mapping the store does not have yet
+ * @param {Object} lidCache - LID cache of the session
+ * @param {Object} sock - Connected Baileys socket
+ * @param {string} jid - "<lid>@lid" or "<phone>@s.whatsapp.net"
+ * @returns {Promise<boolean>} - true if a mapping was learned
+ */
+async function fetchMappingFromSocket(lidCache, sock, jid) {
+    const lidMapping = sock && sock.signalRepository && sock.signalRepository.lidMapping;
+    if (!lidMapping) return false;
+
+    try {
+        if (jid.endsWith('@lid')) {
+            const phoneJid = lidMapping.getPNForLID && await lidMapping.getPNForLID(jid);
+            return phoneJid ? rememberLidMapping(lidCache, jid, phoneJid, 'signal') : false;
+        }
+        const lidJid = lidMapping.getLIDForPN && await lidMapping.getLIDForPN(jid);
+        return lidJid ? rememberLidMapping(lidCache, lidJid, jid, 'signal') : false;
+    } catch (error) {
+        console.error(`[${lidCache.sessionId}] Error looking up ${jid} in the signal repository:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Describe a stored mapping
+ * @param {Object} row - lid_mappings row
+ * @returns {Object|null}
+ */
+function describeMapping(row) {
+    if (!row) return null;
+    return {
+        lid: row.lid,
+        lidJid: `${row.lid}@lid`,
+        phone: row.phone,
+        jid: `${row.phone}@s.whatsapp.net`,
+        source: row.source,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Stored mapping of a LID
+ * @param {string} sessionId - Session ID
+ * @param {string} lid - LID, with or without @lid
+ * @returns {Object|null}
+ */
+function getMappingByLid(sessionId, lid) {
+    return describeMapping(init().byLid.get(sessionId, jidUser(lid)));
+}
+
+/**
+ * Stored mapping of a phone number (the most recent one)
+ * @param {string} sessionId - Session ID
+ * @param {string} phone - Phone number
+ * @returns {Object|null}
+ */
+function getMappingByPhone(sessionId, phone) {
+    return describeMapping(init().byPhone.get(sessionId, jidUser(phone)));
+}
+
+/**
+ * Remove all mappings of a session
+ * @param {string} sessionId - Session ID
+ */
+function deleteSessionLidMappings(sessionId) {
+    init().deleteSession.run(sessionId);
+}
+
+module.exports = {
+    createLidCache,
+    closeLidCache,
+    loadLidMappings,
+    rememberLidMapping,
+    lookupPhoneByLid,
+    lookupLidByPhone,
+    learnFromMessageKey,
+    learnFromContacts,
+    learnFromLidMappingUpdate,
+    learnFromAuthKeys,
+    fetchMappingFromAuthState,
+    fetchMappingFromSocket,
+    getMappingByLid,
+    getMappingByPhone,
+    deleteSessionLidMappings
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Available storage drivers, selected with MEDIA_STORE
+const drivers = {};
+let activeStore = null;
+
+/**
+ * Make a message ID safe to use as a file name
+ * @param {string} id - Message or session ID
+ * @returns {string}
+ */
+function safeName(id) {
+    return String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Local filesystem media store
+ * Layout: <baseDir>/<sessionId>/<messageId>.bin (bytes), .json (metadata), .ref.json (message reference)
+ * @param {string} baseDir - Root folder for stored media
+ * @returns {Object} - Media store
+ */
+function createLocalMediaStore(baseDir) {
+    const filePath = (sessionId, messageId, suffix) =>
+        path.join(baseDir, safeName(sessionId), `${safeName(messageId)}${suffix}`);
+
+    const readJson = (file) => fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+
+    return {
+        async saveMedia(sessionId, messageId, buffer, meta) {
+            const record = { ...meta, messageId, sessionId, size: buffer.length, savedAt: Date.now() };
+            fs.mkdirSync(path.join(baseDir, safeName(sessionId)), { recursive: true });
+            fs.writeFileSync(filePath(sessionId, messageId, '.bin'), buffer);
+            fs.writeFileSync(filePath(sessionId, messageId, '.json'), JSON.stringify(record));
+            return record;
+        },
+
+        async getMedia(sessionId, messageId) {
+            const meta = readJson(filePath(sessionId, messageId, '.json'));
+            const bin = filePath(sessionId, messageId, '.bin');
+            if (!meta || !fs.existsSync(bin)) return null;
+            return { meta, stream: fs.createReadStream(bin) };
+        },
+
+        async deleteMedia(sessionId, messageId) {
+            fs.rmSync(filePath(sessionId, messageId, '.bin'), { force: true });
+            fs.rmSync(filePath(sessionId, messageId, '.json'), { force: true });
+        },
+
+        async saveRef(sessionId, messageId, ref) {
+            fs.mkdirSync(path.join(baseDir, safeName(sessionId)), { recursive: true });
+            fs.writeFileSync(filePath(sessionId, messageId, '.ref.json'), JSON.stringify({ ...ref, savedAt: Date.now() }));
+        },
+
+        async getRef(sessionId, messageId) {
+            return readJson(filePath(sessionId, messageId, '.ref.json'));
+        },
+
+        async deleteSession(sessionId) {
+            fs.rmSync(path.join(baseDir, safeName(sessionId)), { recursive: true, force: true });
+        },
+
+        async cleanup(mediaMaxAgeMs, refMaxAgeMs) {
+            if (!fs.existsSync(baseDir)) return 0;
+            const now = Date.now();
+            let removed = 0;
+
+            for (const sessionDir of fs.readdirSync(baseDir)) {
+                const dir = path.join(baseDir, sessionDir);
+                if (!fs.statSync(dir).isDirectory()) continue;
+
+                for (const file of fs.readdirSync(dir)) {
+                    const full = path.join(dir, file);
+                    const isRef = file.endsWith('.ref.json');
+                    const isMeta = !isRef && file.endsWith('.json');
+                    const maxAge = isRef ? refMaxAgeMs : mediaMaxAgeMs;
+                    if ((!isRef && !isMeta) || !maxAge) continue;
+
+                    try {
+                        const { savedAt } = JSON.parse(fs.readFileSync(full, 'utf-8'));
+                        if (now - savedAt > maxAge) {
+                            fs.rmSync(full, { force: true });
+                            if (isMeta) {
+                                fs.rmSync(full.replace(/\.json$/, '.bin'), { force: true });
+                            }
+                            removed++;
+                        }
+                    } catch (error) {
+                        console.error(`Error checking media file ${full}:`, error.message);
+                    }
+                }
+            }
+            return removed;
+        }
+    };
+}
+
+drivers.local = () => createLocalMediaStore(config.mediaDir);
+
+/**
+ * Register a custom storage driver (e.g. S3), selectable with MEDIA_STORE=<name>
+ * A driver is a factory returning an object with the same async methods as the local store,
+ * deleteSession is optional (drivers without it keep a deleted session's media until cleanup)
+ * @param {string} name - Driver name
+ * @param {Function} factory - Returns the media store
+ */
+function registerMediaStore(name, factory) {
+    drivers[name] = factory;
+}
+
+/**
+ * Get the configured media store
+ * @returns {Object}
+ */
+function getMediaStore() {
+    if (!activeStore) {
+        const factory = drivers[config.mediaStore];
+        if (!factory) {
+            throw new Error(`Unknown MEDIA_STORE "${config.mediaStore}" (available: ${Object.keys(drivers).join(', ')})`);
+        }
+        activeStore = factory();
+    }
+    return activeStore;
+}
+
+/**
+ * Periodically delete media past MEDIA_RETENTION_HOURS and references past MEDIA_REF_RETENTION_DAYS
+ * Called once on server boot
+ */
+function startMediaCleanup() {
+    const run = async () => {
+        try {
+            const removed = await getMediaStore().cleanup(
+                config.mediaRetentionHours * 60 * 60 * 1000,
+                config.mediaRefRetentionDays * 24 * 60 * 60 * 1000
+            );
+            if (removed > 0) {
+                console.log(`Media cleanup removed ${removed} expired file(s)`);
+            }
+        } catch (error) {
+            console.error('Error cleaning up media:', error.message);
+        }
+    };
+
+    run();
+    setInterval(run, 60 * 60 * 1000).unref(); // Every hour
+}
+
+module.exports = {
+    createLocalMediaStore,
+    registerMediaStore,
+    getMediaStore,
+    startMediaCleanup
+};
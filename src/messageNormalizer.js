@@ -1,247 +1,61 @@
 const { jidNormalizedUser } = require('@whiskeysockets/baileys');
-const fs = require('fs');
-const path = require('path');
-
-// Bidirectional cache: LID <-> Phone Number mappings
-const lidToPhoneCache = new Map();
-const phoneToLidCache = new Map();
-let mappingsLoaded = false;
-let authDir = path.join(process.cwd(), 'auth_info_baileys');
-let fileWatcher = null;
+const { lookupPhoneByLid, lookupLidByPhone } = require('./lidStore');
 
 /**
- * Validate that auth directory and mappings exist
- * @returns {Object} - Validation result with status and message
+ * Resolve LID to actual WhatsApp phone number
+ * Mappings are learned from Baileys' lid-mapping.update events, contacts and message keys
+ * (see lidStore.js). A LID that has not been learned yet stays unresolved, it is never guessed
+ * @param {string} lid - The LID without @lid suffix (e.g., "138259359346791")
+ * @param {Object} sock - Baileys socket instance
+ * @param {Object} lidCache - LID cache of the session
+ * @returns {string|null} - Phone number or null
  */
-function validateMappings() {
-    const result = {
-        valid: false,
-        authDirExists: false,
-        mappingCount: 0,
-        message: ''
-    };
-    
-    if (!fs.existsSync(authDir)) {
-        result.message = `CRITICAL: Auth directory not found at ${authDir}. LID resolution will fail!`;
-        console.error(result.message);
-        return result;
-    }
-    
-    result.authDirExists = true;
-    
-    try {
-        const files = fs.readdirSync(authDir);
-        const mappingFiles = files.filter(f => f.startsWith('lid-mapping-') && !f.includes('_reverse'));
-        result.mappingCount = mappingFiles.length;
-        
-        if (result.mappingCount === 0) {
-            result.message = 'WARNING: No LID mapping files found. This is normal for new sessions.';
-            console.warn(result.message);
-            result.valid = true; // Not critical for new sessions
-        } else {
-            result.valid = true;
-            result.message = `Found ${result.mappingCount} LID mapping file(s)`;
-            console.log(result.message);
-        }
-    } catch (error) {
-        result.message = `Error validating mappings: ${error.message}`;
-        console.error(result.message);
+function resolveLidToPhoneNumber(lid, sock = null, lidCache = null) {
+    if (!lid) return null;
+    if (!lidCache) {
+        console.error(`Cannot resolve LID ${lid} - no LID cache for this session`);
+        return null;
     }
-    
-    return result;
-}
 
-/**
- * Watch auth directory for new mapping files and auto-reload
- */
-function watchMappingFiles() {
-    if (fileWatcher || !fs.existsSync(authDir)) return;
-    
-    try {
-        fileWatcher = fs.watch(authDir, (eventType, filename) => {
-            if (filename && filename.startsWith('lid-mapping-')) {
-                console.log(`Detected new/changed mapping file: ${filename}, reloading...`);
-                // Reset loaded flag to force reload on next access
-                mappingsLoaded = false;
-                loadAllLidMappings();
-            }
-        });
-        console.log('File watcher active - will auto-reload LID mappings');
-    } catch (error) {
-        console.error('Could not setup file watcher:', error.message);
+    const phoneNumber = lookupPhoneByLid(lidCache, lid);
+    if (phoneNumber) {
+        return phoneNumber;
     }
-}
 
-/**
- * Load all LID mappings from auth_info_baileys directory
- * This builds a comprehensive bidirectional mapping cache
- */
-function loadAllLidMappings() {
-    if (mappingsLoaded) return;
-    
-    console.log('Loading LID mappings...');
-    
-    try {
-        if (!fs.existsSync(authDir)) {
-            console.warn(`Auth directory not found at ${authDir}, LID mappings unavailable`);
-            console.warn('This is normal for new sessions. Mappings will be created as you receive messages.');
-            mappingsLoaded = true; // Mark as loaded to prevent repeated warnings
-            return;
-        }
-        
-        const files = fs.readdirSync(authDir);
-        let loadedCount = 0;
-        
-        // Process all lid-mapping files
-        files.forEach(file => {
-            try {
-                // Handle forward mappings: lid-mapping-{phoneNumber}.json -> contains LID
-                if (file.startsWith('lid-mapping-') && !file.includes('_reverse')) {
-                    const phoneNumber = file.replace('lid-mapping-', '').replace('.json', '');
-                    const filePath = path.join(authDir, file);
-                    const lid = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-                    
-                    if (lid && phoneNumber) {
-                        lidToPhoneCache.set(lid, phoneNumber);
-                        phoneToLidCache.set(phoneNumber, lid);
-                        loadedCount++;
-                    }
-                }
-                // Handle reverse mappings: lid-mapping-{LID}_reverse.json -> contains phoneNumber
-                else if (file.includes('_reverse.json')) {
-                    const lid = file.replace('lid-mapping-', '').replace('_reverse.json', '');
-                    const filePath = path.join(authDir, file);
-                    const phoneNumber = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-                    
-                    if (lid && phoneNumber) {
-                        lidToPhoneCache.set(lid, phoneNumber);
-                        phoneToLidCache.set(phoneNumber, lid);
-                        loadedCount++;
-                    }
-                }
-            } catch (error) {
-                console.error(`Error reading mapping file ${file}:`, error.message);
-            }
-        });
-        
-        mappingsLoaded = true;
-        console.log(`✓ Loaded ${loadedCount} LID mapping(s) from ${lidToPhoneCache.size} unique LID(s)`);
-        
-        // Start watching for new mappings
-        watchMappingFiles();
-        
-    } catch (error) {
-        console.error('Error loading LID mappings:', error.message);
-        mappingsLoaded = true; // Mark as loaded to prevent infinite retry
+    // Report each unknown LID once, it is resolved as soon as the mapping is learned
+    if (!lidCache.unresolved.has(lid)) {
+        lidCache.unresolved.add(lid);
+        console.warn(`⚠ No phone number known yet for LID ${lid}, leaving it unresolved`);
     }
+    return null;
 }
 
 /**
- * Resolve LID to actual WhatsApp phone number with multiple fallback strategies
- * @param {string} lid - The LID without @lid suffix (e.g., "138259359346791")
- * @param {Object} sock - Baileys socket instance
- * @returns {string|null} - Phone number or null
+ * Find the LID WhatsApp uses for a phone number, if the session has seen it
+ * @param {string} phoneNumber - Phone number without suffix
+ * @param {Object} lidCache - LID cache of the session
+ * @returns {string|null} - LID without @lid suffix, or null
  */
-function resolveLidToPhoneNumber(lid, sock = null) {
-    if (!lid) return null;
-    
-    // Ensure mappings are loaded
-    loadAllLidMappings();
-    
-    // Strategy 1: Check cache first (fastest)
-    if (lidToPhoneCache.has(lid)) {
-        return lidToPhoneCache.get(lid);
-    }
-    
-    // Strategy 2: Try to get from socket's auth state
-    if (sock && sock.authState && sock.authState.creds && sock.authState.creds.lid) {
-        const mapping = sock.authState.creds.lid;
-        if (mapping.mapping && mapping.mapping[lid]) {
-            const phoneNumber = mapping.mapping[lid];
-            lidToPhoneCache.set(lid, phoneNumber);
-            phoneToLidCache.set(phoneNumber, lid);
-            return phoneNumber;
-        }
-    }
-    
-    // Strategy 3: Read from reverse mapping file (last resort)
-    try {
-        const authDir = path.join(process.cwd(), 'auth_info_baileys');
-        const reverseMappingFile = path.join(authDir, `lid-mapping-${lid}_reverse.json`);
-        
-        if (fs.existsSync(reverseMappingFile)) {
-            const phoneNumber = JSON.parse(fs.readFileSync(reverseMappingFile, 'utf-8'));
-            lidToPhoneCache.set(lid, phoneNumber);
-            phoneToLidCache.set(phoneNumber, lid);
-            return phoneNumber;
-        }
-    } catch (error) {
-        console.error(`Error reading LID reverse mapping for ${lid}:`, error.message);
-    }
-    
-    // Strategy 4: Scan all forward mapping files as last resort
-    try {
-        const files = fs.readdirSync(authDir);
-        
-        for (const file of files) {
-            if (file.startsWith('lid-mapping-') && !file.includes('_reverse')) {
-                const filePath = path.join(authDir, file);
-                const fileLid = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-                
-                if (fileLid === lid) {
-                    const phoneNumber = file.replace('lid-mapping-', '').replace('.json', '');
-                    lidToPhoneCache.set(lid, phoneNumber);
-                    phoneToLidCache.set(phoneNumber, lid);
-                    console.log(`✓ Resolved LID ${lid} -> ${phoneNumber} from forward scan`);
-                    return phoneNumber;
-                }
-            }
-        }
-    } catch (error) {
-        console.error(`Error scanning for LID ${lid}:`, error.message);
-    }
-    
-    // EMERGENCY FALLBACK: If LID looks like a phone number (10-15 digits), use it as-is
-    // Some LIDs are actually phone numbers in disguise, especially for new contacts
-    if (/^\d{10,15}$/.test(lid)) {
-        console.warn(`⚠ EMERGENCY FALLBACK: Using LID ${lid} as phone number (mapping not found)`);
-        console.warn('This may happen for new contacts. Mapping will be available after message exchange.');
-        // Cache it to avoid repeated warnings
-        lidToPhoneCache.set(lid, lid);
-        return lid; // Return the LID itself as it's likely a valid phone number
-    }
-    
-    // Absolutely could not resolve and doesn't look like a phone number
-    console.error(`✗ FAILED to resolve LID ${lid} to phone number after all strategies`);
-    return null;
+function resolvePhoneNumberToLid(phoneNumber, lidCache = null) {
+    if (!phoneNumber || !lidCache) return null;
+    return lookupLidByPhone(lidCache, phoneNumber);
 }
 
 /**
  * Extract WhatsApp number from JID (removes @s.whatsapp.net suffix)
  * Handles both traditional JIDs and LIDs by resolving them to phone numbers
- * GUARANTEED to return phone number for valid WhatsApp users, uses emergency fallback if needed
  * @param {string} jid - WhatsApp JID
  * @param {Object} sock - Baileys socket instance for LID resolution
- * @returns {string|null} - Phone number or null only if invalid JID
+ * @param {Object} lidCache - LID cache of the session
+ * @returns {string|null} - Phone number, null for invalid JIDs and unresolved LIDs
  */
-function extractPhoneNumber(jid, sock = null) {
+function extractPhoneNumber(jid, sock = null, lidCache = null) {
     if (!jid) return null;
     
-    // Handle LID format - MUST resolve to actual phone number
+    // Handle LID format - resolve to the actual phone number, null while the mapping is unknown
     if (jid.includes('@lid')) {
         const lid = jid.split('@')[0];
-        const phoneNumber = resolveLidToPhoneNumber(lid, sock);
-        
-        if (phoneNumber) {
-            return phoneNumber; // Successfully resolved or emergency fallback
-        }
-        
-        // Extremely rare case - log but return null to prevent data corruption
-        console.error(`CRITICAL: Could not resolve LID ${lid} even with emergency fallback!`);
-        console.error(`JID: ${jid} - This LID doesn't match any known phone number pattern`);
-        return null;
-        console.error(`JID: ${jid}`);
-        return null; // Return null instead of LID to prevent data corruption
+        return resolveLidToPhoneNumber(lid, sock, lidCache); // Never return the LID itself as a phone number
     }
     
     // Handle traditional WhatsApp JID
@@ -278,9 +92,10 @@ function extractLid(jid) {
  * Converts LIDs to WhatsApp JIDs, keeps groups as-is
  * @param {string} jid - Any JID format
  * @param {Object} sock - Baileys socket instance for LID resolution
+ * @param {Object} lidCache - LID cache of the session
  * @returns {string|null} - Normalized WhatsApp JID (e.g., "6285777168752@s.whatsapp.net") or null
  */
-function normalizeToWhatsAppJid(jid, sock = null) {
+function normalizeToWhatsAppJid(jid, sock = null, lidCache = null) {
     if (!jid) return null;
     
     // Already in WhatsApp format - return as-is
@@ -295,7 +110,7 @@ function normalizeToWhatsAppJid(jid, sock = null) {
     
     // Handle LID - convert to WhatsApp JID format
     if (jid.includes('@lid')) {
-        const phoneNumber = extractPhoneNumber(jid, sock);
+        const phoneNumber = extractPhoneNumber(jid, sock, lidCache);
         if (phoneNumber) {
             return `${phoneNumber}@s.whatsapp.net`;
         }
@@ -305,7 +120,7 @@ function normalizeToWhatsAppJid(jid, sock = null) {
     }
     
     // Unknown format - try to extract phone number and convert
-    const phoneNumber = extractPhoneNumber(jid, sock);
+    const phoneNumber = extractPhoneNumber(jid, sock, lidCache);
     if (phoneNumber) {
         return `${phoneNumber}@s.whatsapp.net`;
     }
@@ -313,25 +128,150 @@ function normalizeToWhatsAppJid(jid, sock = null) {
     return null;
 }
 
+// Envelopes around the actual content, unwrapped before a message is classified
+const WRAPPER_TYPES = [
+    'ephemeralMessage',
+    'viewOnceMessage',
+    'viewOnceMessageV2',
+    'viewOnceMessageV2Extension',
+    'documentWithCaptionMessage',
+    'editedMessage'
+];
+
+// Keys that sit next to the content without being content themselves
+const METADATA_KEYS = ['messageContextInfo', 'senderKeyDistributionMessage'];
+
+// protocolMessage types are numbers on decoded messages and names in JSON recordings
+const PROTOCOL_REVOKE = [0, 'REVOKE'];
+const PROTOCOL_EDIT = [14, 'MESSAGE_EDIT'];
+
+/**
+ * Strip the envelopes WhatsApp puts around message content (view once, disappearing messages, captioned documents, edits)
+ * @param {Object} message - Raw message content
+ * @returns {{ content: Object, isViewOnce: boolean, isEphemeral: boolean }}
+ */
+function unwrapMessage(message) {
+    let content = message || {};
+    let isViewOnce = false;
+    let isEphemeral = false;
+
+    // Envelopes can be nested (view once in a disappearing chat), the depth limit guards against loops
+    for (let depth = 0; depth < 5; depth++) {
+        const wrapper = WRAPPER_TYPES.find(type => content[type] && content[type].message);
+        if (!wrapper) break;
+        if (wrapper.startsWith('viewOnce')) isViewOnce = true;
+        if (wrapper === 'ephemeralMessage') isEphemeral = true;
+        content = content[wrapper].message;
+    }
+    return { content, isViewOnce, isEphemeral };
+}
+
+/**
+ * Name of the content type of a message ("conversation", "imageMessage", ...)
+ * @param {Object} content - Unwrapped message content
+ * @returns {string|null}
+ */
+function getContentType(content) {
+    return Object.keys(content).find(key => !METADATA_KEYS.includes(key) && content[key]) || null;
+}
+
+/**
+ * contextInfo of the message content, every message type can carry one (quotes, mentions, forwards, expiration)
+ * @param {Object} content - Unwrapped message content
+ * @returns {Object|null}
+ */
+function getContextInfo(content) {
+    const inner = Object.values(content).find(value => value && typeof value === 'object' && value.contextInfo);
+    return inner ? inner.contextInfo : null;
+}
+
+/**
+ * Copy quote, mention, forward and disappearing message metadata into the normalized message
+ * @param {Object} normalized - Normalized message (modified in place)
+ * @param {Object} contextInfo - contextInfo of the message
+ * @param {Object} sock - Baileys socket instance for LID resolution
+ * @param {Object} lidCache - LID cache of the session
+ */
+function applyContextInfo(normalized, contextInfo, sock, lidCache) {
+    if (!contextInfo) return;
+
+    if (contextInfo.quotedMessage) {
+        const quotedParticipant = contextInfo.participant;
+        normalized.quotedMessage = {
+            messageId: contextInfo.stanzaId,
+            participant: extractPhoneNumber(quotedParticipant, sock, lidCache),
+            participantLid: extractLid(quotedParticipant),
+            participantJid: quotedParticipant,
+            content: extractQuotedContent(contextInfo.quotedMessage)
+        };
+    }
+
+    if (contextInfo.mentionedJid) {
+        const mentionedJids = contextInfo.mentionedJid;
+        normalized.mentions = mentionedJids
+            .map(jid => extractPhoneNumber(jid, sock, lidCache))
+            .filter(num => num !== null);
+        normalized.mentionLids = mentionedJids
+            .map(jid => extractLid(jid))
+            .filter(lid => lid !== null);
+    }
+
+    normalized.isForwarded = !!contextInfo.isForwarded;
+    normalized.forwardingScore = contextInfo.forwardingScore || 0;
+
+    if (contextInfo.expiration) {
+        normalized.isEphemeral = true;
+        normalized.ephemeralExpiration = contextInfo.expiration; // Seconds until the message disappears
+    }
+}
+
+/**
+ * Turn a protobuf number (number, numeric string or Long) into a plain number
+ * @param {number|string|Object} value - Field of a Baileys message
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = typeof value === 'object' && typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse the JSON parameters of a native flow reply
+ * @param {string} value - paramsJson
+ * @returns {Object|string|null} - Parsed object, the raw string if it is not JSON
+ */
+function parseParams(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
 /**
  * Normalize message data into a consistent structure
  * @param {Object} msg - Raw Baileys message object
  * @param {Object} sock - Baileys socket instance for LID resolution (optional)
+ * @param {Object} lidCache - LID cache of the session the message belongs to (optional)
  * @returns {Object} - Normalized message structure
  */
-function normalizeMessage(msg, sock = null) {
+function normalizeMessage(msg, sock = null, lidCache = null) {
     const normalized = {
         messageId: msg.key.id,
-        timestamp: msg.messageTimestamp ? Number(msg.messageTimestamp) * 1000 : Date.now(),
-        from: extractPhoneNumber(msg.key.remoteJid, sock),
+        timestamp: msg.messageTimestamp ? toNumber(msg.messageTimestamp) * 1000 : Date.now(),
+        from: extractPhoneNumber(msg.key.remoteJid, sock, lidCache),
         fromLid: extractLid(msg.key.remoteJid),
-        fromJid: normalizeToWhatsAppJid(msg.key.remoteJid, sock), // Normalized WhatsApp JID (e.g., "6285777168752@s.whatsapp.net")
+        fromJid: normalizeToWhatsAppJid(msg.key.remoteJid, sock, lidCache), // Normalized WhatsApp JID (e.g., "6285777168752@s.whatsapp.net")
         fromJidRaw: msg.key.remoteJid, // Original raw JID for reference
         fromMe: msg.key.fromMe || false,
-        participant: msg.key.participant ? extractPhoneNumber(msg.key.participant, sock) : null,
+        participant: msg.key.participant ? extractPhoneNumber(msg.key.participant, sock, lidCache) : null,
         participantLid: msg.key.participant ? extractLid(msg.key.participant) : null,
-        participantJid: msg.key.participant ? normalizeToWhatsAppJid(msg.key.participant, sock) : null, // Normalized WhatsApp JID
+        participantJid: msg.key.participant ? normalizeToWhatsAppJid(msg.key.participant, sock, lidCache) : null, // Normalized WhatsApp JID
         participantJidRaw: msg.key.participant || null, // Original raw JID for group messages
+        senderUnresolved: false, // true when the sender is a LID whose phone number is not known yet
+        senderName: msg.pushName || null, // Push name of the sender, filled from the contacts store when missing
         isGroup: msg.key.remoteJid.endsWith('@g.us'),
         messageType: null,
         content: null,
@@ -339,6 +279,11 @@ function normalizeMessage(msg, sock = null) {
         quotedMessage: null,
         mentions: [],
         mentionLids: [],
+        isForwarded: false,
+        forwardingScore: 0,
+        isEphemeral: false, // Sent in a chat with disappearing messages
+        ephemeralExpiration: null,
+        isViewOnce: false,
         hasMedia: false,
         mediaUrl: null,
         mimeType: null,
@@ -349,16 +294,29 @@ function normalizeMessage(msg, sock = null) {
         contacts: null,
         pollData: null,
         reactionData: null,
+        buttonData: null,
+        listData: null,
+        interactiveData: null,
+        inviteData: null,
+        revokeData: null,
+        editData: null,
         rawMessage: msg.message || {} // Keep raw for debugging
     };
 
-    // Extract the actual message content
-    const messageContent = msg.message;
-    if (!messageContent) {
+    const sender = msg.key.participant || msg.key.remoteJid;
+    normalized.senderUnresolved = !msg.key.fromMe && sender.endsWith('@lid')
+        && !(msg.key.participant ? normalized.participant : normalized.from);
+
+    if (!msg.message) {
         normalized.messageType = 'unknown';
         return normalized;
     }
 
+    // Extract the actual message content
+    const { content: messageContent, isViewOnce, isEphemeral } = unwrapMessage(msg.message);
+    normalized.isViewOnce = isViewOnce;
+    normalized.isEphemeral = isEphemeral;
+
     // Handle different message types
     if (messageContent.conversation) {
         normalized.messageType = 'text';
@@ -367,69 +325,46 @@ function normalizeMessage(msg, sock = null) {
     else if (messageContent.extendedTextMessage) {
         normalized.messageType = 'text';
         normalized.content = messageContent.extendedTextMessage.text;
-        
-        // Handle quoted messages
-        if (messageContent.extendedTextMessage.contextInfo?.quotedMessage) {
-            const quotedParticipant = messageContent.extendedTextMessage.contextInfo.participant;
-            normalized.quotedMessage = {
-                messageId: messageContent.extendedTextMessage.contextInfo.stanzaId,
-                participant: extractPhoneNumber(quotedParticipant, sock),
-                participantLid: extractLid(quotedParticipant),
-                participantJid: quotedParticipant,
-                content: extractQuotedContent(messageContent.extendedTextMessage.contextInfo.quotedMessage)
-            };
-        }
-        
-        // Handle mentions
-        if (messageContent.extendedTextMessage.contextInfo?.mentionedJid) {
-            const mentionedJids = messageContent.extendedTextMessage.contextInfo.mentionedJid;
-            normalized.mentions = mentionedJids
-                .map(jid => extractPhoneNumber(jid, sock))
-                .filter(num => num !== null);
-            normalized.mentionLids = mentionedJids
-                .map(jid => extractLid(jid))
-                .filter(lid => lid !== null);
-        }
     }
     else if (messageContent.imageMessage) {
         normalized.messageType = 'image';
         normalized.hasMedia = true;
         normalized.caption = messageContent.imageMessage.caption || null;
-        normalized.mimeType = messageContent.imageMessage.mimetype;
-        normalized.fileSize = messageContent.imageMessage.fileLength;
+        normalized.mimeType = messageContent.imageMessage.mimetype || null;
+        normalized.fileSize = toNumber(messageContent.imageMessage.fileLength);
         normalized.mediaUrl = messageContent.imageMessage.url || null;
     }
     else if (messageContent.videoMessage) {
         normalized.messageType = 'video';
         normalized.hasMedia = true;
         normalized.caption = messageContent.videoMessage.caption || null;
-        normalized.mimeType = messageContent.videoMessage.mimetype;
-        normalized.fileSize = messageContent.videoMessage.fileLength;
-        normalized.duration = messageContent.videoMessage.seconds;
+        normalized.mimeType = messageContent.videoMessage.mimetype || null;
+        normalized.fileSize = toNumber(messageContent.videoMessage.fileLength);
+        normalized.duration = toNumber(messageContent.videoMessage.seconds);
         normalized.mediaUrl = messageContent.videoMessage.url || null;
     }
     else if (messageContent.audioMessage) {
         normalized.messageType = messageContent.audioMessage.ptt ? 'voice' : 'audio';
         normalized.hasMedia = true;
-        normalized.mimeType = messageContent.audioMessage.mimetype;
-        normalized.fileSize = messageContent.audioMessage.fileLength;
-        normalized.duration = messageContent.audioMessage.seconds;
+        normalized.mimeType = messageContent.audioMessage.mimetype || null;
+        normalized.fileSize = toNumber(messageContent.audioMessage.fileLength);
+        normalized.duration = toNumber(messageContent.audioMessage.seconds);
         normalized.mediaUrl = messageContent.audioMessage.url || null;
     }
     else if (messageContent.documentMessage) {
         normalized.messageType = 'document';
         normalized.hasMedia = true;
-        normalized.fileName = messageContent.documentMessage.fileName;
-        normalized.mimeType = messageContent.documentMessage.mimetype;
-        normalized.fileSize = messageContent.documentMessage.fileLength;
+        normalized.fileName = messageContent.documentMessage.fileName || null;
+        normalized.mimeType = messageContent.documentMessage.mimetype || null;
+        normalized.fileSize = toNumber(messageContent.documentMessage.fileLength);
         normalized.caption = messageContent.documentMessage.caption || null;
         normalized.mediaUrl = messageContent.documentMessage.url || null;
     }
     else if (messageContent.stickerMessage) {
         normalized.messageType = 'sticker';
         normalized.hasMedia = true;
-        normalized.mimeType = messageContent.stickerMessage.mimetype;
-        normalized.fileSize = messageContent.stickerMessage.fileLength;
+        normalized.mimeType = messageContent.stickerMessage.mimetype || null;
+        normalized.fileSize = toNumber(messageContent.stickerMessage.fileLength);
         normalized.mediaUrl = messageContent.stickerMessage.url || null;
     }
     else if (messageContent.locationMessage) {
@@ -438,7 +373,24 @@ function normalizeMessage(msg, sock = null) {
             latitude: messageContent.locationMessage.degreesLatitude,
             longitude: messageContent.locationMessage.degreesLongitude,
             name: messageContent.locationMessage.name || null,
-            address: messageContent.locationMessage.address || null
+            address: messageContent.locationMessage.address || null,
+            isLive: false
+        };
+    }
+    else if (messageContent.liveLocationMessage) {
+        const live = messageContent.liveLocationMessage;
+        normalized.messageType = 'live_location';
+        normalized.caption = live.caption || null;
+        normalized.location = {
+            latitude: live.degreesLatitude,
+            longitude: live.degreesLongitude,
+            name: null,
+            address: null,
+            isLive: true,
+            accuracyInMeters: live.accuracyInMeters ?? null,
+            speedInMps: live.speedInMps ?? null,
+            heading: live.degreesClockwiseFromMagneticNorth ?? null,
+            sequenceNumber: toNumber(live.sequenceNumber) // Increases with every position update
         };
     }
     else if (messageContent.contactMessage) {
@@ -455,12 +407,21 @@ function normalizeMessage(msg, sock = null) {
             vcard: c.vcard
         }));
     }
-    else if (messageContent.pollCreationMessage) {
+    else if (messageContent.pollCreationMessage || messageContent.pollCreationMessageV2 || messageContent.pollCreationMessageV3) {
+        // V2 is used for announcement groups, V3 for single-answer polls
+        const poll = messageContent.pollCreationMessage || messageContent.pollCreationMessageV2 || messageContent.pollCreationMessageV3;
         normalized.messageType = 'poll';
         normalized.pollData = {
-            name: messageContent.pollCreationMessage.name,
-            options: messageContent.pollCreationMessage.options.map(o => o.optionName),
-            selectableCount: messageContent.pollCreationMessage.selectableOptionsCount
+            name: poll.name,
+            options: poll.options.map(o => o.optionName),
+            selectableCount: poll.selectableOptionsCount || 0
+        };
+    }
+    else if (messageContent.pollUpdateMessage) {
+        // The vote itself is encrypted, whatsapp.js decrypts it and publishes a poll.vote event instead
+        normalized.messageType = 'poll_vote';
+        normalized.pollData = {
+            pollMessageId: messageContent.pollUpdateMessage.pollCreationMessageKey?.id || null
         };
     }
     else if (messageContent.reactionMessage) {
@@ -470,12 +431,93 @@ function normalizeMessage(msg, sock = null) {
             targetMessageId: messageContent.reactionMessage.key.id
         };
     }
+    else if (messageContent.buttonsResponseMessage) {
+        const reply = messageContent.buttonsResponseMessage;
+        normalized.messageType = 'button_reply';
+        normalized.content = reply.selectedDisplayText || null;
+        normalized.buttonData = {
+            id: reply.selectedButtonId || null,
+            text: reply.selectedDisplayText || null,
+            index: null
+        };
+    }
+    else if (messageContent.templateButtonReplyMessage) {
+        const reply = messageContent.templateButtonReplyMessage;
+        normalized.messageType = 'button_reply';
+        normalized.content = reply.selectedDisplayText || null;
+        normalized.buttonData = {
+            id: reply.selectedId || null,
+            text: reply.selectedDisplayText || null,
+            index: reply.selectedIndex ?? null
+        };
+    }
+    else if (messageContent.listResponseMessage) {
+        const reply = messageContent.listResponseMessage;
+        normalized.messageType = 'list_reply';
+        normalized.content = reply.title || null;
+        normalized.listData = {
+            id: reply.singleSelectReply?.selectedRowId || null,
+            title: reply.title || null,
+            description: reply.description || null
+        };
+    }
+    else if (messageContent.interactiveResponseMessage) {
+        // Replies to native flow buttons and menus
+        const reply = messageContent.interactiveResponseMessage;
+        const flow = reply.nativeFlowResponseMessage || {};
+        normalized.messageType = 'interactive_reply';
+        normalized.content = reply.body?.text || null;
+        normalized.interactiveData = {
+            name: flow.name || null,
+            params: parseParams(flow.paramsJson)
+        };
+    }
+    else if (messageContent.groupInviteMessage) {
+        const invite = messageContent.groupInviteMessage;
+        const expiration = toNumber(invite.inviteExpiration);
+        normalized.messageType = 'group_invite';
+        normalized.caption = invite.caption || null;
+        normalized.inviteData = {
+            groupJid: invite.groupJid,
+            groupName: invite.groupName || null,
+            inviteCode: invite.inviteCode,
+            expiresAt: expiration ? expiration * 1000 : null
+        };
+    }
+    else if (messageContent.protocolMessage) {
+        const protocol = messageContent.protocolMessage;
+        const targetMessageId = protocol.key ? protocol.key.id : null;
+
+        if (PROTOCOL_EDIT.includes(protocol.type) || protocol.editedMessage) {
+            // The new content is a complete message, normalized like any other to read its text or caption
+            const edited = normalizeMessage({ key: msg.key, message: protocol.editedMessage }, sock, lidCache);
+            normalized.messageType = 'edit';
+            normalized.content = edited.content;
+            normalized.caption = edited.caption;
+            normalized.editData = {
+                targetMessageId,
+                messageType: edited.messageType, // text, or the media type when a caption was edited
+                editedAt: toNumber(protocol.timestampMs) || normalized.timestamp
+            };
+        } else if (protocol.key && (protocol.type === undefined || PROTOCOL_REVOKE.includes(protocol.type))) {
+            normalized.messageType = 'revoke';
+            normalized.revokeData = { targetMessageId };
+        } else {
+            // Disappearing message settings, history sync notifications, ...
+            normalized.messageType = 'protocol';
+            normalized.content = String(protocol.type);
+        }
+    }
     else {
         // Unknown message type
         normalized.messageType = 'unsupported';
-        normalized.content = Object.keys(messageContent)[0]; // Log which type it was
+        normalized.content = getContentType(messageContent); // Log which type it was
     }
 
+    applyContextInfo(normalized, getContextInfo(messageContent), sock, lidCache);
+    normalized.isViewOnce = normalized.isViewOnce
+        || Object.values(messageContent).some(value => value && value.viewOnce === true);
+
     return normalized;
 }
 
@@ -484,7 +526,8 @@ function normalizeMessage(msg, sock = null) {
  * @param {Object} quotedMsg - Quoted message object
  * @returns {string} - Text content of quoted message
  */
-function extractQuotedContent(quotedMsg) {
+function extractQuotedContent(quotedMessage) {
+    const { content: quotedMsg } = unwrapMessage(quotedMessage);
     if (quotedMsg.conversation) return quotedMsg.conversation;
     if (quotedMsg.extendedTextMessage) return quotedMsg.extendedTextMessage.text;
     if (quotedMsg.imageMessage) return quotedMsg.imageMessage.caption || '[Image]';
@@ -494,11 +537,20 @@ function extractQuotedContent(quotedMsg) {
     if (quotedMsg.stickerMessage) return '[Sticker]';
     if (quotedMsg.locationMessage) return '[Location]';
     if (quotedMsg.contactMessage) return '[Contact]';
+    if (quotedMsg.contactsArrayMessage) return '[Contacts]';
+    if (quotedMsg.liveLocationMessage) return '[Live Location]';
+    if (quotedMsg.groupInviteMessage) return quotedMsg.groupInviteMessage.groupName || '[Group Invite]';
+    const poll = quotedMsg.pollCreationMessage || quotedMsg.pollCreationMessageV2 || quotedMsg.pollCreationMessageV3;
+    if (poll) return poll.name || '[Poll]';
+    if (quotedMsg.buttonsResponseMessage) return quotedMsg.buttonsResponseMessage.selectedDisplayText || '[Button]';
+    if (quotedMsg.templateButtonReplyMessage) return quotedMsg.templateButtonReplyMessage.selectedDisplayText || '[Button]';
+    if (quotedMsg.listResponseMessage) return quotedMsg.listResponseMessage.title || '[List]';
     return '[Unknown]';
 }
 
 module.exports = {
     normalizeMessage,
-    preloadLidMappings: loadAllLidMappings,
-    validateMappings
+    extractPhoneNumber,
+    normalizeToWhatsAppJid,
+    resolvePhoneNumberToLid
 };
@@ -0,0 +1,221 @@
+const { getDb } = require('./db');
+
+// proto.WebMessageInfo.Status values reported by Baileys
+const STATUS_NAMES = {
+    0: 'error',
+    1: 'pending',
+    2: 'server_ack',
+    3: 'delivered',
+    4: 'read',
+    5: 'played'
+};
+
+// Order used to ignore late updates that would move a message backwards (read -> delivered)
+const STATUS_RANK = {
+    pending: 1,
+    server_ack: 2,
+    delivered: 3,
+    read: 4,
+    played: 5,
+    error: 6
+};
+
+let statements = null;
+
+/**
+ * Create the tables on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS message_status (
+            session_id TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            jid TEXT NOT NULL,
+            status TEXT NOT NULL,
+            updated_at INTEGER NOT NULL,
+            sent_at INTEGER,
+            server_ack_at INTEGER,
+            delivered_at INTEGER,
+            read_at INTEGER,
+            played_at INTEGER,
+            error_at INTEGER,
+            PRIMARY KEY (session_id, message_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS message_receipts (
+            session_id TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            user_jid TEXT NOT NULL,
+            status TEXT NOT NULL,
+            delivered_at INTEGER,
+            read_at INTEGER,
+            played_at INTEGER,
+            PRIMARY KEY (session_id, message_id, user_jid)
+        );
+    `);
+
+    statements = {
+        get: db.prepare('SELECT * FROM message_status WHERE session_id = ? AND message_id = ?'),
+        insertSent: db.prepare(`
+            INSERT OR IGNORE INTO message_status (session_id, message_id, jid, status, updated_at, sent_at)
+            VALUES (?, ?, ?, 'pending', ?, ?)
+        `),
+        upsert: db.prepare(`
+            INSERT INTO message_status (session_id, message_id, jid, status, updated_at)
+            VALUES (@sessionId, @messageId, @jid, @status, @at)
+            ON CONFLICT (session_id, message_id) DO UPDATE SET status = excluded.status, updated_at = excluded.updated_at
+        `),
+        // One statement per status that has its own timestamp column
+        setTime: Object.fromEntries(['server_ack', 'delivered', 'read', 'played', 'error'].map(status => [
+            status,
+            db.prepare(`UPDATE message_status SET ${status}_at = COALESCE(${status}_at, ?) WHERE session_id = ? AND message_id = ?`)
+        ])),
+        receipts: db.prepare('SELECT * FROM message_receipts WHERE session_id = ? AND message_id = ? ORDER BY user_jid'),
+        getReceipt: db.prepare('SELECT * FROM message_receipts WHERE session_id = ? AND message_id = ? AND user_jid = ?'),
+        upsertReceipt: db.prepare(`
+            INSERT INTO message_receipts (session_id, message_id, user_jid, status, delivered_at, read_at, played_at)
+            VALUES (@sessionId, @messageId, @userJid, @status, @deliveredAt, @readAt, @playedAt)
+            ON CONFLICT (session_id, message_id, user_jid) DO UPDATE SET
+                status = excluded.status,
+                delivered_at = COALESCE(delivered_at, excluded.delivered_at),
+                read_at = COALESCE(read_at, excluded.read_at),
+                played_at = COALESCE(played_at, excluded.played_at)
+        `),
+        deleteSessionStatuses: db.prepare('DELETE FROM message_status WHERE session_id = ?'),
+        deleteSessionReceipts: db.prepare('DELETE FROM message_receipts WHERE session_id = ?')
+    };
+    return statements;
+}
+
+/**
+ * Translate a Baileys status number into a status name
+ * @param {number} status - proto.WebMessageInfo.Status
+ * @returns {string|null}
+ */
+function statusName(status) {
+    return STATUS_NAMES[status] || null;
+}
+
+/**
+ * Start tracking a message sent by the gateway
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID returned by sendMessage
+ * @param {string} jid - Recipient JID
+ */
+function trackSentMessage(sessionId, messageId, jid) {
+    const now = Date.now();
+    init().insertSent.run(sessionId, messageId, jid, now, now);
+}
+
+/**
+ * Record a status change of an outbound message
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @param {string} jid - Chat JID
+ * @param {string} status - Status name (server_ack, delivered, read, played, error)
+ * @param {number} at - When the change happened (ms)
+ * @returns {boolean} - false when the update is stale (the message is already further along)
+ */
+function updateMessageStatus(sessionId, messageId, jid, status, at = Date.now()) {
+    const stmts = init();
+    const current = stmts.get.get(sessionId, messageId);
+
+    if (current && STATUS_RANK[current.status] >= STATUS_RANK[status]) {
+        return false;
+    }
+
+    getDb().transaction(() => {
+        stmts.upsert.run({ sessionId, messageId, jid, status, at });
+        if (stmts.setTime[status]) {
+            stmts.setTime[status].run(at, sessionId, messageId);
+        }
+    })();
+    return true;
+}
+
+/**
+ * Record a per-recipient receipt (group messages report one per participant)
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @param {string} userJid - Participant JID
+ * @param {Object} receipt - Baileys receipt ({ receiptTimestamp, readTimestamp, playedTimestamp }, seconds)
+ * @returns {string|null} - New status of that recipient, null when nothing changed
+ */
+function updateReceipt(sessionId, messageId, userJid, receipt) {
+    const stmts = init();
+    const toMs = (ts) => ts ? Number(ts) * 1000 : null;
+    const row = {
+        sessionId,
+        messageId,
+        userJid,
+        deliveredAt: toMs(receipt.receiptTimestamp),
+        readAt: toMs(receipt.readTimestamp),
+        playedAt: toMs(receipt.playedTimestamp)
+    };
+    row.status = row.playedAt ? 'played' : row.readAt ? 'read' : 'delivered';
+
+    const current = stmts.getReceipt.get(sessionId, messageId, userJid);
+    if (current && STATUS_RANK[current.status] >= STATUS_RANK[row.status]) {
+        return null;
+    }
+
+    stmts.upsertReceipt.run(row);
+    return row.status;
+}
+
+/**
+ * Latest known state of a message, including per-recipient receipts for groups
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @returns {Object|null}
+ */
+function getMessageStatus(sessionId, messageId) {
+    const stmts = init();
+    const row = stmts.get.get(sessionId, messageId);
+    if (!row) return null;
+
+    return {
+        messageId: row.message_id,
+        jid: row.jid,
+        status: row.status,
+        updatedAt: row.updated_at,
+        sentAt: row.sent_at,
+        serverAckAt: row.server_ack_at,
+        deliveredAt: row.delivered_at,
+        readAt: row.read_at,
+        playedAt: row.played_at,
+        errorAt: row.error_at,
+        receipts: stmts.receipts.all(sessionId, messageId).map(r => ({
+            userJid: r.user_jid,
+            status: r.status,
+            deliveredAt: r.delivered_at,
+            readAt: r.read_at,
+            playedAt: r.played_at
+        }))
+    };
+}
+
+/**
+ * Remove the delivery states and receipts of all messages of a session
+ * @param {string} sessionId - Session ID
+ */
+function deleteSessionStatuses(sessionId) {
+    const stmts = init();
+    getDb().transaction(() => {
+        stmts.deleteSessionStatuses.run(sessionId);
+        stmts.deleteSessionReceipts.run(sessionId);
+    })();
+}
+
+module.exports = {
+    statusName,
+    trackSentMessage,
+    updateMessageStatus,
+    updateReceipt,
+    getMessageStatus,
+    deleteSessionStatuses
+};
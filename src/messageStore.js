@@ -0,0 +1,244 @@
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const { getDb } = require('./db');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+let statements = null;
+
+/**
+ * Create the tables on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+            session_id TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            chat_jid TEXT NOT NULL,
+            from_me INTEGER NOT NULL,
+            timestamp INTEGER NOT NULL,
+            message_type TEXT,
+            data TEXT NOT NULL,
+            raw TEXT,
+            PRIMARY KEY (session_id, message_id)
+        );
+        CREATE INDEX IF NOT EXISTS messages_chat_idx ON messages (session_id, chat_jid, timestamp);
+
+        CREATE TABLE IF NOT EXISTS chats (
+            session_id TEXT NOT NULL,
+            jid TEXT NOT NULL,
+            is_group INTEGER NOT NULL,
+            last_message_id TEXT,
+            last_message_at INTEGER NOT NULL,
+            last_message_preview TEXT,
+            message_count INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (session_id, jid)
+        );
+        CREATE INDEX IF NOT EXISTS chats_recent_idx ON chats (session_id, last_message_at);
+    `);
+
+    statements = {
+        exists: db.prepare('SELECT 1 FROM messages WHERE session_id = ? AND message_id = ?'),
+        upsertMessage: db.prepare(`
+            INSERT INTO messages (session_id, message_id, chat_jid, from_me, timestamp, message_type, data, raw)
+            VALUES (@sessionId, @messageId, @chatJid, @fromMe, @timestamp, @messageType, @data, @raw)
+            ON CONFLICT (session_id, message_id) DO UPDATE SET data = excluded.data, raw = excluded.raw
+        `),
+        upsertChat: db.prepare(`
+            INSERT INTO chats (session_id, jid, is_group, last_message_id, last_message_at, last_message_preview, message_count)
+            VALUES (@sessionId, @chatJid, @isGroup, @messageId, @timestamp, @preview, 1)
+            ON CONFLICT (session_id, jid) DO UPDATE SET
+                message_count = message_count + 1,
+                last_message_id = CASE WHEN excluded.last_message_at >= last_message_at THEN excluded.last_message_id ELSE last_message_id END,
+                last_message_preview = CASE WHEN excluded.last_message_at >= last_message_at THEN excluded.last_message_preview ELSE last_message_preview END,
+                last_message_at = MAX(last_message_at, excluded.last_message_at)
+        `),
+        getMessage: db.prepare('SELECT rowid, * FROM messages WHERE session_id = ? AND message_id = ?'),
+        listChats: db.prepare(`
+            SELECT * FROM chats
+            WHERE session_id = @sessionId
+              AND (last_message_at < @beforeTs OR (last_message_at = @beforeTs AND jid < @beforeJid))
+            ORDER BY last_message_at DESC, jid DESC LIMIT @limit
+        `),
+        listMessages: db.prepare(`
+            SELECT rowid, * FROM messages
+            WHERE session_id = @sessionId AND chat_jid = @chatJid
+              AND (timestamp < @beforeTs OR (timestamp = @beforeTs AND rowid < @beforeRowid))
+            ORDER BY timestamp DESC, rowid DESC LIMIT @limit
+        `),
+        deleteSessionMessages: db.prepare('DELETE FROM messages WHERE session_id = ?'),
+        deleteSessionChats: db.prepare('DELETE FROM chats WHERE session_id = ?')
+    };
+    return statements;
+}
+
+/**
+ * Short text shown in chat lists
+ * @param {Object} normalized - Normalized message
+ * @returns {string}
+ */
+function buildPreview(normalized) {
+    const text = normalized.content || normalized.caption || `[${normalized.messageType}]`;
+    return String(text).slice(0, 200);
+}
+
+/**
+ * Chat a normalized message belongs to (phone-number JID when the LID could be resolved)
+ * @param {Object} normalized - Normalized message
+ * @returns {string}
+ */
+function getChatJid(normalized) {
+    return normalized.fromJid || normalized.fromJidRaw;
+}
+
+/**
+ * Save (or update) a message in the normalizeMessage shape
+ * @param {string} sessionId - Session ID
+ * @param {Object} normalized - Normalized message
+ * @param {Object} rawMsg - Raw Baileys message, kept for replies, reactions and media re-downloads
+ */
+function saveMessage(sessionId, normalized, rawMsg = null) {
+    const stmts = init();
+    const { rawMessage, ...data } = normalized;
+    const row = {
+        sessionId,
+        messageId: normalized.messageId,
+        chatJid: getChatJid(normalized),
+        fromMe: normalized.fromMe ? 1 : 0,
+        timestamp: normalized.timestamp,
+        messageType: normalized.messageType,
+        isGroup: normalized.isGroup ? 1 : 0,
+        preview: buildPreview(normalized),
+        data: JSON.stringify(data),
+        raw: rawMsg ? JSON.stringify(rawMsg, BufferJSON.replacer) : null
+    };
+
+    getDb().transaction(() => {
+        const isNew = !stmts.exists.get(sessionId, row.messageId);
+        stmts.upsertMessage.run(row);
+        if (isNew) {
+            stmts.upsertChat.run(row);
+        }
+    })();
+}
+
+/**
+ * Get a stored message
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @returns {Object|null} - { message: normalized, raw: Baileys message or null }
+ */
+function getMessage(sessionId, messageId) {
+    const row = init().getMessage.get(sessionId, messageId);
+    if (!row) return null;
+    return {
+        message: JSON.parse(row.data),
+        raw: row.raw ? JSON.parse(row.raw, BufferJSON.reviver) : null
+    };
+}
+
+/**
+ * Clamp the page size requested by the client
+ * @param {*} limit - Requested limit
+ * @returns {number}
+ */
+function pageSize(limit) {
+    const value = parseInt(limit, 10);
+    if (!value || value < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(value, MAX_PAGE_SIZE);
+}
+
+/**
+ * List chats, most recent activity first
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { before: cursor ("<lastMessageAt>:<jid>" or a timestamp in ms), limit }
+ * @returns {{ chats: Array<Object>, nextCursor: string|null }}
+ */
+function listChats(sessionId, { before, limit } = {}) {
+    const size = pageSize(limit);
+    const separator = before ? String(before).indexOf(':') : -1;
+    const rows = init().listChats.all({
+        sessionId,
+        beforeTs: Number(separator === -1 ? before : String(before).slice(0, separator)) || Number.MAX_SAFE_INTEGER,
+        beforeJid: separator === -1 ? '' : String(before).slice(separator + 1),
+        limit: size
+    });
+
+    const chats = rows.map(row => ({
+        jid: row.jid,
+        isGroup: !!row.is_group,
+        lastMessageId: row.last_message_id,
+        lastMessageAt: row.last_message_at,
+        lastMessagePreview: row.last_message_preview,
+        messageCount: row.message_count
+    }));
+
+    return {
+        chats,
+        nextCursor: rows.length === size ? `${rows[rows.length - 1].last_message_at}:${rows[rows.length - 1].jid}` : null
+    };
+}
+
+/**
+ * Parse a message cursor ("<timestamp>:<rowid>", or a plain timestamp in ms)
+ * @param {string} before - Cursor from a previous page
+ * @returns {{ beforeTs: number, beforeRowid: number }}
+ */
+function parseMessageCursor(before) {
+    if (!before) {
+        return { beforeTs: Number.MAX_SAFE_INTEGER, beforeRowid: 0 };
+    }
+    const [ts, rowid] = String(before).split(':');
+    return {
+        beforeTs: Number(ts) || Number.MAX_SAFE_INTEGER,
+        // A plain timestamp excludes every message at exactly that time
+        beforeRowid: rowid !== undefined ? Number(rowid) : 0
+    };
+}
+
+/**
+ * List the messages of a chat, newest first
+ * @param {string} sessionId - Session ID
+ * @param {string} chatJid - Chat JID
+ * @param {Object} options - { before: cursor, limit }
+ * @returns {{ messages: Array<Object>, nextCursor: string|null }}
+ */
+function listMessages(sessionId, chatJid, { before, limit } = {}) {
+    const size = pageSize(limit);
+    const rows = init().listMessages.all({
+        sessionId,
+        chatJid,
+        ...parseMessageCursor(before),
+        limit: size
+    });
+
+    const last = rows[rows.length - 1];
+    return {
+        messages: rows.map(row => JSON.parse(row.data)),
+        nextCursor: rows.length === size ? `${last.timestamp}:${last.rowid}` : null
+    };
+}
+
+/**
+ * Remove all messages and chats of a session
+ * @param {string} sessionId - Session ID
+ */
+function deleteSessionMessages(sessionId) {
+    const stmts = init();
+    getDb().transaction(() => {
+        stmts.deleteSessionMessages.run(sessionId);
+        stmts.deleteSessionChats.run(sessionId);
+    })();
+}
+
+module.exports = {
+    saveMessage,
+    getMessage,
+    listChats,
+    listMessages,
+    deleteSessionMessages
+};
@@ -0,0 +1,991 @@
+const http = require('http');
+const Ajv = require('ajv');
+const config = require('./config');
+const { version } = require('../package.json');
+const { ERROR_CODES, sendError } = require('./apiErrors');
+const { getEventSchemas } = require('./eventSchemas');
+const { MEDIA_TYPES } = require('./outboundMedia');
+const { PARTICIPANT_ACTIONS } = require('./groups');
+const { SCOPES } = require('./auth');
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const stringList = { type: 'array', items: string };
+const anyObject = { type: 'object' };
+
+// Add a description to a schema
+const describe = (schema, description) => ({ ...schema, description });
+
+// Reference to a schema of the components section
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Object schema, properties that are not described are allowed
+ * @param {Object} properties - Property name -> schema
+ * @param {Array<string>} required - Required properties
+ * @returns {Object}
+ */
+function object(properties, required = []) {
+    return required.length > 0 ? { type: 'object', required, properties } : { type: 'object', properties };
+}
+
+// JSON booleans, plus the strings multipart forms send (see parseBoolean)
+const flag = { anyOf: [boolean, { enum: ['true', 'false', '1', '0', 1, 0] }] };
+
+const recipient = {
+    jid: describe(string, 'Phone number ("0812...", "+62812...", "62812...") or JID of a person, group, LID, broadcast list or newsletter'),
+    phone: describe(string, 'Alias of jid')
+};
+const requireRecipient = [{ required: ['jid'] }, { required: ['phone'] }];
+
+const sendOptions = {
+    replyTo: describe(string, 'ID of a stored message to quote'),
+    mentions: describe({ type: ['array', 'string'], items: string }, 'Phone numbers to mention, an array or comma separated'),
+    async: describe(flag, 'Return the queued job right away instead of waiting for the send'),
+    sendAt: describe({ type: ['integer', 'string'] }, 'Send later, Unix time in milliseconds or an ISO date')
+};
+
+const media = describe({ type: ['string', 'object'] }, 'http(s) URL, data URI or base64 data');
+
+// Message content as sent with /send-message and broadcasts, other Baileys content keys are passed through
+const outgoingMessage = describe({
+    type: 'object',
+    properties: {
+        text: string,
+        caption: string,
+        ...Object.fromEntries(MEDIA_TYPES.map(type => [type, media])),
+        mimetype: describe(string, 'Detected from the media when left out'),
+        fileName: describe(string, 'File name of a document'),
+        ptt: describe(flag, 'Send audio as a voice note')
+    }
+}, 'Baileys message content: { text } or a media key (image, video, audio, document, sticker) with an optional caption');
+
+// Multipart variant of /send-message, the media is uploaded as a file field named after its type
+const outgoingMessageForm = object({
+    ...recipient,
+    message: describe(string, 'Message content as JSON, e.g. {"caption": "..."}'),
+    text: string,
+    caption: string,
+    ...Object.fromEntries(MEDIA_TYPES.map(type => [type, { type: 'string', format: 'binary' }])),
+    mimetype: string,
+    fileName: string,
+    ptt: string,
+    ...sendOptions
+});
+
+const rule = object({
+    id: string,
+    enabled: boolean,
+    sessions: describe(stringList, 'Session IDs the rule applies to, all sessions when left out'),
+    cooldownMs: describe({ type: 'integer', minimum: 0 }, 'Skip the rule in a chat it matched less than this long ago'),
+    match: object({
+        content: describe(string, 'Regular expression matched against the text or caption'),
+        contentFlags: describe(string, 'Regular expression flags, "i" by default'),
+        messageTypes: stringList,
+        isGroup: boolean,
+        allowSenders: stringList,
+        denySenders: stringList,
+        timeWindows: {
+            type: 'array',
+            items: object({
+                days: describe({ type: 'array', items: integer }, '0 (Sunday) to 6 (Saturday)'),
+                from: describe(string, 'HH:MM'),
+                to: describe(string, 'HH:MM')
+            })
+        },
+        outsideTimeWindows: boolean
+    }),
+    actions: {
+        type: 'array',
+        minItems: 1,
+        items: object({
+            type: { enum: ['reply', 'react', 'forward', 'stop'] },
+            text: string,
+            quote: boolean,
+            emoji: string,
+            url: string,
+            skipWebhook: boolean
+        }, ['type'])
+    }
+}, ['id', 'actions']);
+
+const subscriptionFields = {
+    name: { type: 'string', minLength: 1 },
+    url: describe(string, 'http(s) URL'),
+    events: describe(stringList, '*, a category (messages, ...) or event names'),
+    groupsOnly: boolean,
+    chats: describe(stringList, 'Phone numbers or JIDs, all chats when empty'),
+    sessions: describe({ type: ['array', 'null'], items: string }, 'Session IDs, null for all sessions'),
+    enabled: boolean
+};
+
+const limit = describe(integer, 'Max results');
+const jobStatus = { enum: ['queued', 'sending', 'sent', 'failed', 'cancelled'] };
+
+// Response schemas, listed in the components section
+const SCHEMAS = {
+    Error: object({
+        error: string,
+        code: { enum: Object.keys(ERROR_CODES) },
+        details: describe(string, 'Underlying error, for unexpected errors'),
+        errors: describe({
+            type: 'array',
+            items: object({ location: { enum: ['body', 'query'] }, path: string, message: string })
+        }, 'Every problem found, with code VALIDATION_FAILED')
+    }, ['error', 'code']),
+    Job: object({
+        id: string,
+        sessionId: string,
+        jid: string,
+        status: jobStatus,
+        attempts: integer,
+        sendAt: integer,
+        createdAt: integer,
+        updatedAt: integer,
+        sentAt: { type: ['integer', 'null'] },
+        messageId: nullableString,
+        error: nullableString,
+        broadcastId: nullableString
+    }),
+    JobAccepted: object({ success: boolean, job: ref('Job') }),
+    SendResult: object({
+        success: boolean,
+        result: describe(anyObject, 'Message as sent by Baileys'),
+        job: ref('Job')
+    }),
+    Session: object({
+        id: string,
+        status: string,
+        user: { type: ['object', 'null'] },
+        isDefault: boolean,
+        connection: object({
+            connected: boolean,
+            lastConnectedAt: { type: ['integer', 'null'] },
+            lastDisconnectedAt: { type: ['integer', 'null'] },
+            lastDisconnectReason: { type: ['object', 'null'] },
+            reconnectAttempts: integer,
+            reconnectCount: integer,
+            nextReconnectAt: { type: ['integer', 'null'] }
+        })
+    }),
+    Broadcast: object({
+        id: string,
+        sessionId: string,
+        name: nullableString,
+        status: { enum: ['scheduled', 'running', 'completed', 'cancelled'] },
+        total: integer,
+        sent: integer,
+        failed: integer,
+        pending: integer,
+        cancelled: integer,
+        startsAt: integer,
+        estimatedEndAt: describe(integer, 'Estimated from the average delay, slow sends and rate limits make it later'),
+        createdAt: integer
+    }),
+    Message: describe(getEventSchemas().events['message.received'].properties.data, 'Normalized message, as in message.received events')
+};
+
+const success = object({ success: boolean });
+const sessionResult = object({ success: boolean, session: ref('Session') });
+const sendResponses = {
+    200: { description: 'Sent', schema: ref('SendResult') },
+    202: { description: 'Queued (async, sendAt or still waiting for the rate limit)', schema: ref('JobAccepted') }
+};
+
+/**
+ * Endpoints available for every session, documented under /api/sessions/{id} and /api (default session)
+ * body: JSON request body, validated by validateRequest; query: query parameters, validated with type coercion
+ * params: descriptions of path parameters that differ from PATH_PARAMS
+ * response: success status, its schema (or contentType) and description; errors: other statuses the endpoint answers with
+ */
+const SESSION_OPERATIONS = [
+    {
+        method: 'post', path: '/send-message', id: 'sendMessage', tag: 'Messages', scope: 'send',
+        summary: 'Send a text or media message',
+        body: { ...object({ ...recipient, message: outgoingMessage, ...sendOptions }, ['message']), anyOf: requireRecipient },
+        form: outgoingMessageForm,
+        responses: sendResponses,
+        errors: [400, 404, 413, 422, 500, 502, 503]
+    },
+    {
+        method: 'post', path: '/send-poll', id: 'sendPoll', tag: 'Messages', scope: 'send',
+        summary: 'Send a poll',
+        body: {
+            ...object({
+                ...recipient,
+                name: string,
+                options: describe({ type: 'array', items: string, minItems: 2, maxItems: 12 }, 'Unique answers'),
+                selectableCount: describe({ type: ['integer', 'string'] }, '1 for a single answer (default), 0 for any number'),
+                ...sendOptions
+            }, ['name', 'options']),
+            anyOf: requireRecipient
+        },
+        responses: sendResponses,
+        errors: [400, 404, 422, 500, 503]
+    },
+    {
+        method: 'post', path: '/send-location', id: 'sendLocation', tag: 'Messages', scope: 'send',
+        summary: 'Send a location',
+        body: {
+            ...object({
+                ...recipient,
+                latitude: { type: ['number', 'string'] },
+                longitude: { type: ['number', 'string'] },
+                name: string,
+                address: string,
+                ...sendOptions
+            }, ['latitude', 'longitude']),
+            anyOf: requireRecipient
+        },
+        responses: sendResponses,
+        errors: [400, 404, 422, 500, 503]
+    },
+    {
+        method: 'post', path: '/send-contact', id: 'sendContact', tag: 'Messages', scope: 'send',
+        summary: 'Send one or more contact cards',
+        body: {
+            ...object({
+                ...recipient,
+                contacts: {
+                    type: 'array',
+                    minItems: 1,
+                    items: describe(object({
+                        name: string,
+                        phone: string,
+                        phones: stringList,
+                        organization: string,
+                        email: string,
+                        vcard: string
+                    }), 'A name and a phone number, or a complete vCard')
+                },
+                ...sendOptions
+            }, ['contacts']),
+            anyOf: requireRecipient
+        },
+        responses: sendResponses,
+        errors: [400, 404, 422, 500, 503]
+    },
+    {
+        method: 'post', path: '/messages/{messageId}/react', id: 'reactToMessage', tag: 'Messages', scope: 'send',
+        summary: 'React to a stored message',
+        body: object({ emoji: describe(string, 'Single emoji, empty to remove the reaction'), async: flag, sendAt: sendOptions.sendAt }, ['emoji']),
+        responses: sendResponses,
+        errors: [400, 404, 500, 503]
+    },
+    {
+        method: 'post', path: '/messages/{messageId}/edit', id: 'editMessage', tag: 'Messages', scope: 'send',
+        summary: 'Edit a message sent by this session',
+        body: object({ text: { type: 'string', minLength: 1 }, async: flag, sendAt: sendOptions.sendAt }, ['text']),
+        responses: sendResponses,
+        errors: [400, 404, 500, 503]
+    },
+    {
+        method: 'delete', path: '/messages/{messageId}', id: 'deleteMessage', tag: 'Messages', scope: 'send',
+        summary: 'Delete a message for everyone',
+        responses: sendResponses,
+        errors: [400, 404, 500, 503]
+    },
+    {
+        method: 'get', path: '/messages/{messageId}/status', id: 'getMessageStatus', tag: 'Messages', scope: 'send',
+        summary: 'Latest delivery state of a sent message',
+        responses: { 200: { schema: anyObject } },
+        errors: [404, 503]
+    },
+    {
+        method: 'get', path: '/jobs', id: 'listJobs', tag: 'Jobs', scope: 'send',
+        summary: 'List the most recent send jobs',
+        query: { status: jobStatus, limit },
+        responses: { 200: { schema: object({ jobs: { type: 'array', items: ref('Job') } }) } },
+        errors: [503]
+    },
+    {
+        method: 'get', path: '/jobs/{jobId}', id: 'getJob', tag: 'Jobs', scope: 'send',
+        summary: 'Get a send job',
+        responses: { 200: { schema: ref('Job') } },
+        errors: [404, 503]
+    },
+    {
+        method: 'delete', path: '/jobs/{jobId}', id: 'cancelJob', tag: 'Jobs', scope: 'send',
+        summary: 'Cancel a queued send job',
+        responses: { 200: { schema: ref('JobAccepted') } },
+        errors: [404, 409, 503]
+    },
+    {
+        method: 'get', path: '/status', id: 'getStatus', tag: 'Connection', scope: 'read-status',
+        summary: 'Connection status, with the QR code while waiting for a login',
+        responses: {
+            200: {
+                schema: object({
+                    status: { enum: ['connected', 'scan_qr', 'connecting', 'closed', 'logged_out'] },
+                    user: anyObject,
+                    qr_code: string
+                }, ['status'])
+            }
+        }
+    },
+    {
+        method: 'get', path: '/qr', id: 'getQrPage', tag: 'Connection', scope: 'admin-qr',
+        summary: 'HTML page with the QR code to scan',
+        responses: { 200: { contentType: 'text/html' } }
+    },
+    {
+        method: 'post', path: '/pairing-code', id: 'requestPairingCode', tag: 'Connection', scope: 'admin-qr',
+        summary: 'Log in by entering a code on the phone instead of scanning the QR',
+        body: object({ phone: describe(string, 'Phone number of the WhatsApp account') }, ['phone']),
+        responses: { 200: { schema: object({ success: boolean, phone: string, code: string }) } },
+        errors: [400, 409, 500, 503]
+    },
+    {
+        method: 'post', path: '/logout', id: 'logout', tag: 'Connection', scope: 'admin',
+        summary: 'Unlink the device and start over with a fresh QR',
+        responses: { 200: { schema: sessionResult } },
+        errors: [500, 503]
+    },
+    {
+        method: 'post', path: '/restart', id: 'restart', tag: 'Connection', scope: 'admin',
+        summary: 'Reconnect with the same credentials',
+        responses: { 200: { schema: sessionResult } },
+        errors: [500, 503]
+    },
+    {
+        method: 'post', path: '/broadcasts', id: 'createBroadcast', tag: 'Broadcasts', scope: 'send',
+        summary: 'Send a message to many recipients with a delay in between',
+        body: object({
+            name: string,
+            recipients: {
+                type: 'array',
+                minItems: 1,
+                maxItems: config.broadcastMaxRecipients,
+                items: {
+                    ...object({ ...recipient, variables: describe(anyObject, 'Values for {{name}} placeholders in the message') }),
+                    anyOf: requireRecipient
+                }
+            },
+            message: outgoingMessage,
+            sendAt: sendOptions.sendAt,
+            minDelayMs: { type: 'integer', minimum: 0 },
+            maxDelayMs: { type: 'integer', minimum: 0 }
+        }, ['recipients', 'message']),
+        responses: {
+            202: {
+                schema: object({
+                    success: boolean,
+                    broadcast: ref('Broadcast'),
+                    rejected: describe({
+                        type: 'array',
+                        items: object({ index: integer, input: string, error: string, code: { enum: Object.keys(ERROR_CODES) } })
+                    }, 'Recipients that are malformed or not on WhatsApp, they are skipped')
+                })
+            }
+        },
+        errors: [400, 413, 422, 500, 502, 503]
+    },
+    {
+        method: 'get', path: '/broadcasts', id: 'listBroadcasts', tag: 'Broadcasts', scope: 'send',
+        summary: 'List the most recent broadcasts',
+        query: { limit },
+        responses: { 200: { schema: object({ broadcasts: { type: 'array', items: ref('Broadcast') } }) } },
+        errors: [503]
+    },
+    {
+        method: 'get', path: '/broadcasts/{broadcastId}', id: 'getBroadcast', tag: 'Broadcasts', scope: 'send',
+        summary: 'Broadcast progress',
+        responses: { 200: { schema: ref('Broadcast') } },
+        errors: [404, 503]
+    },
+    {
+        method: 'get', path: '/broadcasts/{broadcastId}/jobs', id: 'listBroadcastJobs', tag: 'Broadcasts', scope: 'send',
+        summary: 'Send jobs of a broadcast, one per recipient',
+        query: { status: jobStatus, limit },
+        responses: { 200: { schema: object({ jobs: { type: 'array', items: ref('Job') } }) } },
+        errors: [404, 503]
+    },
+    {
+        method: 'post', path: '/broadcasts/{broadcastId}/cancel', id: 'cancelBroadcast', tag: 'Broadcasts', scope: 'send',
+        summary: 'Cancel the queued messages of a broadcast',
+        responses: { 200: { schema: object({ success: boolean, broadcast: ref('Broadcast') }) } },
+        errors: [404, 503]
+    },
+    {
+        method: 'get', path: '/media/{messageId}', id: 'getMedia', tag: 'Media', scope: 'read-media',
+        summary: 'Media of a received message, downloaded on demand',
+        responses: { 200: { contentType: 'application/octet-stream' } },
+        errors: [404, 502, 503]
+    },
+    {
+        method: 'post', path: '/media/{messageId}/download', id: 'downloadMedia', tag: 'Media', scope: 'read-media',
+        summary: '(Re)download media of a received message from WhatsApp',
+        responses: { 200: { schema: object({ success: boolean, media: anyObject, url: string }) } },
+        errors: [404, 502, 503]
+    },
+    {
+        method: 'get', path: '/chats', id: 'listChats', tag: 'Chats', scope: 'read-messages',
+        summary: 'List chats, most recent first',
+        query: { before: describe(string, 'nextCursor of the previous page'), limit },
+        responses: { 200: { schema: object({ chats: { type: 'array', items: anyObject }, nextCursor: nullableString }) } },
+        errors: [503]
+    },
+    {
+        method: 'get', path: '/chats/{jid}/messages', id: 'listChatMessages', tag: 'Chats', scope: 'read-messages',
+        summary: 'Message history of a chat, newest first',
+        query: { before: describe(string, 'nextCursor of the previous page'), limit },
+        responses: {
+            200: {
+                schema: object({ jid: string, messages: { type: 'array', items: ref('Message') }, nextCursor: nullableString })
+            }
+        },
+        errors: [503]
+    },
+    {
+        method: 'get', path: '/calls', id: 'listCalls', tag: 'Calls', scope: 'read-messages',
+        summary: 'Call log, newest first',
+        query: { from: describe(string, 'Phone number of the caller'), limit, offset: integer },
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 503]
+    },
+    {
+        method: 'get', path: '/calls/{callId}', id: 'getCall', tag: 'Calls', scope: 'read-messages',
+        summary: 'Get a call',
+        responses: { 200: { schema: anyObject } },
+        errors: [404, 503]
+    },
+    {
+        method: 'get', path: '/contacts', id: 'listContacts', tag: 'Contacts', scope: 'read-messages',
+        summary: 'List contacts alphabetically',
+        query: { search: describe(string, 'Matches names and phone numbers'), limit, offset: integer },
+        responses: { 200: { schema: anyObject } },
+        errors: [503]
+    },
+    {
+        method: 'get', path: '/contacts/{jid}', id: 'getContact', tag: 'Contacts', scope: 'read-messages',
+        summary: 'Contact with its profile picture, about text and business profile',
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 503]
+    },
+    {
+        method: 'post', path: '/contacts/check', id: 'checkNumbers', tag: 'Contacts', scope: 'send',
+        summary: 'Check which phone numbers are on WhatsApp',
+        body: object({ numbers: { type: 'array', items: string, minItems: 1, maxItems: 500 } }, ['numbers']),
+        responses: {
+            200: {
+                schema: object({
+                    results: {
+                        type: 'array',
+                        items: object({ input: string, phone: nullableString, exists: boolean, jid: nullableString, lid: nullableString, error: nullableString })
+                    }
+                })
+            }
+        },
+        errors: [503]
+    },
+    {
+        method: 'get', path: '/lid/{lid}', id: 'getPhoneOfLid', tag: 'Contacts', scope: 'read-messages',
+        summary: 'Phone number of a LID',
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 404, 503]
+    },
+    {
+        method: 'get', path: '/phone/{number}/lid', id: 'getLidOfPhone', tag: 'Contacts', scope: 'read-messages',
+        summary: 'LID of a phone number',
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 404, 503]
+    },
+    {
+        method: 'get', path: '/polls/{messageId}/results', id: 'getPollResults', tag: 'Messages', scope: 'read-messages',
+        summary: 'Votes of a poll per option and per voter',
+        responses: { 200: { schema: anyObject } },
+        errors: [404, 503]
+    },
+    {
+        method: 'get', path: '/groups', id: 'listGroups', tag: 'Groups', scope: 'groups',
+        summary: 'List the groups of the session',
+        responses: { 200: { schema: object({ groups: { type: 'array', items: anyObject } }) } },
+        errors: [502, 503]
+    },
+    {
+        method: 'post', path: '/groups', id: 'createGroup', tag: 'Groups', scope: 'groups',
+        summary: 'Create a group',
+        body: object({ subject: { type: 'string', minLength: 1 }, participants: { type: 'array', items: string, minItems: 1 } }, ['subject', 'participants']),
+        responses: { 201: { schema: anyObject } },
+        errors: [400, 502, 503]
+    },
+    {
+        method: 'get', path: '/groups/{groupId}', id: 'getGroup', tag: 'Groups', scope: 'groups',
+        summary: 'Group metadata',
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 502, 503]
+    },
+    {
+        method: 'patch', path: '/groups/{groupId}', id: 'updateGroup', tag: 'Groups', scope: 'groups',
+        summary: 'Change the subject, description and settings of a group',
+        body: object({
+            subject: { type: 'string', minLength: 1 },
+            description: describe(nullableString, 'Empty or null removes the description'),
+            announcement: describe(flag, 'Only admins can send messages'),
+            locked: describe(flag, 'Only admins can edit the group info')
+        }),
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 502, 503]
+    },
+    {
+        method: 'post', path: '/groups/{groupId}/participants', id: 'updateGroupParticipants', tag: 'Groups', scope: 'groups',
+        summary: 'Add, remove, promote or demote participants',
+        body: object({
+            action: { enum: PARTICIPANT_ACTIONS },
+            participants: { type: 'array', items: string, minItems: 1 }
+        }, ['action', 'participants']),
+        responses: { 200: { schema: object({ results: { type: 'array', items: anyObject } }) } },
+        errors: [400, 502, 503]
+    },
+    {
+        method: 'get', path: '/groups/{groupId}/invite', id: 'getGroupInvite', tag: 'Groups', scope: 'groups',
+        summary: 'Invite link of a group',
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 502, 503]
+    },
+    {
+        method: 'post', path: '/groups/{groupId}/invite/revoke', id: 'revokeGroupInvite', tag: 'Groups', scope: 'groups',
+        summary: 'Revoke the invite link, returns the new link',
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 502, 503]
+    },
+    {
+        method: 'post', path: '/groups/{groupId}/leave', id: 'leaveGroup', tag: 'Groups', scope: 'groups',
+        summary: 'Leave a group',
+        responses: { 200: { schema: success } },
+        errors: [400, 502, 503]
+    }
+];
+
+// Endpoints that do not belong to a session
+const OPERATIONS = [
+    {
+        method: 'get', path: '/openapi.json', id: 'getOpenApiDocument', tag: 'Meta',
+        summary: 'This document',
+        responses: { 200: { schema: anyObject } }
+    },
+    {
+        method: 'get', path: '/docs', id: 'getApiDocs', tag: 'Meta',
+        summary: 'API documentation page rendered from this document',
+        responses: { 200: { contentType: 'text/html' } }
+    },
+    {
+        method: 'get', path: '/sessions', id: 'listSessions', tag: 'Sessions', scope: 'read-status',
+        summary: 'List sessions',
+        responses: { 200: { schema: object({ sessions: { type: 'array', items: ref('Session') } }) } }
+    },
+    {
+        method: 'post', path: '/sessions', id: 'createSession', tag: 'Sessions', scope: 'admin',
+        summary: 'Start a session, also restarts a logged out session',
+        body: object({ id: describe(string, 'Letters, digits, "-" and "_", max 64 chars') }, ['id']),
+        responses: { 200: { description: 'Restarted', schema: sessionResult }, 201: { description: 'Created', schema: sessionResult } },
+        errors: [400, 409, 500]
+    },
+    {
+        method: 'get', path: '/sessions/{id}', id: 'getSession', tag: 'Sessions', scope: 'read-status',
+        summary: 'Session details',
+        responses: { 200: { schema: ref('Session') } },
+        errors: [404]
+    },
+    {
+        method: 'delete', path: '/sessions/{id}', id: 'deleteSession', tag: 'Sessions', scope: 'admin',
+        summary: 'Log out and remove a session',
+        responses: { 200: { schema: success } },
+        errors: [400, 404, 500]
+    },
+    {
+        method: 'get', path: '/webhooks/subscriptions', id: 'listWebhookSubscriptions', tag: 'Webhooks', scope: 'admin',
+        summary: 'List webhook subscriptions, WEBHOOK_URL is the read-only "config" subscription',
+        responses: { 200: { schema: object({ subscriptions: { type: 'array', items: anyObject } }) } }
+    },
+    {
+        method: 'post', path: '/webhooks/subscriptions', id: 'createWebhookSubscription', tag: 'Webhooks', scope: 'admin',
+        summary: 'Create a webhook subscription, the secret is only returned once',
+        body: object({
+            ...subscriptionFields,
+            secret: describe({ type: 'string', minLength: 16 }, 'Signing secret, generated when left out')
+        }, ['name', 'url']),
+        responses: { 201: { schema: anyObject } },
+        errors: [400]
+    },
+    {
+        method: 'get', path: '/webhooks/subscriptions/{id}', id: 'getWebhookSubscription', tag: 'Webhooks', scope: 'admin',
+        params: { id: 'Subscription ID' },
+        summary: 'Get a webhook subscription',
+        responses: { 200: { schema: anyObject } },
+        errors: [404]
+    },
+    {
+        method: 'patch', path: '/webhooks/subscriptions/{id}', id: 'updateWebhookSubscription', tag: 'Webhooks', scope: 'admin',
+        params: { id: 'Subscription ID' },
+        summary: 'Change the URL, filters or state of a webhook subscription',
+        body: object(subscriptionFields),
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 404, 409]
+    },
+    {
+        method: 'delete', path: '/webhooks/subscriptions/{id}', id: 'deleteWebhookSubscription', tag: 'Webhooks', scope: 'admin',
+        params: { id: 'Subscription ID' },
+        summary: 'Delete a webhook subscription and its pending deliveries',
+        responses: { 200: { schema: success } },
+        errors: [404, 409]
+    },
+    {
+        method: 'post', path: '/webhooks/subscriptions/{id}/rotate-secret', id: 'rotateWebhookSecret', tag: 'Webhooks', scope: 'admin',
+        params: { id: 'Subscription ID' },
+        summary: 'Replace the signing secret, the new secret is only returned once',
+        responses: { 200: { schema: anyObject } },
+        errors: [404, 409]
+    },
+    {
+        method: 'post', path: '/webhooks/subscriptions/{id}/test', id: 'testWebhookSubscription', tag: 'Webhooks', scope: 'admin',
+        params: { id: 'Subscription ID' },
+        summary: 'Send a webhook.test event to this subscription only',
+        responses: { 202: { schema: object({ success: boolean, deliveryId: string }) } },
+        errors: [404]
+    },
+    {
+        method: 'get', path: '/webhooks/deliveries', id: 'listWebhookDeliveries', tag: 'Webhooks', scope: 'admin',
+        summary: 'Webhook delivery log, newest first',
+        query: { subscriptionId: string, deliveryId: string, limit },
+        responses: { 200: { schema: object({ deliveries: { type: 'array', items: anyObject } }) } }
+    },
+    {
+        method: 'get', path: '/webhooks/outbox', id: 'getWebhookOutbox', tag: 'Webhooks', scope: 'admin',
+        summary: 'Pending and failed webhook deliveries',
+        responses: { 200: { schema: anyObject } }
+    },
+    {
+        method: 'get', path: '/webhooks/dead-letters', id: 'listDeadLetters', tag: 'Webhooks', scope: 'admin',
+        summary: 'Deliveries that ran out of retries',
+        responses: { 200: { schema: object({ deadLetters: { type: 'array', items: anyObject } }) } }
+    },
+    {
+        method: 'post', path: '/webhooks/dead-letters/replay', id: 'replayDeadLetters', tag: 'Webhooks', scope: 'admin',
+        summary: 'Queue every dead letter again',
+        responses: { 200: { schema: object({ success: boolean, replayed: integer }) } }
+    },
+    {
+        method: 'post', path: '/webhooks/dead-letters/{id}/replay', id: 'replayDeadLetter', tag: 'Webhooks', scope: 'admin',
+        params: { id: 'Dead letter ID' },
+        summary: 'Queue a dead letter again',
+        responses: { 200: { schema: success } },
+        errors: [404]
+    },
+    {
+        method: 'delete', path: '/webhooks/dead-letters/{id}', id: 'deleteDeadLetter', tag: 'Webhooks', scope: 'admin',
+        params: { id: 'Dead letter ID' },
+        summary: 'Delete a dead letter',
+        responses: { 200: { schema: success } },
+        errors: [404]
+    },
+    {
+        method: 'get', path: '/auto-responder/rules', id: 'listRules', tag: 'Auto-responder', scope: 'admin',
+        summary: 'List the rules in evaluation order, with hit counts',
+        responses: { 200: { schema: object({ rules: { type: 'array', items: anyObject } }) } }
+    },
+    {
+        method: 'put', path: '/auto-responder/rules', id: 'replaceRules', tag: 'Auto-responder', scope: 'admin',
+        summary: 'Replace every rule',
+        body: object({ rules: { type: 'array', items: rule } }, ['rules']),
+        responses: { 200: { schema: object({ rules: { type: 'array', items: anyObject } }) } },
+        errors: [400]
+    },
+    {
+        method: 'post', path: '/auto-responder/rules', id: 'addRule', tag: 'Auto-responder', scope: 'admin',
+        summary: 'Add a rule',
+        query: { position: describe(integer, 'Insert at this index instead of the end') },
+        body: rule,
+        responses: { 201: { schema: anyObject } },
+        errors: [400]
+    },
+    {
+        method: 'post', path: '/auto-responder/reload', id: 'reloadRules', tag: 'Auto-responder', scope: 'admin',
+        summary: 'Reload the rules file after editing it by hand',
+        responses: { 200: { schema: object({ rules: { type: 'array', items: anyObject } }) } },
+        errors: [400]
+    },
+    {
+        method: 'get', path: '/auto-responder/hits', id: 'listRuleHits', tag: 'Auto-responder', scope: 'admin',
+        summary: 'Rule hits, newest first',
+        query: { ruleId: string, limit },
+        responses: { 200: { schema: object({ hits: { type: 'array', items: anyObject } }) } }
+    },
+    {
+        method: 'get', path: '/auto-responder/rules/{id}', id: 'getRule', tag: 'Auto-responder', scope: 'admin',
+        params: { id: 'Rule ID' },
+        summary: 'Get a rule',
+        responses: { 200: { schema: anyObject } },
+        errors: [404]
+    },
+    {
+        method: 'put', path: '/auto-responder/rules/{id}', id: 'updateRule', tag: 'Auto-responder', scope: 'admin',
+        params: { id: 'Rule ID' },
+        summary: 'Replace a rule, keeping its position',
+        body: rule,
+        responses: { 200: { schema: anyObject } },
+        errors: [400, 404]
+    },
+    {
+        method: 'delete', path: '/auto-responder/rules/{id}', id: 'deleteRule', tag: 'Auto-responder', scope: 'admin',
+        params: { id: 'Rule ID' },
+        summary: 'Delete a rule',
+        responses: { 200: { schema: success } },
+        errors: [404]
+    },
+    {
+        method: 'get', path: '/events', id: 'streamEvents', tag: 'Events', scope: 'events',
+        summary: 'Server-Sent Events stream of every event, also available as a WebSocket at /api/events/ws',
+        query: {
+            events: describe(string, 'Comma separated event filters (*, categories or event names)'),
+            sessions: describe(string, 'Comma separated session IDs'),
+            chats: describe(string, 'Comma separated phone numbers or JIDs'),
+            groupsOnly: boolean,
+            lastEventId: describe(string, 'Resume after this event, like the Last-Event-ID header'),
+            apiKey: describe(string, 'API key, for clients such as EventSource that cannot send headers')
+        },
+        responses: { 200: { contentType: 'text/event-stream' } },
+        errors: [400]
+    },
+    {
+        method: 'get', path: '/schema', id: 'getEventSchemas', tag: 'Events', scope: '*',
+        summary: 'JSON Schemas of every webhook and event stream payload',
+        responses: { 200: { schema: object({ schemaVersion: string, events: anyObject }) } }
+    },
+    {
+        method: 'get', path: '/schema/{event}', id: 'getEventSchema', tag: 'Events', scope: '*',
+        summary: 'JSON Schema of one event',
+        responses: { 200: { schema: object({ schemaVersion: string, schema: anyObject }) } },
+        errors: [404]
+    },
+    {
+        method: 'get', path: '/keys', id: 'listApiKeys', tag: 'API keys', scope: 'admin',
+        summary: 'List API keys',
+        responses: { 200: { schema: object({ keys: { type: 'array', items: anyObject } }) } }
+    },
+    {
+        method: 'post', path: '/keys', id: 'createApiKey', tag: 'API keys', scope: 'admin',
+        summary: 'Create an API key, the plain key is only returned once',
+        body: object({
+            name: { type: 'string', minLength: 1 },
+            scopes: { type: 'array', minItems: 1, items: { enum: [...SCOPES, '*'] } }
+        }, ['name', 'scopes']),
+        responses: { 201: { schema: object({ success: boolean, key: anyObject }) } },
+        errors: [400]
+    },
+    {
+        method: 'delete', path: '/keys/{id}', id: 'revokeApiKey', tag: 'API keys', scope: 'admin',
+        params: { id: 'API key ID' },
+        summary: 'Revoke an API key created through the API',
+        responses: { 200: { schema: success } },
+        errors: [404]
+    }
+];
+
+const PATH_PARAMS = {
+    id: 'Session ID',
+    messageId: 'Message ID',
+    jobId: 'Job ID',
+    broadcastId: 'Broadcast ID',
+    jid: 'Chat JID or phone number',
+    callId: 'Call ID',
+    lid: 'LID, with or without @lid',
+    number: 'Phone number',
+    groupId: 'Group JID or the part before @g.us',
+    event: 'Event name'
+};
+
+/**
+ * Turn an operation into an OpenAPI operation object
+ * @param {Object} operation - Entry of SESSION_OPERATIONS or OPERATIONS
+ * @param {string} fullPath - Path including /api
+ * @param {string} operationId - Operation ID for this path
+ * @param {string} description - Extra description
+ * @returns {Object}
+ */
+function buildOperation(operation, fullPath, operationId, description) {
+    const parameters = [...fullPath.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        description: (operation.params && operation.params[name]) || PATH_PARAMS[name],
+        schema: string
+    }));
+    for (const [name, schema] of Object.entries(operation.query || {})) {
+        parameters.push({ name, in: 'query', required: false, schema });
+    }
+
+    const responses = {};
+    for (const [status, { description: text, schema, contentType }] of Object.entries(operation.responses)) {
+        responses[status] = {
+            description: text || http.STATUS_CODES[status],
+            content: { [contentType || 'application/json']: schema ? { schema } : {} }
+        };
+    }
+    const errors = new Set(operation.errors || []);
+    if (operation.body || operation.query) errors.add(400);
+    if (fullPath.startsWith('/api/sessions/{id}')) errors.add(404);
+    if (operation.scope) {
+        errors.add(401);
+        if (operation.scope !== '*') errors.add(403);
+    }
+    for (const status of [...errors].sort()) {
+        responses[status] = { description: http.STATUS_CODES[status], content: { 'application/json': { schema: ref('Error') } } };
+    }
+    responses.default = { description: 'Unexpected error', content: { 'application/json': { schema: ref('Error') } } };
+
+    const result = {
+        operationId,
+        tags: [operation.tag],
+        summary: operation.summary,
+        ...(description ? { description } : {}),
+        ...(parameters.length > 0 ? { parameters } : {}),
+        responses
+    };
+    if (operation.body) {
+        const content = { 'application/json': { schema: operation.body } };
+        if (operation.form) {
+            content['multipart/form-data'] = { schema: operation.form };
+        }
+        result.requestBody = { required: true, content };
+    }
+    if (operation.scope) {
+        result['x-scope'] = operation.scope;
+    } else {
+        result.security = [];
+    }
+    return result;
+}
+
+let document = null;
+
+/**
+ * OpenAPI 3.1 document of every /api endpoint, served at GET /api/openapi.json
+ * @returns {Object}
+ */
+function getOpenApiDocument() {
+    if (document) return document;
+
+    const paths = {};
+    const add = (fullPath, method, operation) => {
+        paths[fullPath] = paths[fullPath] || {};
+        paths[fullPath][method] = operation;
+    };
+
+    for (const operation of OPERATIONS) {
+        add(`/api${operation.path}`, operation.method, buildOperation(operation, `/api${operation.path}`, operation.id));
+    }
+    for (const operation of SESSION_OPERATIONS) {
+        const sessionPath = `/api/sessions/{id}${operation.path}`;
+        add(sessionPath, operation.method, buildOperation(operation, sessionPath, `${operation.id}InSession`));
+        add(`/api${operation.path}`, operation.method,
+            buildOperation(operation, `/api${operation.path}`, operation.id, 'Uses the default session (DEFAULT_SESSION_ID), see /api/sessions/{id} for other sessions'));
+    }
+
+    document = {
+        openapi: '3.1.0',
+        info: {
+            title: 'WhatsApp API Gateway',
+            version,
+            description: 'Errors are answered as { error, code }, see the Error schema for every code. '
+                + 'x-scope is the API key scope an endpoint needs, "*" means any valid key.\n\n'
+                + Object.entries(ERROR_CODES).map(([code, text]) => `- ${code}: ${text}`).join('\n')
+        },
+        servers: [{ url: config.publicUrl || '/' }],
+        security: [{ bearerAuth: [] }],
+        tags: [...new Set([...SESSION_OPERATIONS, ...OPERATIONS].map(operation => operation.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key from API_KEYS or POST /api/keys' }
+            },
+            schemas: SCHEMAS
+        }
+    };
+    return document;
+}
+
+let validators = null;
+
+/**
+ * Compile the request schemas on first use, query strings are coerced to the documented types
+ * @returns {Object} - Operation ID -> { body, query } validate functions
+ */
+function getValidators() {
+    if (!validators) {
+        const options = { allErrors: true, allowUnionTypes: true, validateFormats: false };
+        const bodyAjv = new Ajv(options);
+        const queryAjv = new Ajv({ ...options, coerceTypes: true });
+
+        validators = {};
+        for (const operation of [...SESSION_OPERATIONS, ...OPERATIONS]) {
+            validators[operation.id] = {
+                body: operation.body ? bodyAjv.compile(operation.body) : null,
+                query: operation.query ? queryAjv.compile(object(operation.query)) : null
+            };
+        }
+    }
+    return validators;
+}
+
+/**
+ * Turn Ajv errors into { location, path, message }
+ * The branches of a failed anyOf are folded into its error, e.g. "must have required property 'jid' or 'phone'"
+ * @param {string} location - body or query
+ * @param {Array<Object>} ajvErrors - validate.errors
+ * @returns {Array<Object>}
+ */
+function describeErrors(location, ajvErrors) {
+    const isBranch = error => /\/anyOf\/\d+\//.test(error.schemaPath);
+
+    return ajvErrors.filter(error => !isBranch(error)).map(error => {
+        let { message } = error;
+        if (error.keyword === 'anyOf') {
+            const branches = ajvErrors.filter(branch => isBranch(branch) && branch.schemaPath.startsWith(`${error.schemaPath}/`));
+            if (branches.length > 0 && branches.every(branch => branch.keyword === 'required')) {
+                message = `must have required property ${branches.map(branch => `'${branch.params.missingProperty}'`).join(' or ')}`;
+            }
+        }
+        return { location, path: error.instancePath, message };
+    });
+}
+
+/**
+ * Express middleware factory: check the JSON body and query string against the operation in the OpenAPI document
+ * Multipart bodies are left to the endpoint, their fields are all strings
+ * @param {string} operationId - Operation ID (without the InSession suffix)
+ * @returns {Function} - Middleware answering 400 VALIDATION_FAILED with every problem found
+ */
+function validateRequest(operationId) {
+    return (req, res, next) => {
+        const validate = getValidators()[operationId];
+        if (!validate) {
+            return next(new Error(`No OpenAPI operation ${operationId}`));
+        }
+
+        const errors = [];
+        const check = (location, fn, value) => {
+            if (fn && !fn(value)) {
+                errors.push(...describeErrors(location, fn.errors));
+            }
+        };
+        if (!req.is('multipart/form-data')) {
+            check('body', validate.body, req.body || {});
+        }
+        // req.query is a getter in Express 5, coercion works on a copy
+        check('query', validate.query, { ...req.query });
+
+        if (errors.length > 0) {
+            const message = errors.map(error => `${error.location}${error.path} ${error.message}`).join('; ');
+            return sendError(res, 400, `Invalid request: ${message}`, { errors });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    getOpenApiDocument,
+    validateRequest
+};
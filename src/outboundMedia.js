@@ -0,0 +1,196 @@
+const path = require('path');
+const axios = require('axios');
+const FileType = require('file-type');
+const config = require('./config');
+
+// Message keys that carry media, in the shape Baileys expects for sendMessage
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// Error caused by the caller's media input (bad base64, unreachable URL, ...)
+class MediaInputError extends Error {
+    constructor(message, statusCode = 400, code = null) {
+        super(message);
+        this.name = 'MediaInputError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+/**
+ * Parse boolean-ish values coming from JSON or multipart form fields
+ * @param {*} value - true/false, "true"/"false", "1"/"0"
+ * @returns {boolean}
+ */
+function parseBoolean(value) {
+    return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+/**
+ * Decode a base64 string or data URI into a Buffer
+ * @param {string} value - Base64 data, with or without a data:<mime>;base64, prefix
+ * @returns {{ buffer: Buffer, mimetype: string|null }}
+ */
+function decodeBase64(value) {
+    const match = value.match(/^data:([^;,]+)(?:;[^,]*)?;base64,/);
+    const base64Data = match ? value.slice(match[0].length) : value;
+
+    if (!/^[A-Za-z0-9+/=\s_-]+$/.test(base64Data)) {
+        throw new MediaInputError('Media must be an http(s) URL, a data URI or base64 data', 400, 'INVALID_MEDIA');
+    }
+
+    const buffer = Buffer.from(base64Data, 'base64');
+    if (buffer.length === 0) {
+        throw new MediaInputError('Media data is empty', 400, 'INVALID_MEDIA');
+    }
+    if (buffer.length > config.mediaMaxBytes) {
+        throw new MediaInputError(`Media is larger than ${config.mediaMaxBytes} bytes`, 413);
+    }
+
+    return { buffer, mimetype: match ? match[1] : null };
+}
+
+/**
+ * Download media from a URL into memory (used when the bytes are needed to detect the type)
+ * @param {string} url - http(s) URL
+ * @returns {Promise<Buffer>}
+ */
+async function downloadMedia(url) {
+    try {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            maxContentLength: config.mediaMaxBytes,
+            timeout: config.mediaFetchTimeoutMs
+        });
+        return Buffer.from(response.data);
+    } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        throw new MediaInputError(`Failed to fetch media from ${url}: ${reason}`, 502, 'MEDIA_FETCH_FAILED');
+    }
+}
+
+/**
+ * Detect the mimetype of a buffer from its magic bytes
+ * @param {Buffer} buffer - Media bytes
+ * @returns {Promise<{ ext: string, mime: string }|null>}
+ */
+async function detectFileType(buffer) {
+    return (await FileType.fromBuffer(buffer)) || null;
+}
+
+/**
+ * Take a file name from the last path segment of a URL
+ * @param {string} url - http(s) URL
+ * @returns {string|null}
+ */
+function fileNameFromUrl(url) {
+    try {
+        const name = path.basename(new URL(url).pathname);
+        return name ? decodeURIComponent(name) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Turn the media fields of an API message into Baileys media content
+ * Media can be given as an http(s) URL, a data URI, plain base64 or an uploaded file
+ * @param {Object} message - Message from the request body (modified in place)
+ * @param {Object} files - Uploaded files keyed by media type (multer `req.files`)
+ * @returns {Promise<Object>} - Message ready for sock.sendMessage
+ */
+async function prepareOutgoingMessage(message, files = {}) {
+    for (const type of MEDIA_TYPES) {
+        const upload = files[type] && files[type][0];
+        if (upload) {
+            message[type] = upload.buffer;
+            if (type === 'document' && !message.fileName) {
+                message.fileName = upload.originalname;
+            }
+        }
+
+        const value = message[type];
+        if (!value) continue;
+
+        let buffer = null;
+        let declaredMimetype = null;
+        let urlFileName = null;
+
+        if (Buffer.isBuffer(value)) {
+            buffer = value;
+        } else if (typeof value === 'string') {
+            if (/^https?:\/\//i.test(value)) {
+                urlFileName = fileNameFromUrl(value);
+                // Documents need their bytes to detect the mimetype, other media are streamed by Baileys
+                if (type === 'document' && !message.mimetype) {
+                    buffer = await downloadMedia(value);
+                } else {
+                    message[type] = { url: value };
+                }
+            } else {
+                ({ buffer, mimetype: declaredMimetype } = decodeBase64(value));
+            }
+        }
+        // Anything else (e.g. { url }) is passed through to Baileys untouched
+
+        if (buffer) {
+            message[type] = buffer;
+            const detected = await detectFileType(buffer);
+            if (!message.mimetype) {
+                message.mimetype = (detected && detected.mime) || declaredMimetype || undefined;
+            }
+            if (type === 'document' && !message.fileName) {
+                message.fileName = `document.${detected ? detected.ext : 'bin'}`;
+            }
+        }
+
+        if (type === 'audio') {
+            message.ptt = parseBoolean(message.ptt);
+            if (message.ptt && !message.mimetype) {
+                message.mimetype = 'audio/ogg; codecs=opus';
+            }
+        }
+
+        if (type === 'document') {
+            message.fileName = message.fileName || urlFileName || 'document';
+            message.mimetype = message.mimetype || 'application/octet-stream';
+        }
+
+        if (!message.mimetype) {
+            delete message.mimetype;
+        }
+    }
+
+    return message;
+}
+
+/**
+ * Build the message object of a multipart/form-data request
+ * Accepts a JSON `message` field plus plain `text`, `caption`, `ptt`, `fileName` and `mimetype` fields
+ * @param {Object} body - Parsed form fields
+ * @returns {Object} - Message
+ */
+function messageFromFormFields(body) {
+    let message = {};
+    if (body.message) {
+        try {
+            message = typeof body.message === 'string' ? JSON.parse(body.message) : body.message;
+        } catch (error) {
+            throw new MediaInputError('Field "message" must be valid JSON');
+        }
+    }
+
+    for (const field of ['text', 'caption', 'ptt', 'fileName', 'mimetype']) {
+        if (body[field] !== undefined && message[field] === undefined) {
+            message[field] = body[field];
+        }
+    }
+    return message;
+}
+
+module.exports = {
+    MEDIA_TYPES,
+    MediaInputError,
+    parseBoolean,
+    prepareOutgoingMessage,
+    messageFromFormFields
+};
@@ -0,0 +1,503 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const config = require('./config');
+const { getDb } = require('./db');
+const { saveMessage } = require('./messageStore');
+const { normalizeMessage } = require('./messageNormalizer');
+const { trackSentMessage } = require('./messageStatus');
+
+// Emits '<jobId>' with { job, result } when a job reaches sent or failed
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Last send time per session and per session+JID, used for rate limiting
+const lastSentBySession = new Map();
+const lastSentByJid = new Map();
+
+// Due jobs picked per session and queue pass, so one session's backlog cannot crowd out the others
+const JOBS_PER_SESSION_PER_PASS = 50;
+
+let statements = null;
+let processing = false;
+let timer = null;
+
+/**
+ * Get a running session
+ * Required on use: sessions.js loads this module itself (through whatsapp.js), so at load time its exports are not there yet
+ * @param {string} id - Session ID
+ * @returns {Object|undefined}
+ */
+function getSession(id) {
+    return require('./sessions').getSession(id);
+}
+
+/**
+ * Get the broadcasts module, required on use for the same reason: it loads this module itself
+ * @returns {Object}
+ */
+function broadcasts() {
+    return require('./broadcasts');
+}
+
+/**
+ * Create the jobs table on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS outbound_jobs (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            jid TEXT NOT NULL,
+            content TEXT NOT NULL,
+            status TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            send_at INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            sent_at INTEGER,
+            message_id TEXT,
+            error TEXT,
+            broadcast_id TEXT,
+            options TEXT,
+            variables TEXT
+        );
+    `);
+
+    // Databases created by older versions lack the columns added since
+    const columns = db.prepare('PRAGMA table_info(outbound_jobs)').all().map(c => c.name);
+    for (const column of ['broadcast_id', 'options', 'variables']) {
+        if (!columns.includes(column)) {
+            db.exec(`ALTER TABLE outbound_jobs ADD COLUMN ${column} TEXT`);
+        }
+    }
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS outbound_jobs_due_idx ON outbound_jobs (status, send_at);
+        CREATE INDEX IF NOT EXISTS outbound_jobs_session_idx ON outbound_jobs (session_id, created_at);
+        CREATE INDEX IF NOT EXISTS outbound_jobs_broadcast_idx ON outbound_jobs (broadcast_id);
+    `);
+
+    statements = {
+        insert: db.prepare(`
+            INSERT INTO outbound_jobs (id, session_id, jid, content, options, variables, status, send_at, created_at, updated_at, broadcast_id)
+            VALUES (@id, @sessionId, @jid, @content, @options, @variables, 'queued', @sendAt, @now, @now, @broadcastId)
+        `),
+        get: db.prepare('SELECT * FROM outbound_jobs WHERE id = ?'),
+        dueSessions: db.prepare(`SELECT DISTINCT session_id FROM outbound_jobs WHERE status = 'queued' AND send_at <= ?`),
+        // The oldest due job per JID (messages to one chat go out in order), at most @perSession per session,
+        // leaving out JIDs that are still rate limited and broadcasts waiting out their delay.
+        // Jobs queued together (a broadcast's recipients) go out in insertion order
+        due: db.prepare(`
+            SELECT * FROM (
+                SELECT *, ROW_NUMBER() OVER (PARTITION BY session_id ORDER BY send_at, created_at, seq) AS session_rank
+                FROM (
+                    SELECT *, rowid AS seq, ROW_NUMBER() OVER (PARTITION BY session_id, jid ORDER BY send_at, created_at, rowid) AS jid_rank
+                    FROM outbound_jobs
+                    WHERE status = 'queued' AND send_at <= @now
+                      AND session_id IN (SELECT value FROM json_each(@sessions))
+                      AND session_id || ':' || jid NOT IN (SELECT value FROM json_each(@throttled))
+                      AND (broadcast_id IS NULL OR broadcast_id NOT IN (SELECT value FROM json_each(@waitingBroadcasts)))
+                )
+                WHERE jid_rank = 1
+            )
+            WHERE session_rank <= @perSession
+            ORDER BY send_at, created_at, seq
+        `),
+        failSession: db.prepare(`
+            UPDATE outbound_jobs SET status = 'failed', updated_at = @now, error = @error
+            WHERE session_id = @sessionId AND status = 'queued' AND send_at <= @now RETURNING id
+        `),
+        list: db.prepare(`
+            SELECT * FROM outbound_jobs
+            WHERE session_id = @sessionId AND (@status IS NULL OR status = @status)
+              AND (@broadcastId IS NULL OR broadcast_id = @broadcastId)
+            ORDER BY created_at DESC LIMIT @limit
+        `),
+        countByBroadcast: db.prepare('SELECT status, COUNT(*) AS count FROM outbound_jobs WHERE broadcast_id = ? GROUP BY status'),
+        cancelBroadcast: db.prepare(`UPDATE outbound_jobs SET status = 'cancelled', updated_at = ? WHERE broadcast_id = ? AND status = 'queued' RETURNING id`),
+        markSending: db.prepare(`UPDATE outbound_jobs SET status = 'sending', attempts = attempts + 1, updated_at = ? WHERE id = ?`),
+        markSent: db.prepare(`UPDATE outbound_jobs SET status = 'sent', sent_at = @now, updated_at = @now, message_id = @messageId, error = NULL WHERE id = @id`),
+        markRetry: db.prepare(`UPDATE outbound_jobs SET status = 'queued', send_at = @sendAt, updated_at = @now, error = @error WHERE id = @id`),
+        markFailed: db.prepare(`UPDATE outbound_jobs SET status = 'failed', updated_at = @now, error = @error WHERE id = @id`),
+        cancel: db.prepare(`UPDATE outbound_jobs SET status = 'cancelled', updated_at = ? WHERE id = ? AND status = 'queued'`),
+        resetSending: db.prepare(`UPDATE outbound_jobs SET status = 'queued', updated_at = ? WHERE status = 'sending'`),
+        cancelSession: db.prepare(`UPDATE outbound_jobs SET status = 'cancelled', updated_at = ? WHERE session_id = ? AND status = 'queued' RETURNING id`),
+        deleteSession: db.prepare('DELETE FROM outbound_jobs WHERE session_id = ?')
+    };
+    return statements;
+}
+
+/**
+ * Shape a job row for API responses (content and options are left out, they may hold media)
+ * @param {Object} row - outbound_jobs row
+ * @returns {Object|null}
+ */
+function describeJob(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        sessionId: row.session_id,
+        jid: row.jid,
+        status: row.status,
+        attempts: row.attempts,
+        sendAt: row.send_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        sentAt: row.sent_at,
+        messageId: row.message_id,
+        error: row.error,
+        broadcastId: row.broadcast_id
+    };
+}
+
+/**
+ * Queue a message for sending
+ * @param {string} sessionId - Session ID
+ * @param {string} jid - Recipient JID
+ * @param {Object|null} content - Baileys message content (media already prepared), null for broadcast jobs
+ * @param {Object} options - { sendAt: timestamp in ms, defaults to now; broadcastId; variables: the recipient's
+ *   broadcast variables, the content is rendered from the broadcast when sending; sendOptions: sock.sendMessage options such as { quoted } }
+ * @returns {Object} - Job
+ */
+function enqueueMessage(sessionId, jid, content, { sendAt, broadcastId, variables, sendOptions } = {}) {
+    const stmts = init();
+    const now = Date.now();
+    const id = crypto.randomUUID();
+
+    stmts.insert.run({
+        id,
+        sessionId,
+        jid,
+        content: JSON.stringify(content, BufferJSON.replacer),
+        options: sendOptions ? JSON.stringify(sendOptions, BufferJSON.replacer) : null,
+        variables: variables ? JSON.stringify(variables) : null,
+        sendAt: sendAt || now,
+        now,
+        broadcastId: broadcastId || null
+    });
+
+    scheduleProcessing();
+    return describeJob(stmts.get.get(id));
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null}
+ */
+function getJob(id) {
+    return describeJob(init().get.get(id));
+}
+
+/**
+ * List the most recent jobs of a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { status, broadcastId, limit }
+ * @returns {Array<Object>}
+ */
+function listJobs(sessionId, { status, broadcastId, limit } = {}) {
+    const rows = init().list.all({
+        sessionId,
+        status: status || null,
+        broadcastId: broadcastId || null,
+        limit: Math.min(parseInt(limit, 10) || 50, 500)
+    });
+    return rows.map(describeJob);
+}
+
+/**
+ * Cancel a job that has not been sent yet
+ * @param {string} id - Job ID
+ * @returns {boolean} - false if the job does not exist or is no longer queued
+ */
+function cancelJob(id) {
+    const changed = init().cancel.run(Date.now(), id).changes > 0;
+    if (changed) {
+        jobEvents.emit(id, { job: getJob(id), result: null });
+    }
+    return changed;
+}
+
+/**
+ * Count the jobs of a broadcast per status
+ * @param {string} broadcastId - Broadcast ID
+ * @returns {Object} - e.g. { queued: 10, sent: 5 }
+ */
+function countBroadcastJobs(broadcastId) {
+    const counts = {};
+    for (const row of init().countByBroadcast.all(broadcastId)) {
+        counts[row.status] = row.count;
+    }
+    return counts;
+}
+
+/**
+ * Cancel every job of a broadcast that has not been sent yet
+ * @param {string} broadcastId - Broadcast ID
+ * @returns {number} - Number of jobs cancelled
+ */
+function cancelBroadcastJobs(broadcastId) {
+    const cancelled = init().cancelBroadcast.all(Date.now(), broadcastId);
+    for (const { id } of cancelled) {
+        jobEvents.emit(id, { job: getJob(id), result: null });
+    }
+    return cancelled.length;
+}
+
+/**
+ * Remove every job of a session, callers still waiting for a queued job get it back as cancelled
+ * @param {string} sessionId - Session ID
+ */
+function deleteSessionJobs(sessionId) {
+    const stmts = init();
+    for (const { id } of stmts.cancelSession.all(Date.now(), sessionId)) {
+        jobEvents.emit(id, { job: getJob(id), result: null });
+    }
+    stmts.deleteSession.run(sessionId);
+
+    lastSentBySession.delete(sessionId);
+    for (const key of lastSentByJid.keys()) {
+        if (key.startsWith(`${sessionId}:`)) lastSentByJid.delete(key);
+    }
+}
+
+/**
+ * Wait until a job is sent or has failed for good
+ * @param {string} id - Job ID
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<Object|null>} - { job, result } or null on timeout
+ */
+function waitForJob(id, timeoutMs) {
+    return new Promise((resolve) => {
+        const timeout = setTimeout(() => {
+            jobEvents.removeListener(id, onDone);
+            resolve(null);
+        }, timeoutMs);
+
+        function onDone(outcome) {
+            clearTimeout(timeout);
+            resolve(outcome);
+        }
+
+        jobEvents.once(id, onDone);
+    });
+}
+
+/**
+ * Check the global (per session) rate limit
+ * @param {string} sessionId - Session ID
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function sessionCanSend(sessionId, now) {
+    return now - (lastSentBySession.get(sessionId) || 0) >= 60000 / config.queueGlobalRatePerMinute;
+}
+
+/**
+ * Check the global (per session) and per-JID rate limits
+ * @param {string} sessionId - Session ID
+ * @param {string} jid - Recipient JID
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function canSend(sessionId, jid, now) {
+    const lastJid = lastSentByJid.get(`${sessionId}:${jid}`) || 0;
+    return sessionCanSend(sessionId, now) && now - lastJid >= 60000 / config.queuePerJidRatePerMinute;
+}
+
+/**
+ * "<sessionId>:<jid>" of every JID that is still rate limited
+ * @param {number} now - Current time in ms
+ * @returns {Array<string>}
+ */
+function getThrottledJids(now) {
+    const cutoff = now - 60000 / config.queuePerJidRatePerMinute;
+    return Array.from(lastSentByJid).filter(([, sentAt]) => sentAt > cutoff).map(([key]) => key);
+}
+
+/**
+ * Why the queued jobs of a session can never be sent as things stand, jobs waiting for a
+ * reconnect are not affected
+ * @param {string} sessionId - Session ID
+ * @param {Object|undefined} session - Session state
+ * @returns {string|null} - Error for the jobs, null while the session can still send them
+ */
+function getUnsendableReason(sessionId, session) {
+    if (!session) return `Session ${sessionId} not found`;
+    // A restart stops the session too, but reports connecting right away
+    if (session.stopped && session.status === 'closed') return `Session ${sessionId} is stopped`;
+    if (session.status === 'logged_out' || session.status === 'scan_qr') {
+        return `Session ${sessionId} is logged out, scan the QR code before sending`;
+    }
+    return null;
+}
+
+/**
+ * Fail the due jobs of a session that cannot send them
+ * @param {string} sessionId - Session ID
+ * @param {string} error - Reason
+ * @param {number} now - Current time in ms
+ */
+function failSessionJobs(sessionId, error, now) {
+    const failed = init().failSession.all({ sessionId, error, now });
+    for (const { id } of failed) {
+        jobEvents.emit(id, { job: getJob(id), result: null });
+    }
+    if (failed.length > 0) {
+        console.warn(`[${sessionId}] ⚠ ${failed.length} queued job(s) failed: ${error}`);
+    }
+}
+
+/**
+ * Send a single job and record the outcome
+ * @param {Object} row - outbound_jobs row
+ * @param {Object} session - Session state
+ */
+async function sendJob(row, session) {
+    const stmts = init();
+    const now = Date.now();
+
+    stmts.markSending.run(now, row.id);
+    lastSentBySession.set(row.session_id, now);
+    lastSentByJid.set(`${row.session_id}:${row.jid}`, now);
+
+    try {
+        const content = row.variables !== null
+            ? broadcasts().renderBroadcastMessage(row.broadcast_id, JSON.parse(row.variables))
+            : JSON.parse(row.content, BufferJSON.reviver);
+        const sendOptions = row.options ? JSON.parse(row.options, BufferJSON.reviver) : undefined;
+        const result = await session.sock.sendMessage(row.jid, content, sendOptions);
+
+        stmts.markSent.run({ id: row.id, now: Date.now(), messageId: result ? result.key.id : null });
+
+        if (result) {
+            trackSentMessage(session.id, result.key.id, row.jid);
+        }
+
+        // Baileys echoes sent messages through messages.upsert as well, saving here keeps
+        // the history complete even when that echo is disabled
+        if (config.messageStoreEnabled && result) {
+            saveMessage(session.id, normalizeMessage(result, session.sock, session.lidCache), result);
+        }
+
+        jobEvents.emit(row.id, { job: getJob(row.id), result });
+    } catch (error) {
+        const attempts = row.attempts + 1;
+        console.error(`[${row.session_id}] Failed to send job ${row.id} (attempt ${attempts}):`, error.message);
+
+        if (attempts >= config.queueMaxAttempts) {
+            stmts.markFailed.run({ id: row.id, now: Date.now(), error: error.message });
+            jobEvents.emit(row.id, { job: getJob(row.id), result: null });
+        } else {
+            const retryAt = Date.now() + config.queueRetryDelayMs * Math.pow(2, attempts - 1);
+            stmts.markRetry.run({ id: row.id, now: Date.now(), sendAt: retryAt, error: error.message });
+        }
+    }
+}
+
+/**
+ * Send every due job whose session is connected and whose rate limits allow it
+ * Jobs of sessions that are gone, stopped or logged out fail instead of waiting forever
+ */
+async function processQueue() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        const stmts = init();
+        const now = Date.now();
+
+        const sendable = [];
+        for (const { session_id: sessionId } of stmts.dueSessions.all(now)) {
+            const session = getSession(sessionId);
+            const reason = getUnsendableReason(sessionId, session);
+            if (reason) {
+                failSessionJobs(sessionId, reason, now);
+            } else if (session.sock && session.sock.user && sessionCanSend(sessionId, now)) {
+                // Sessions that are (re)connecting keep their jobs queued
+                sendable.push(sessionId);
+            }
+        }
+        if (sendable.length === 0) return;
+
+        const waitingBroadcasts = new Set(broadcasts().getWaitingBroadcasts(now));
+        const jobs = stmts.due.all({
+            now,
+            sessions: JSON.stringify(sendable),
+            throttled: JSON.stringify(getThrottledJids(now)),
+            waitingBroadcasts: JSON.stringify(Array.from(waitingBroadcasts)),
+            perSession: JOBS_PER_SESSION_PER_PASS
+        });
+
+        for (const row of jobs) {
+            const session = getSession(row.session_id);
+            if (!session || !session.sock || !session.sock.user) continue;
+
+            if (!canSend(row.session_id, row.jid, Date.now())) continue;
+            if (waitingBroadcasts.has(row.broadcast_id)) continue;
+
+            // Re-read the job, it may have been cancelled or retried later while earlier jobs were sending
+            const current = stmts.get.get(row.id);
+            if (!current || current.status !== 'queued' || current.send_at > Date.now()) continue;
+
+            await sendJob(current, session);
+
+            // Broadcasts queued by older versions have their delays in send_at already
+            if (current.variables !== null) {
+                broadcasts().delayNextBroadcastMessage(current.broadcast_id);
+                waitingBroadcasts.add(current.broadcast_id);
+            }
+        }
+    } catch (error) {
+        console.error('Error processing outbound queue:', error.message);
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Process the queue as soon as possible instead of waiting for the next poll
+ */
+function scheduleProcessing() {
+    setImmediate(() => processQueue());
+}
+
+/**
+ * Start polling the queue, jobs interrupted mid-send by a restart are queued again
+ * Called once on server boot
+ */
+function startQueue() {
+    const stmts = init();
+    const reset = stmts.resetSending.run(Date.now()).changes;
+    if (reset > 0) {
+        console.warn(`Re-queued ${reset} job(s) interrupted by the last shutdown, they may be sent twice`);
+    }
+
+    if (timer) clearInterval(timer);
+    timer = setInterval(() => {
+        processQueue();
+
+        // Forget per-JID send times that no longer limit anything
+        const cutoff = Date.now() - 60000 / config.queuePerJidRatePerMinute;
+        for (const [key, sentAt] of lastSentByJid) {
+            if (sentAt < cutoff) lastSentByJid.delete(key);
+        }
+    }, config.queuePollIntervalMs).unref(); // The HTTP server keeps the process running
+}
+
+module.exports = {
+    enqueueMessage,
+    getJob,
+    listJobs,
+    cancelJob,
+    countBroadcastJobs,
+    cancelBroadcastJobs,
+    deleteSessionJobs,
+    waitForJob,
+    startQueue
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { decryptPollVote, getKeyAuthor, jidNormalizedUser } = require('@whiskeysockets/baileys');
+const { getDb } = require('./db');
+const { getMessage } = require('./messageStore');
+const { extractPhoneNumber, normalizeToWhatsAppJid, resolvePhoneNumberToLid } = require('./messageNormalizer');
+
+let statements = null;
+
+/**
+ * Create the votes table on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS poll_votes (
+            session_id TEXT NOT NULL,
+            poll_message_id TEXT NOT NULL,
+            voter_jid TEXT NOT NULL,
+            voter_phone TEXT,
+            options TEXT NOT NULL,
+            voted_at INTEGER NOT NULL,
+            PRIMARY KEY (session_id, poll_message_id, voter_jid)
+        );
+    `);
+
+    statements = {
+        getVote: db.prepare('SELECT * FROM poll_votes WHERE session_id = ? AND poll_message_id = ? AND voter_jid = ?'),
+        upsertVote: db.prepare(`
+            INSERT INTO poll_votes (session_id, poll_message_id, voter_jid, voter_phone, options, voted_at)
+            VALUES (@sessionId, @pollMessageId, @voterJid, @voterPhone, @options, @votedAt)
+            ON CONFLICT (session_id, poll_message_id, voter_jid) DO UPDATE SET
+                voter_phone = excluded.voter_phone, options = excluded.options, voted_at = excluded.voted_at
+        `),
+        deleteVote: db.prepare('DELETE FROM poll_votes WHERE session_id = ? AND poll_message_id = ? AND voter_jid = ?'),
+        votes: db.prepare('SELECT * FROM poll_votes WHERE session_id = ? AND poll_message_id = ? ORDER BY voted_at'),
+        deleteSessionVotes: db.prepare('DELETE FROM poll_votes WHERE session_id = ?')
+    };
+    return statements;
+}
+
+/**
+ * Load a poll from the message store
+ * @param {string} sessionId - Session ID
+ * @param {string} pollMessageId - ID of the poll creation message
+ * @returns {Object|null} - { messageId, chatJid, name, options, selectableCount }
+ */
+function getPoll(sessionId, pollMessageId) {
+    const stored = getMessage(sessionId, pollMessageId);
+    const content = stored && stored.raw && stored.raw.message;
+    if (!content) return null;
+
+    const poll = content.pollCreationMessage || content.pollCreationMessageV2 || content.pollCreationMessageV3;
+    if (!poll) return null;
+
+    return {
+        messageId: pollMessageId,
+        chatJid: stored.message.fromJid || stored.message.fromJidRaw,
+        name: poll.name,
+        options: (poll.options || []).map(option => option.optionName),
+        selectableCount: poll.selectableOptionsCount || 0
+    };
+}
+
+/**
+ * Map the SHA-256 hashes of a decrypted vote back to option names
+ * @param {Array<string>} options - Option names of the poll
+ * @param {Array<Uint8Array>} selectedHashes - vote.selectedOptions
+ * @returns {Array<string>}
+ */
+function decodeSelectedOptions(options, selectedHashes) {
+    const byHash = new Map(options.map(name => [crypto.createHash('sha256').update(name).digest('hex'), name]));
+    return (selectedHashes || [])
+        .map(hash => byHash.get(Buffer.from(hash).toString('hex')))
+        .filter(name => name !== undefined);
+}
+
+/**
+ * Decrypt a received vote (pollUpdateMessage) with the messageSecret of the stored poll
+ * Baileys 7 leaves this to the app, its messages.update pollUpdates are never emitted
+ * @param {Object} session - Session state
+ * @param {Object} msg - Raw Baileys message carrying a pollUpdateMessage
+ * @returns {Object|null} - { pollKey, pollUpdate } for recordPollVote, null when the poll or its secret is unknown
+ */
+function decryptPollUpdate(session, msg) {
+    const { pollCreationMessageKey: pollKey, vote, senderTimestampMs } = msg.message.pollUpdateMessage;
+    if (!pollKey || !vote) return null;
+
+    const stored = getMessage(session.id, pollKey.id);
+    const pollEncKey = stored && stored.raw && stored.raw.message && stored.raw.message.messageContextInfo
+        && stored.raw.message.messageContextInfo.messageSecret;
+    if (!pollEncKey) {
+        console.warn(`[${session.id}] ⚠ Vote for poll ${pollKey.id} without a stored poll secret, is the message store enabled?`);
+        return null;
+    }
+
+    // Votes are signed with the phone number JIDs of the poll creator and the voter
+    const meId = jidNormalizedUser(session.sock.user.id);
+    const decrypted = decryptPollVote(vote, {
+        pollEncKey,
+        pollCreatorJid: getKeyAuthor(pollKey, meId),
+        pollMsgId: pollKey.id,
+        voterJid: getKeyAuthor(msg.key, meId)
+    });
+
+    return {
+        pollKey,
+        pollUpdate: { pollUpdateMessageKey: msg.key, vote: decrypted, senderTimestampMs: Number(senderTimestampMs) || null }
+    };
+}
+
+/**
+ * Record a decrypted vote, from decryptPollUpdate or from messages.update pollUpdates
+ * A voter's latest vote replaces the earlier one, an empty vote means the voter retracted
+ * @param {Object} session - Session state
+ * @param {Object} pollKey - Key of the poll creation message
+ * @param {Object} pollUpdate - { pollUpdateMessageKey, vote: { selectedOptions }, senderTimestampMs }
+ * @returns {Object|null} - poll.vote event data, null when the poll is unknown or the vote is outdated
+ */
+function recordPollVote(session, pollKey, pollUpdate) {
+    const stmts = init();
+    const poll = getPoll(session.id, pollKey.id);
+    if (!poll) {
+        console.warn(`[${session.id}] ⚠ Vote for unknown poll ${pollKey.id}, is the message store enabled?`);
+        return null;
+    }
+
+    const voteKey = pollUpdate.pollUpdateMessageKey || {};
+    // Our own user ID carries a device suffix ("628123:12@s.whatsapp.net")
+    const rawVoterJid = voteKey.fromMe
+        ? (session.sock && session.sock.user ? session.sock.user.id.replace(/:\d+@/, '@') : 'me')
+        : voteKey.participant || voteKey.remoteJid;
+    const votedAt = Number(pollUpdate.senderTimestampMs) || Date.now();
+
+    // The same voter can show up as a LID and as a phone number JID: key the vote on the
+    // phone number once it is known, and drop what was recorded under the voter's LID
+    const voterPhone = extractPhoneNumber(rawVoterJid, session.sock, session.lidCache);
+    const voterJid = voterPhone ? `${voterPhone}@s.whatsapp.net` : rawVoterJid;
+    const voterLid = voterPhone && resolvePhoneNumberToLid(voterPhone, session.lidCache);
+    const aliases = [rawVoterJid, voterLid && `${voterLid}@lid`].filter(jid => jid && jid !== voterJid);
+
+    // Votes can arrive out of order (e.g. after a reconnect), keep the newest
+    const current = [voterJid, ...aliases]
+        .map(jid => stmts.getVote.get(session.id, poll.messageId, jid))
+        .filter(Boolean);
+    if (current.some(row => row.voted_at > votedAt)) {
+        return null;
+    }
+
+    const selectedOptions = decodeSelectedOptions(poll.options, pollUpdate.vote && pollUpdate.vote.selectedOptions);
+
+    getDb().transaction(() => {
+        for (const alias of aliases) {
+            stmts.deleteVote.run(session.id, poll.messageId, alias);
+        }
+        stmts.upsertVote.run({
+            sessionId: session.id,
+            pollMessageId: poll.messageId,
+            voterJid,
+            voterPhone,
+            options: JSON.stringify(selectedOptions),
+            votedAt
+        });
+    })();
+
+    return {
+        pollMessageId: poll.messageId,
+        chatJid: poll.chatJid,
+        voter: voterPhone,
+        voterJid: normalizeToWhatsAppJid(voterJid, session.sock, session.lidCache) || voterJid,
+        selectedOptions,
+        votedAt,
+        results: getPollResults(session.id, poll.messageId)
+    };
+}
+
+/**
+ * Tally the votes of a poll per option and per voter
+ * @param {string} sessionId - Session ID
+ * @param {string} pollMessageId - ID of the poll creation message
+ * @returns {Object|null} - null when the poll is unknown
+ */
+function getPollResults(sessionId, pollMessageId) {
+    const poll = getPoll(sessionId, pollMessageId);
+    if (!poll) return null;
+
+    const tally = new Map(poll.options.map(name => [name, []]));
+    const voters = init().votes.all(sessionId, pollMessageId).map(row => {
+        const options = JSON.parse(row.options);
+        for (const name of options) {
+            if (tally.has(name)) tally.get(name).push(row.voter_phone || row.voter_jid);
+        }
+        return {
+            voter: row.voter_phone,
+            voterJid: row.voter_phone ? `${row.voter_phone}@s.whatsapp.net` : row.voter_jid,
+            options,
+            votedAt: row.voted_at
+        };
+    });
+
+    return {
+        ...poll,
+        totalVoters: voters.filter(v => v.options.length > 0).length,
+        options: poll.options.map(name => ({ name, votes: tally.get(name).length, voters: tally.get(name) })),
+        voters
+    };
+}
+
+/**
+ * Remove all votes recorded for a session
+ * @param {string} sessionId - Session ID
+ */
+function deleteSessionVotes(sessionId) {
+    init().deleteSessionVotes.run(sessionId);
+}
+
+module.exports = {
+    decryptPollUpdate,
+    recordPollVote,
+    getPollResults,
+    deleteSessionVotes
+};
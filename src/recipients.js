@@ -0,0 +1,200 @@
+const config = require('./config');
+const { resolvePhoneNumberToLid } = require('./messageNormalizer');
+const { rememberLidMapping } = require('./lidStore');
+
+// Numbers per onWhatsApp query, larger batches are split
+const CHECK_BATCH_SIZE = 50;
+
+// onWhatsApp results by phone number: { exists, jid, lid, checkedAt }
+// Registration does not depend on the session, so the cache is shared. Numbers that are not registered
+// are kept only briefly, they may sign up any moment
+const onWhatsAppCache = new Map();
+
+// Error caused by a recipient the caller gave (malformed number, not on WhatsApp, ...)
+// code is the API error code, see apiErrors.js
+class RecipientError extends Error {
+    constructor(message, statusCode = 400, code = 'INVALID_JID') {
+        super(message);
+        this.name = 'RecipientError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+/**
+ * Normalize a phone number to international digits
+ * "+62 812-3456-789", "0062812..." and "0812..." (with DEFAULT_COUNTRY_CODE=62) all become "62812..."
+ * @param {string|number} value - Phone number in local or E.164 format
+ * @returns {string} - Digits with country code
+ */
+function normalizePhoneNumber(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!/^\+?[\d\s().-]+$/.test(text)) {
+        throw new RecipientError(`Invalid phone number: ${value}`);
+    }
+
+    let digits = text.replace(/\D/g, '');
+    // "+..." is already international
+    if (!text.startsWith('+') && digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (!text.startsWith('+') && digits.startsWith('0')) {
+        if (!config.defaultCountryCode) {
+            throw new RecipientError(`${value} is a local number, add the country code or set DEFAULT_COUNTRY_CODE`);
+        }
+        digits = config.defaultCountryCode + digits.slice(1);
+    }
+
+    if (!/^[1-9]\d{7,14}$/.test(digits)) {
+        throw new RecipientError(`Invalid phone number: ${value}`);
+    }
+    return digits;
+}
+
+/**
+ * Look up phone numbers with onWhatsApp, answering from the cache where possible
+ * @param {Object} session - Session state with a connected socket
+ * @param {Array<string>} phones - Normalized phone numbers
+ * @returns {Promise<Map<string, Object>>} - phone -> { exists, jid, lid, checkedAt }
+ */
+async function lookupNumbers(session, phones) {
+    const now = Date.now();
+    const results = new Map();
+    const missing = [];
+
+    for (const phone of new Set(phones)) {
+        const cached = onWhatsAppCache.get(phone);
+        const ttl = cached && cached.exists ? config.onWhatsAppCacheTtlMs : config.onWhatsAppNegativeCacheTtlMs;
+        if (cached && now - cached.checkedAt < ttl) {
+            results.set(phone, cached);
+        } else {
+            missing.push(phone);
+        }
+    }
+
+    for (let i = 0; i < missing.length; i += CHECK_BATCH_SIZE) {
+        const batch = missing.slice(i, i + CHECK_BATCH_SIZE);
+        const found = await session.sock.onWhatsApp(...batch.map(phone => `${phone}@s.whatsapp.net`)) || [];
+        const byPhone = new Map(found.map(entry => [String(entry.jid).split('@')[0], entry]));
+
+        for (const phone of batch) {
+            // Unregistered numbers are usually left out of the answer
+            const entry = byPhone.get(phone);
+            const exists = !!(entry && entry.exists);
+            if (entry && entry.lid) {
+                rememberLidMapping(session.lidCache, entry.lid, phone, 'onwhatsapp');
+            }
+            const lid = (entry && entry.lid) || resolvePhoneNumberToLid(phone, session.lidCache);
+            const result = {
+                exists,
+                jid: exists ? entry.jid : null,
+                lid: lid ? String(lid).split('@')[0] : null,
+                checkedAt: now
+            };
+            onWhatsAppCache.set(phone, result);
+            results.set(phone, result);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Check whether phone numbers are registered on WhatsApp
+ * @param {Object} session - Session state with a connected socket
+ * @param {Array<string>} numbers - Phone numbers in any supported format
+ * @returns {Promise<Array<Object>>} - [{ input, phone, exists, jid, lid, error }] in input order
+ */
+async function checkNumbers(session, numbers) {
+    const parsed = numbers.map(input => {
+        try {
+            return { input, phone: normalizePhoneNumber(input) };
+        } catch (error) {
+            return { input, phone: null, error: error.message };
+        }
+    });
+
+    const results = await lookupNumbers(session, parsed.filter(p => p.phone).map(p => p.phone));
+
+    return parsed.map(({ input, phone, error }) => {
+        if (!phone) {
+            return { input, phone: null, exists: false, jid: null, lid: null, error };
+        }
+        const { exists, jid, lid } = results.get(phone);
+        return { input, phone, exists, jid, lid, error: null };
+    });
+}
+
+/**
+ * Turn a recipient (phone number or JID) into the JID to send to
+ * Phone numbers are checked with onWhatsApp while the session is connected; while it is not,
+ * the message is queued for the plain phone-number JID
+ * @param {Object} session - Session state
+ * @param {string} value - "0812...", "+62812...", "62812...@s.whatsapp.net", a group or LID JID
+ * @returns {Promise<string>} - JID
+ */
+async function resolveRecipient(session, value) {
+    const [resolved] = await resolveRecipients(session, [value]);
+    if (resolved.error) {
+        throw new RecipientError(resolved.error, resolved.statusCode, resolved.code);
+    }
+    return resolved.jid;
+}
+
+/**
+ * Resolve a batch of recipients, see resolveRecipient
+ * @param {Object} session - Session state
+ * @param {Array<string>} values - Phone numbers or JIDs
+ * @returns {Promise<Array<Object>>} - [{ input, jid }] or [{ input, error, statusCode, code }] in input order
+ */
+async function resolveRecipients(session, values) {
+    const parsed = values.map(input => {
+        if (input === undefined || input === null || input === '') {
+            return { input, error: 'Missing jid', statusCode: 400, code: 'VALIDATION_FAILED' };
+        }
+
+        const text = String(input).trim();
+        if (text.endsWith('@g.us') || text.endsWith('@lid') || text.endsWith('@broadcast') || text.endsWith('@newsletter')) {
+            return { input, jid: text };
+        }
+        if (text.includes('@') && !text.endsWith('@s.whatsapp.net')) {
+            return { input, error: `Invalid JID: ${input}`, statusCode: 400, code: 'INVALID_JID' };
+        }
+
+        try {
+            return { input, phone: normalizePhoneNumber(text.replace('@s.whatsapp.net', '')) };
+        } catch (error) {
+            return { input, error: error.message, statusCode: error.statusCode, code: error.code };
+        }
+    });
+
+    const connected = session.sock && session.sock.user;
+    const phones = parsed.filter(p => p.phone).map(p => p.phone);
+    const lookups = connected && config.validateRecipients && phones.length > 0
+        ? await lookupNumbers(session, phones)
+        : null;
+
+    return parsed.map(({ input, jid, phone, error, statusCode, code }) => {
+        if (error) {
+            return { input, error, statusCode, code };
+        }
+        if (jid) {
+            return { input, jid };
+        }
+        if (!lookups) {
+            return { input, jid: `${phone}@s.whatsapp.net` };
+        }
+        const result = lookups.get(phone);
+        if (!result.exists) {
+            return { input, error: `${phone} is not registered on WhatsApp`, statusCode: 422, code: 'NOT_ON_WHATSAPP' };
+        }
+        return { input, jid: result.jid };
+    });
+}
+
+module.exports = {
+    RecipientError,
+    normalizePhoneNumber,
+    checkNumbers,
+    resolveRecipient,
+    resolveRecipients
+};
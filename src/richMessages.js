@@ -0,0 +1,263 @@
+const { getMessage } = require('./messageStore');
+const { resolvePhoneNumberToLid } = require('./messageNormalizer');
+const { normalizePhoneNumber } = require('./recipients');
+
+// WhatsApp limits for polls
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 12;
+
+// Error caused by the caller's message input (unknown message ID, invalid coordinates, ...)
+class MessageInputError extends Error {
+    constructor(message, statusCode = 400, code = null) {
+        super(message);
+        this.name = 'MessageInputError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+/**
+ * Load a stored message with its raw Baileys form (needed for its key and for quoting)
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @returns {Object} - Raw Baileys message
+ */
+function findStoredMessage(sessionId, messageId) {
+    if (!messageId || typeof messageId !== 'string') {
+        throw new MessageInputError('Message ID is required');
+    }
+    const stored = getMessage(sessionId, messageId);
+    if (!stored || !stored.raw) {
+        throw new MessageInputError(`Message ${messageId} not found in the message store`, 404);
+    }
+    return stored.raw;
+}
+
+/**
+ * Turn a phone number into international digits
+ * @param {string|number} value - "628123456789", "+62 812-3456-789", "0812..." or "628123456789@s.whatsapp.net"
+ * @returns {string}
+ */
+function toPhoneDigits(value) {
+    try {
+        return normalizePhoneNumber(String(value || '').replace('@s.whatsapp.net', ''));
+    } catch (error) {
+        throw new MessageInputError(error.message, 400, 'INVALID_JID');
+    }
+}
+
+/**
+ * Mention users by phone number
+ * Groups address members by LID when WhatsApp has assigned one, so known LIDs are used there
+ * and "@<phone>" in the text is rewritten to "@<lid>" to keep the mention highlighted
+ * @param {Object} session - Session state
+ * @param {string} jid - Chat the message goes to
+ * @param {Object} content - Message content (modified in place)
+ * @param {Array<string>} mentions - Phone numbers or JIDs
+ * @returns {Object} - content
+ */
+function applyMentions(session, jid, content, mentions) {
+    if (mentions === undefined || mentions === null) return content;
+    if (!Array.isArray(mentions)) {
+        throw new MessageInputError('mentions must be an array of phone numbers');
+    }
+
+    const isGroup = jid.endsWith('@g.us');
+    content.mentions = mentions.map(value => {
+        if (String(value).endsWith('@lid')) return String(value);
+
+        const phone = toPhoneDigits(value);
+        const lid = isGroup ? resolvePhoneNumberToLid(phone, session.lidCache) : null;
+        if (!lid) return `${phone}@s.whatsapp.net`;
+
+        for (const field of ['text', 'caption']) {
+            if (typeof content[field] === 'string') {
+                content[field] = content[field].split(`@${phone}`).join(`@${lid}`);
+            }
+        }
+        return `${lid}@lid`;
+    });
+    return content;
+}
+
+/**
+ * Send options that quote a stored message
+ * @param {string} sessionId - Session ID
+ * @param {string} replyTo - ID of the message to reply to, optional
+ * @returns {Object} - Options for sock.sendMessage
+ */
+function buildReplyOptions(sessionId, replyTo) {
+    if (!replyTo) return {};
+    return { quoted: findStoredMessage(sessionId, replyTo) };
+}
+
+/**
+ * Build poll content
+ * @param {Object} poll - { name, options: [string], selectableCount: 1 = single answer, 0 = any number }
+ * @returns {Object}
+ */
+function buildPoll({ name, options, selectableCount = 1 }) {
+    if (!name || typeof name !== 'string') {
+        throw new MessageInputError('name is required');
+    }
+    if (!Array.isArray(options) || options.length < POLL_MIN_OPTIONS || options.length > POLL_MAX_OPTIONS) {
+        throw new MessageInputError(`options must be an array of ${POLL_MIN_OPTIONS} to ${POLL_MAX_OPTIONS} strings`);
+    }
+    if (options.some(option => typeof option !== 'string' || !option.trim())) {
+        throw new MessageInputError('options must be non-empty strings');
+    }
+    if (new Set(options).size !== options.length) {
+        throw new MessageInputError('options must be unique');
+    }
+
+    const count = Number(selectableCount);
+    if (!Number.isInteger(count) || count < 0 || count > options.length) {
+        throw new MessageInputError(`selectableCount must be between 0 (any number) and ${options.length}`);
+    }
+
+    return { poll: { name, values: options, selectableCount: count } };
+}
+
+/**
+ * Build location content
+ * @param {Object} location - { latitude, longitude, name, address }
+ * @returns {Object}
+ */
+function buildLocation({ latitude, longitude, name, address }) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (latitude === undefined || latitude === null || latitude === '' || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+        throw new MessageInputError('latitude must be a number between -90 and 90');
+    }
+    if (longitude === undefined || longitude === null || longitude === '' || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+        throw new MessageInputError('longitude must be a number between -180 and 180');
+    }
+
+    const location = { degreesLatitude: lat, degreesLongitude: lng };
+    if (name) location.name = String(name);
+    if (address) location.address = String(address);
+    return { location };
+}
+
+/**
+ * Escape a vCard value
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapeVcard(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Build a vCard 3.0 for one contact
+ * @param {Object} contact - { name, phone | phones, organization, email }
+ * @returns {string}
+ */
+function buildVcard(contact) {
+    const phones = contact.phones || (contact.phone ? [contact.phone] : []);
+    if (!contact.name || phones.length === 0) {
+        throw new MessageInputError('Every contact needs a name and a phone number (or a vcard)');
+    }
+
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVcard(contact.name)}`];
+    if (contact.organization) {
+        lines.push(`ORG:${escapeVcard(contact.organization)};`);
+    }
+    for (const phone of phones) {
+        const digits = toPhoneDigits(phone);
+        // waid lets WhatsApp show the "Message" button for the contact
+        lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+    }
+    if (contact.email) {
+        lines.push(`EMAIL:${escapeVcard(contact.email)}`);
+    }
+    lines.push('END:VCARD');
+    return lines.join('\n');
+}
+
+/**
+ * Build contact card content
+ * @param {Array<Object>} contacts - [{ name, phone, organization, email }] or [{ name, vcard }]
+ * @returns {Object}
+ */
+function buildContacts(contacts) {
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+        throw new MessageInputError('contacts must be a non-empty array');
+    }
+
+    const cards = contacts.map(contact => {
+        if (!contact || typeof contact !== 'object') {
+            throw new MessageInputError('Every contact must be an object');
+        }
+        const vcard = contact.vcard || buildVcard(contact);
+        const match = vcard.match(/^FN:(.*)$/m);
+        return { displayName: contact.name || (match ? match[1] : 'Contact'), vcard };
+    });
+
+    return {
+        contacts: {
+            displayName: cards.length === 1 ? cards[0].displayName : `${cards.length} contacts`,
+            contacts: cards
+        }
+    };
+}
+
+/**
+ * Build a reaction to a stored message, an empty emoji removes the reaction
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - ID of the message to react to
+ * @param {string} emoji - Single emoji or ''
+ * @returns {{ jid: string, content: Object }}
+ */
+function buildReaction(sessionId, messageId, emoji) {
+    if (typeof emoji !== 'string') {
+        throw new MessageInputError('emoji must be a string, use "" to remove a reaction');
+    }
+    const { key } = findStoredMessage(sessionId, messageId);
+    return { jid: key.remoteJid, content: { react: { text: emoji, key } } };
+}
+
+/**
+ * Build an edit of a message sent by this session
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - ID of the message to edit
+ * @param {string} text - New text (or caption for media messages)
+ * @returns {{ jid: string, content: Object }}
+ */
+function buildEdit(sessionId, messageId, text) {
+    if (!text || typeof text !== 'string') {
+        throw new MessageInputError('text is required');
+    }
+    const { key } = findStoredMessage(sessionId, messageId);
+    if (!key.fromMe) {
+        throw new MessageInputError('Only messages sent by this session can be edited');
+    }
+    return { jid: key.remoteJid, content: { text, edit: key } };
+}
+
+/**
+ * Build a delete-for-everyone of a stored message
+ * Other people's messages can only be deleted in groups where this session is an admin
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - ID of the message to delete
+ * @returns {{ jid: string, content: Object }}
+ */
+function buildDelete(sessionId, messageId) {
+    const { key } = findStoredMessage(sessionId, messageId);
+    if (!key.fromMe && !key.remoteJid.endsWith('@g.us')) {
+        throw new MessageInputError('Messages from other people can only be deleted in groups');
+    }
+    return { jid: key.remoteJid, content: { delete: key } };
+}
+
+module.exports = {
+    MessageInputError,
+    applyMentions,
+    buildReplyOptions,
+    buildPoll,
+    buildLocation,
+    buildContacts,
+    buildReaction,
+    buildEdit,
+    buildDelete
+};
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { createSessionState, connectToWhatsApp, clearAuthState, logoutFromWhatsApp, disconnectFromWhatsApp } = require('./whatsapp');
+const { deleteSessionLidMappings } = require('./lidStore');
+const { listAuthSessions } = require('./authState');
+const { deleteSessionMessages } = require('./messageStore');
+const { deleteSessionVotes } = require('./polls');
+const { deleteSessionContacts } = require('./contacts');
+const { deleteSessionCalls } = require('./calls');
+const { deleteSessionJobs } = require('./outboundQueue');
+const { deleteSessionBroadcasts } = require('./broadcasts');
+const { deleteSessionStatuses } = require('./messageStatus');
+const { getMediaStore } = require('./mediaStore');
+
+// All running sessions, keyed by session ID
+const sessions = new Map();
+
+// Session IDs end up as folder names, keep them filesystem-safe
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Clean up processed messages cache periodically
+setInterval(() => {
+    for (const session of sessions.values()) {
+        if (session.processedMessages.size > 5000) {
+            session.processedMessages.clear();
+            console.log(`[${session.id}] Cleared processed messages cache`);
+        }
+    }
+}, 60 * 60 * 1000).unref(); // Clear every hour
+
+/**
+ * Check whether a string can be used as a session ID
+ * @param {string} id - Session ID
+ * @returns {boolean}
+ */
+function isValidSessionId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+/**
+ * Resolve the auth folder of a session
+ * The default session keeps using SESSION_PATH so existing logins survive the upgrade
+ * @param {string} id - Session ID
+ * @returns {string} - Auth directory path
+ */
+function getAuthDir(id) {
+    if (id === config.defaultSessionId) {
+        return config.sessionPath;
+    }
+    return path.join(config.sessionsDir, id);
+}
+
+/**
+ * Start a new session, or reconnect an existing one that was logged out
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} - Session state
+ */
+async function createSession(id) {
+    if (!isValidSessionId(id)) {
+        throw new Error(`Invalid session ID "${id}" (allowed: letters, digits, "-" and "_", max 64 chars)`);
+    }
+
+    let session = sessions.get(id);
+    if (session && !session.stopped) {
+        return session;
+    }
+
+    if (!session) {
+        session = createSessionState(id, getAuthDir(id));
+        sessions.set(id, session);
+    }
+
+    console.log(`Starting session: ${id}`);
+    await connectToWhatsApp(session);
+    return session;
+}
+
+/**
+ * Get a running session by ID
+ * @param {string} id - Session ID
+ * @returns {Object|undefined} - Session state
+ */
+function getSession(id) {
+    return sessions.get(id);
+}
+
+/**
+ * Get the session used by the legacy (non session-scoped) endpoints
+ * @returns {Object|undefined} - Session state
+ */
+function getDefaultSession() {
+    return sessions.get(config.defaultSessionId);
+}
+
+/**
+ * Connection history of a session: when it was last connected and how often it reconnected
+ * @param {Object} session - Session state
+ * @returns {Object}
+ */
+function describeConnection(session) {
+    return {
+        connected: !!(session.sock && session.sock.user),
+        lastConnectedAt: session.lastConnectedAt,
+        lastDisconnectedAt: session.lastDisconnectedAt,
+        lastDisconnectReason: session.lastDisconnectReason,
+        reconnectAttempts: session.reconnectAttempts,
+        reconnectCount: session.reconnectCount,
+        nextReconnectAt: session.nextReconnectAt
+    };
+}
+
+/**
+ * Summarize a session for API responses
+ * @param {Object} session - Session state
+ * @returns {Object}
+ */
+function describeSession(session) {
+    return {
+        id: session.id,
+        status: session.status,
+        user: session.sock && session.sock.user ? session.sock.user : null,
+        isDefault: session.id === config.defaultSessionId,
+        connection: describeConnection(session)
+    };
+}
+
+/**
+ * List all sessions
+ * @returns {Array<Object>} - Session summaries
+ */
+function listSessions() {
+    return Array.from(sessions.values()).map(describeSession);
+}
+
+/**
+ * Log a session out of WhatsApp, remove its credentials and reconnect so a fresh QR is produced
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>} - Session state, or null if not found
+ */
+async function logoutSession(id) {
+    const session = sessions.get(id);
+    if (!session) return null;
+
+    await logoutFromWhatsApp(session);
+    await clearAuthState(session);
+    console.log(`[${id}] Logged out and credentials removed`);
+    await connectToWhatsApp(session);
+    return session;
+}
+
+/**
+ * Close a session's socket and connect again with the same credentials
+ * Also starts a session that was stopped
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>} - Session state, or null if not found
+ */
+async function restartSession(id) {
+    const session = sessions.get(id);
+    if (!session) return null;
+
+    disconnectFromWhatsApp(session);
+    session.reconnectAttempts = 0;
+    // Reported right away so the queue keeps the session's jobs for after the reconnect
+    session.status = 'connecting';
+    console.log(`[${id}] Restarting`);
+    await connectToWhatsApp(session);
+    return session;
+}
+
+/**
+ * Log out (if connected), stop and remove a session including its auth state, stored data,
+ * pending jobs and media
+ * @param {string} id - Session ID
+ * @returns {Promise<boolean>} - false if the session does not exist
+ */
+async function deleteSession(id) {
+    const session = sessions.get(id);
+    if (!session) return false;
+
+    if (session.sock && session.sock.user) {
+        await logoutFromWhatsApp(session);
+    } else {
+        disconnectFromWhatsApp(session);
+    }
+    await clearAuthState(session);
+    deleteSessionMessages(id);
+    deleteSessionVotes(id);
+    deleteSessionLidMappings(id);
+    deleteSessionContacts(id);
+    deleteSessionCalls(id);
+    deleteSessionJobs(id);
+    deleteSessionBroadcasts(id);
+    deleteSessionStatuses(id);
+    const mediaStore = getMediaStore();
+    if (mediaStore.deleteSession) {
+        await mediaStore.deleteSession(id);
+    }
+    sessions.delete(id);
+    console.log(`[${id}] Session deleted`);
+    return true;
+}
+
+/**
+ * Process uptime and the connection state of every session, for GET /health
+ * @returns {Object} - status is "ok" when every session is connected, "degraded" otherwise
+ */
+function getHealth() {
+    const list = Array.from(sessions.values()).map(session => ({
+        id: session.id,
+        status: session.status,
+        ...describeConnection(session)
+    }));
+
+    return {
+        status: list.every(session => session.connected) ? 'ok' : 'degraded',
+        uptimeSeconds: Math.round(process.uptime()),
+        startedAt: Date.now() - Math.round(process.uptime() * 1000),
+        sessions: list
+    };
+}
+
+/**
+ * Start the default session plus every session found in SESSIONS_DIR or in the auth store
+ * Called once on server boot
+ */
+async function restoreSessions() {
+    const ids = [config.defaultSessionId];
+
+    if (fs.existsSync(config.sessionsDir)) {
+        const entries = fs.readdirSync(config.sessionsDir, { withFileTypes: true });
+        for (const entry of entries) {
+            if (entry.isDirectory() && isValidSessionId(entry.name) && !ids.includes(entry.name)) {
+                ids.push(entry.name);
+            }
+        }
+    }
+
+    for (const id of listAuthSessions()) {
+        if (isValidSessionId(id) && !ids.includes(id)) {
+            ids.push(id);
+        }
+    }
+
+    for (const id of ids) {
+        try {
+            await createSession(id);
+        } catch (error) {
+            console.error(`Failed to restore session ${id}:`, error.message);
+        }
+    }
+}
+
+module.exports = {
+    isValidSessionId,
+    createSession,
+    getSession,
+    getDefaultSession,
+    describeSession,
+    listSessions,
+    logoutSession,
+    restartSession,
+    deleteSession,
+    getHealth,
+    restoreSessions
+};
@@ -0,0 +1,537 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('./config');
+const { getDb } = require('./db');
+const { findSubscription } = require('./webhookSubscriptions');
+
+// Outbox file of older versions, imported into the database once
+const LEGACY_OUTBOX_FILE = path.join(config.dataDir, 'webhook-outbox.json');
+
+// Deliveries being sent right now, and how many are in flight per URL
+const inFlight = new Set();
+const activeByUrl = new Map();
+
+let timer = null;
+let pruneTimer = null;
+let statements = null;
+
+/**
+ * Create the outbox, dead letter and delivery log tables on first use and prepare the statements
+ * @returns {Object} - Prepared statements
+ */
+function init() {
+    if (statements) return statements;
+
+    const db = getDb();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_outbox (
+            id TEXT PRIMARY KEY,
+            url TEXT NOT NULL,
+            subscription_id TEXT,
+            payload TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER NOT NULL,
+            next_attempt_at INTEGER NOT NULL,
+            last_error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS webhook_outbox_url_idx ON webhook_outbox (url, created_at);
+        CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+            id TEXT PRIMARY KEY,
+            url TEXT NOT NULL,
+            subscription_id TEXT,
+            payload TEXT NOT NULL,
+            attempts INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            last_error TEXT,
+            failed_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS webhook_dead_letters_failed_idx ON webhook_dead_letters (failed_at);
+        CREATE TABLE IF NOT EXISTS webhook_delivery_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            delivery_id TEXT NOT NULL,
+            subscription_id TEXT,
+            url TEXT NOT NULL,
+            event TEXT,
+            attempt INTEGER NOT NULL,
+            result TEXT NOT NULL,
+            http_status INTEGER,
+            error TEXT,
+            duration_ms INTEGER NOT NULL,
+            attempted_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS webhook_delivery_log_subscription_idx ON webhook_delivery_log (subscription_id, id);
+    `);
+
+    statements = {
+        insert: db.prepare(`
+            INSERT INTO webhook_delivery_log (delivery_id, subscription_id, url, event, attempt, result, http_status, error, duration_ms, attempted_at)
+            VALUES (@deliveryId, @subscriptionId, @url, @event, @attempt, @result, @httpStatus, @error, @durationMs, @attemptedAt)
+        `),
+        prune: db.prepare('DELETE FROM webhook_delivery_log WHERE id <= (SELECT MAX(id) FROM webhook_delivery_log) - ?'),
+        list: db.prepare(`
+            SELECT * FROM webhook_delivery_log
+            WHERE (@subscriptionId IS NULL OR subscription_id = @subscriptionId)
+              AND (@deliveryId IS NULL OR delivery_id = @deliveryId)
+            ORDER BY id DESC LIMIT @limit
+        `),
+        enqueue: db.prepare(`
+            INSERT INTO webhook_outbox (id, url, subscription_id, payload, attempts, created_at, next_attempt_at, last_error)
+            VALUES (@id, @url, @subscriptionId, @payload, @attempts, @createdAt, @nextAttemptAt, @lastError)
+        `),
+        dueUrls: db.prepare('SELECT DISTINCT url FROM webhook_outbox WHERE next_attempt_at <= ?'),
+        // In the order they were queued, the caller skips the ones already in flight
+        pendingForUrl: db.prepare('SELECT * FROM webhook_outbox WHERE url = ? ORDER BY created_at, rowid'),
+        // Earliest attempt of the delivery next in line per URL, leaving out URLs whose workers are all busy
+        nextAttemptAt: db.prepare(`
+            SELECT MIN(next_attempt_at) AS at FROM (
+                SELECT next_attempt_at, ROW_NUMBER() OVER (PARTITION BY url ORDER BY created_at, rowid) AS position
+                FROM webhook_outbox
+                WHERE id NOT IN (SELECT value FROM json_each(@inFlight))
+                  AND url NOT IN (SELECT value FROM json_each(@busyUrls))
+            )
+            WHERE position = 1
+        `),
+        remove: db.prepare('DELETE FROM webhook_outbox WHERE id = ?'),
+        retry: db.prepare('UPDATE webhook_outbox SET attempts = @attempts, next_attempt_at = @nextAttemptAt, last_error = @lastError WHERE id = @id'),
+        countPending: db.prepare('SELECT COUNT(*) AS count FROM webhook_outbox'),
+        insertDeadLetter: db.prepare(`
+            INSERT OR REPLACE INTO webhook_dead_letters (id, url, subscription_id, payload, attempts, created_at, last_error, failed_at)
+            VALUES (@id, @url, @subscriptionId, @payload, @attempts, @createdAt, @lastError, @failedAt)
+        `),
+        getDeadLetter: db.prepare('SELECT * FROM webhook_dead_letters WHERE id = ?'),
+        listDeadLetters: db.prepare('SELECT * FROM webhook_dead_letters ORDER BY failed_at, rowid'),
+        deleteDeadLetter: db.prepare('DELETE FROM webhook_dead_letters WHERE id = ?'),
+        countDeadLetters: db.prepare('SELECT COUNT(*) AS count FROM webhook_dead_letters'),
+        expireDeadLetters: db.prepare('DELETE FROM webhook_dead_letters WHERE failed_at < ?'),
+        capDeadLetters: db.prepare(`
+            DELETE FROM webhook_dead_letters
+            WHERE id NOT IN (SELECT id FROM webhook_dead_letters ORDER BY failed_at DESC, rowid DESC LIMIT ?)
+        `)
+    };
+
+    importLegacyOutbox(db);
+    return statements;
+}
+
+/**
+ * Move pending deliveries and dead letters from the JSON outbox of older versions into the database
+ * The file is renamed afterwards so it is imported only once
+ * @param {Object} db - Database
+ */
+function importLegacyOutbox(db) {
+    if (!fs.existsSync(LEGACY_OUTBOX_FILE)) return;
+
+    try {
+        const { pending = [], deadLetters = [] } = JSON.parse(fs.readFileSync(LEGACY_OUTBOX_FILE, 'utf-8'));
+        db.transaction(() => {
+            for (const delivery of pending) {
+                statements.enqueue.run(toRow(delivery));
+            }
+            for (const deadLetter of deadLetters) {
+                statements.insertDeadLetter.run({ ...toRow(deadLetter), failedAt: deadLetter.failedAt });
+            }
+        })();
+        fs.renameSync(LEGACY_OUTBOX_FILE, `${LEGACY_OUTBOX_FILE}.imported`);
+        console.log(`✓ Imported ${pending.length} pending webhook delivery(s) and ${deadLetters.length} dead letter(s) from ${LEGACY_OUTBOX_FILE}`);
+    } catch (error) {
+        console.error(`⚠ Could not import ${LEGACY_OUTBOX_FILE}:`, error.message);
+    }
+}
+
+/**
+ * Statement parameters for an outbox entry
+ * @param {Object} delivery - Outbox entry
+ * @returns {Object}
+ */
+function toRow(delivery) {
+    return {
+        id: delivery.id,
+        url: delivery.url,
+        subscriptionId: delivery.subscriptionId || null,
+        payload: JSON.stringify(delivery.payload),
+        attempts: delivery.attempts,
+        createdAt: delivery.createdAt,
+        nextAttemptAt: delivery.nextAttemptAt,
+        lastError: delivery.lastError || null
+    };
+}
+
+/**
+ * Outbox entry of a webhook_outbox or webhook_dead_letters row
+ * @param {Object} row - Table row
+ * @returns {Object}
+ */
+function fromRow(row) {
+    const delivery = {
+        id: row.id,
+        url: row.url,
+        subscriptionId: row.subscription_id,
+        payload: JSON.parse(row.payload),
+        attempts: row.attempts,
+        createdAt: row.created_at,
+        lastError: row.last_error
+    };
+    if (row.failed_at !== undefined) {
+        delivery.failedAt = row.failed_at;
+    } else {
+        delivery.nextAttemptAt = row.next_attempt_at;
+    }
+    return delivery;
+}
+
+/**
+ * Record one delivery attempt in the delivery log, the oldest entries are pruned
+ * @param {Object} delivery - Outbox entry
+ * @param {Object} attempt - { result: delivered | retrying | dead | dropped, httpStatus, error, durationMs }
+ */
+function logAttempt(delivery, { result, httpStatus = null, error = null, durationMs = 0 }) {
+    try {
+        const stmts = init();
+        stmts.insert.run({
+            deliveryId: delivery.id,
+            subscriptionId: delivery.subscriptionId || null,
+            url: delivery.url,
+            event: delivery.payload && delivery.payload.event ? delivery.payload.event : null,
+            attempt: delivery.attempts,
+            result,
+            httpStatus,
+            error,
+            durationMs,
+            attemptedAt: Date.now()
+        });
+        stmts.prune.run(config.webhookLogMaxEntries);
+    } catch (logError) {
+        console.error('Error writing the webhook delivery log:', logError.message);
+    }
+}
+
+/**
+ * Sign a webhook body so receivers can verify it came from this gateway
+ * Signature = HMAC-SHA256(secret, `${timestamp}.${body}`) as hex
+ * @param {string} body - Raw JSON body exactly as sent
+ * @param {number} timestamp - Unix timestamp (ms) sent in X-Webhook-Timestamp
+ * @param {string} secret - Shared webhook secret
+ * @returns {string} - Value for the X-Webhook-Signature header
+ */
+function signPayload(body, timestamp, secret) {
+    const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${hmac}`;
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, capped at webhookRetryMaxMs
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in ms
+ */
+function getRetryDelay(attempts) {
+    const delay = Math.min(config.webhookRetryBaseMs * Math.pow(2, attempts - 1), config.webhookRetryMaxMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queue a webhook delivery, it is sent in the background and retried until it succeeds
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @param {string} subscriptionId - Subscription the delivery belongs to, signed with its secret (optional, WEBHOOK_SECRET otherwise)
+ * @returns {string} - Delivery ID (also sent as X-Webhook-Delivery-Id)
+ */
+function enqueueWebhook(url, payload, subscriptionId = null) {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+
+    init().enqueue.run(toRow({ id, url, subscriptionId, payload, attempts: 0, createdAt: now, nextAttemptAt: now }));
+    scheduleProcessing(0);
+    return id;
+}
+
+/**
+ * POST a single delivery to its webhook URL
+ * The secret is looked up when sending, so retries after a secret rotation are signed with the new one
+ * @param {Object} delivery - Outbox entry
+ * @param {Object|null} subscription - Subscription of the delivery, null for deliveries without one
+ * @returns {Promise<Object>} - Axios response
+ */
+async function deliver(delivery, subscription) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Date.now();
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Webhook-Delivery-Id': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Attempt': String(delivery.attempts + 1)
+    };
+
+    const secret = subscription ? subscription.secret : config.webhookSecret;
+    if (subscription) {
+        headers['X-Webhook-Subscription-Id'] = subscription.id;
+    }
+    if (secret) {
+        headers['X-Webhook-Signature'] = signPayload(body, timestamp, secret);
+    }
+
+    return axios.post(delivery.url, body, { headers, timeout: config.webhookTimeoutMs });
+}
+
+/**
+ * Make one delivery attempt, then reschedule a failure or move it to the dead letters once retries are exhausted
+ * @param {Object} delivery - Outbox entry
+ */
+async function attemptDelivery(delivery) {
+    const stmts = init();
+    const subscription = delivery.subscriptionId ? findSubscription(delivery.subscriptionId) : null;
+    if (delivery.subscriptionId && !subscription) {
+        stmts.remove.run(delivery.id);
+        logAttempt(delivery, { result: 'dropped', error: 'Subscription deleted' });
+        console.warn(`Webhook ${delivery.id} dropped, subscription ${delivery.subscriptionId} was deleted`);
+        return;
+    }
+
+    const startedAt = Date.now();
+    try {
+        const response = await deliver(delivery, subscription);
+        stmts.remove.run(delivery.id);
+        delivery.attempts++;
+        logAttempt(delivery, { result: 'delivered', httpStatus: response.status, durationMs: Date.now() - startedAt });
+        console.log(`✓ Webhook delivered: ${delivery.id} (attempt ${delivery.attempts})`);
+    } catch (error) {
+        delivery.attempts++;
+        delivery.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+        const attempt = {
+            httpStatus: error.response ? error.response.status : null,
+            error: delivery.lastError,
+            durationMs: Date.now() - startedAt
+        };
+
+        if (delivery.attempts >= config.webhookMaxAttempts) {
+            getDb().transaction(() => {
+                stmts.remove.run(delivery.id);
+                stmts.insertDeadLetter.run({ ...toRow(delivery), failedAt: Date.now() });
+                pruneDeadLetters();
+            })();
+            logAttempt(delivery, { ...attempt, result: 'dead' });
+            console.error(`✗ Webhook ${delivery.id} moved to dead letters after ${delivery.attempts} attempts: ${delivery.lastError}`);
+        } else {
+            delivery.nextAttemptAt = Date.now() + getRetryDelay(delivery.attempts);
+            stmts.retry.run({ id: delivery.id, attempts: delivery.attempts, nextAttemptAt: delivery.nextAttemptAt, lastError: delivery.lastError });
+            logAttempt(delivery, { ...attempt, result: 'retrying' });
+            console.warn(`Webhook ${delivery.id} failed (${delivery.lastError}), retry ${delivery.attempts}/${config.webhookMaxAttempts - 1} at ${new Date(delivery.nextAttemptAt).toISOString()}`);
+        }
+    }
+}
+
+/**
+ * Take the oldest delivery of a URL that is not being sent yet
+ * When it waits for a retry the URL is held, so newer deliveries never overtake it
+ * @param {string} url - Webhook URL
+ * @returns {Object|null} - Outbox entry, now in flight
+ */
+function claimNext(url) {
+    for (const row of init().pendingForUrl.iterate(url)) {
+        if (inFlight.has(row.id)) continue;
+        if (row.next_attempt_at > Date.now()) return null;
+
+        inFlight.add(row.id);
+        return fromRow(row);
+    }
+    return null;
+}
+
+/**
+ * Keep sending the due deliveries of one URL, one at a time, until none are left
+ * @param {string} url - Webhook URL
+ * @param {Object} delivery - First delivery, already claimed
+ */
+async function runWorker(url, delivery) {
+    activeByUrl.set(url, (activeByUrl.get(url) || 0) + 1);
+    try {
+        while (delivery) {
+            try {
+                await attemptDelivery(delivery);
+            } finally {
+                inFlight.delete(delivery.id);
+            }
+            delivery = claimNext(url);
+        }
+    } catch (error) {
+        console.error(`Error delivering webhooks to ${url}:`, error.message);
+    } finally {
+        const active = activeByUrl.get(url) - 1;
+        if (active > 0) {
+            activeByUrl.set(url, active);
+        } else {
+            activeByUrl.delete(url);
+        }
+        scheduleNext();
+    }
+}
+
+/**
+ * Start sending due deliveries, every URL gets up to webhookConcurrencyPerUrl workers
+ * so a slow or failing receiver does not hold back the others
+ */
+function processOutbox() {
+    for (const { url } of init().dueUrls.all(Date.now())) {
+        while ((activeByUrl.get(url) || 0) < config.webhookConcurrencyPerUrl) {
+            const delivery = claimNext(url);
+            if (!delivery) break;
+            runWorker(url, delivery);
+        }
+    }
+    scheduleNext();
+}
+
+/**
+ * Arm the timer for the earliest delivery that a worker could pick up
+ */
+function scheduleNext() {
+    const busyUrls = Array.from(activeByUrl).filter(([, active]) => active >= config.webhookConcurrencyPerUrl).map(([url]) => url);
+    const { at } = init().nextAttemptAt.get({
+        inFlight: JSON.stringify(Array.from(inFlight)),
+        busyUrls: JSON.stringify(busyUrls)
+    });
+    if (at === null) return;
+    scheduleProcessing(Math.max(0, at - Date.now()));
+}
+
+/**
+ * Run processOutbox after a delay, replacing any timer that would fire later
+ * @param {number} delay - Delay in ms
+ */
+function scheduleProcessing(delay) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+        timer = null;
+        try {
+            processOutbox();
+        } catch (error) {
+            console.error('Error processing webhook outbox:', error.message);
+        }
+    }, delay);
+}
+
+/**
+ * Drop dead letters older than webhookDeadLetterRetentionDays, then the oldest beyond webhookDeadLetterMaxEntries
+ */
+function pruneDeadLetters() {
+    const stmts = init();
+    if (config.webhookDeadLetterRetentionDays > 0) {
+        stmts.expireDeadLetters.run(Date.now() - config.webhookDeadLetterRetentionDays * 24 * 60 * 60 * 1000);
+    }
+    stmts.capDeadLetters.run(config.webhookDeadLetterMaxEntries);
+}
+
+/**
+ * Resume deliveries left in the outbox by a previous run
+ * Called once on server boot
+ */
+function startOutbox() {
+    if (!config.webhookSecret) {
+        console.warn('WEBHOOK_SECRET is not set, webhook deliveries will not be signed');
+    }
+
+    const pending = init().countPending.get().count;
+    if (pending > 0) {
+        console.log(`Resuming ${pending} pending webhook delivery(s)`);
+    }
+
+    pruneDeadLetters();
+    if (pruneTimer) clearInterval(pruneTimer);
+    pruneTimer = setInterval(pruneDeadLetters, 60 * 60 * 1000).unref(); // Every hour
+    scheduleNext();
+}
+
+/**
+ * Outbox counters for the API
+ * @returns {Object}
+ */
+function getOutboxStats() {
+    const stmts = init();
+    return {
+        pending: stmts.countPending.get().count,
+        deadLetters: stmts.countDeadLetters.get().count
+    };
+}
+
+/**
+ * List deliveries that exhausted all retries, oldest first
+ * @returns {Array<Object>}
+ */
+function listDeadLetters() {
+    return init().listDeadLetters.all().map(fromRow);
+}
+
+/**
+ * Move a dead letter back into the outbox, keeping its delivery ID so receivers can de-duplicate
+ * @param {string} id - Delivery ID
+ * @returns {boolean} - false if no dead letter with that ID exists
+ */
+function replayDeadLetter(id) {
+    const stmts = init();
+    const row = stmts.getDeadLetter.get(id);
+    if (!row) return false;
+
+    const { failedAt, ...delivery } = fromRow(row);
+    getDb().transaction(() => {
+        stmts.deleteDeadLetter.run(id);
+        stmts.enqueue.run(toRow({ ...delivery, attempts: 0, nextAttemptAt: Date.now() }));
+    })();
+    scheduleProcessing(0);
+    return true;
+}
+
+/**
+ * Replay every dead letter
+ * @returns {number} - Number of deliveries requeued
+ */
+function replayAllDeadLetters() {
+    const ids = init().listDeadLetters.all().map(row => row.id);
+    ids.forEach(replayDeadLetter);
+    return ids.length;
+}
+
+/**
+ * Drop a dead letter for good
+ * @param {string} id - Delivery ID
+ * @returns {boolean} - false if no dead letter with that ID exists
+ */
+function deleteDeadLetter(id) {
+    return init().deleteDeadLetter.run(id).changes > 0;
+}
+
+/**
+ * Recent delivery attempts, newest first
+ * @param {Object} options - { subscriptionId, deliveryId, limit }
+ * @returns {Array<Object>}
+ */
+function listDeliveryLog({ subscriptionId, deliveryId, limit } = {}) {
+    return init().list.all({
+        subscriptionId: subscriptionId || null,
+        deliveryId: deliveryId || null,
+        limit: Math.min(parseInt(limit, 10) || 100, 1000)
+    }).map(row => ({
+        deliveryId: row.delivery_id,
+        subscriptionId: row.subscription_id,
+        url: row.url,
+        event: row.event,
+        attempt: row.attempt,
+        result: row.result,
+        httpStatus: row.http_status,
+        error: row.error,
+        durationMs: row.duration_ms,
+        attemptedAt: row.attempted_at
+    }));
+}
+
+module.exports = {
+    signPayload,
+    enqueueWebhook,
+    startOutbox,
+    getOutboxStats,
+    listDeliveryLog,
+    listDeadLetters,
+    replayDeadLetter,
+    replayAllDeadLetters,
+    deleteDeadLetter
+};
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('./config');
+const { createJsonStore } = require('./jsonStore');
+const { normalizePhoneNumber } = require('./recipients');
+
+// Event filters a subscription can use, matched by event name prefix
+const EVENT_CATEGORIES = {
+    messages: ['message.received', 'message.deleted', 'message.edited', 'poll.'],
+    receipts: ['message.status'],
+    connection: ['connection.'],
+    groups: ['group.'],
+    calls: ['call.']
+};
+
+// Subscriptions created through the admin API
+const store = createJsonStore(path.join(config.dataDir, 'webhook-subscriptions.json'), { subscriptions: [] });
+
+// Error caused by an invalid subscription request
+class SubscriptionInputError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SubscriptionInputError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * WEBHOOK_URL as a read-only subscription to every event, signed with WEBHOOK_SECRET
+ * @returns {Object|null}
+ */
+function getConfigSubscription() {
+    if (!config.webhookUrl) return null;
+    return {
+        id: 'config',
+        name: 'WEBHOOK_URL',
+        url: config.webhookUrl,
+        secret: config.webhookSecret || null,
+        events: ['*'],
+        groupsOnly: false,
+        chats: [],
+        sessions: null,
+        enabled: true,
+        source: 'config'
+    };
+}
+
+/**
+ * All subscriptions, WEBHOOK_URL first
+ * @returns {Array<Object>}
+ */
+function getAllSubscriptions() {
+    const configSubscription = getConfigSubscription();
+    return (configSubscription ? [configSubscription] : []).concat(store.data.subscriptions);
+}
+
+/**
+ * Strip the secret before returning a subscription from the API
+ * @param {Object} subscription - Subscription record
+ * @returns {Object}
+ */
+function describeSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, hasSecret: !!secret };
+}
+
+/**
+ * Whether an event passes a subscription's event filter
+ * @param {Array<string>} events - Categories, exact event names or '*'
+ * @param {string} event - Event name
+ * @returns {boolean}
+ */
+function matchesEvent(events, event) {
+    return events.some(filter => {
+        if (filter === '*' || filter === event) return true;
+        return (EVENT_CATEGORIES[filter] || []).some(prefix => prefix.endsWith('.') ? event.startsWith(prefix) : event === prefix);
+    });
+}
+
+/**
+ * Chat an event belongs to, null for events without one (connection updates, ...)
+ * @param {Object} data - Event payload
+ * @returns {string|null}
+ */
+function getEventChat(data) {
+    if (!data) return null;
+    return data.chatJid || data.groupId || data.jid || data.fromJid || data.fromJidRaw || null;
+}
+
+/**
+ * Whether an event passes a set of filters (a subscription's or an event stream client's)
+ * Chat filters only apply to events that belong to a chat
+ * @param {Object} filters - { events, groupsOnly, chats, sessions }
+ * @param {string} sessionId - Session the event belongs to
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {boolean}
+ */
+function matchesFilters(filters, sessionId, event, data) {
+    if (filters.sessions && !filters.sessions.includes(sessionId)) return false;
+    if (!matchesEvent(filters.events, event)) return false;
+
+    const chatJid = getEventChat(data);
+    if (!chatJid) return true;
+    if (filters.groupsOnly && !chatJid.endsWith('@g.us')) return false;
+    return filters.chats.length === 0 || filters.chats.includes(chatJid);
+}
+
+/**
+ * Subscriptions that should receive an event
+ * @param {string} sessionId - Session the event belongs to
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {Array<Object>}
+ */
+function getMatchingSubscriptions(sessionId, event, data) {
+    return getAllSubscriptions().filter(subscription => subscription.enabled && matchesFilters(subscription, sessionId, event, data));
+}
+
+/**
+ * Turn a chat filter entry into a JID
+ * @param {string} value - Phone number or JID
+ * @returns {string}
+ */
+function toChatJid(value) {
+    const text = String(value || '').trim();
+    if (text.includes('@') && !text.endsWith('@s.whatsapp.net')) return text;
+    try {
+        return `${normalizePhoneNumber(text.replace('@s.whatsapp.net', ''))}@s.whatsapp.net`;
+    } catch (error) {
+        throw new SubscriptionInputError(`Invalid chat "${value}": ${error.message}`);
+    }
+}
+
+/**
+ * Validate the editable fields of a subscription (or the filters of an event stream client), only the fields present are checked
+ * @param {Object} fields - { name, url, events, groupsOnly, chats, sessions, enabled }
+ * @returns {Object} - Normalized fields
+ */
+function validateFields(fields) {
+    const result = {};
+
+    if (fields.name !== undefined) {
+        if (!fields.name || typeof fields.name !== 'string') {
+            throw new SubscriptionInputError('name must be a non-empty string');
+        }
+        result.name = fields.name;
+    }
+    if (fields.url !== undefined) {
+        if (!/^https?:\/\//.test(fields.url || '')) {
+            throw new SubscriptionInputError('url must be an http(s) URL');
+        }
+        result.url = fields.url;
+    }
+    if (fields.events !== undefined) {
+        if (!Array.isArray(fields.events) || fields.events.length === 0) {
+            throw new SubscriptionInputError(`events must be a non-empty array of: *, ${Object.keys(EVENT_CATEGORIES).join(', ')} or event names`);
+        }
+        const unknown = fields.events.filter(filter => filter !== '*' && !EVENT_CATEGORIES[filter] && !String(filter).includes('.'));
+        if (unknown.length > 0) {
+            throw new SubscriptionInputError(`Unknown event filter(s): ${unknown.join(', ')} (allowed: *, ${Object.keys(EVENT_CATEGORIES).join(', ')} or event names)`);
+        }
+        result.events = fields.events.map(String);
+    }
+    if (fields.groupsOnly !== undefined) {
+        result.groupsOnly = !!fields.groupsOnly;
+    }
+    if (fields.chats !== undefined) {
+        if (!Array.isArray(fields.chats)) {
+            throw new SubscriptionInputError('chats must be an array of phone numbers or JIDs');
+        }
+        result.chats = fields.chats.map(toChatJid);
+    }
+    if (fields.sessions !== undefined) {
+        if (fields.sessions !== null && !Array.isArray(fields.sessions)) {
+            throw new SubscriptionInputError('sessions must be an array of session IDs or null for all sessions');
+        }
+        result.sessions = fields.sessions;
+    }
+    if (fields.enabled !== undefined) {
+        result.enabled = !!fields.enabled;
+    }
+    return result;
+}
+
+/**
+ * Generate a signing secret
+ * @returns {string}
+ */
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * List subscriptions (without secrets)
+ * @returns {Array<Object>}
+ */
+function listSubscriptions() {
+    return getAllSubscriptions().map(describeSubscription);
+}
+
+/**
+ * Get one subscription (without its secret)
+ * @param {string} id - Subscription ID
+ * @returns {Object|null}
+ */
+function getSubscription(id) {
+    const subscription = getAllSubscriptions().find(s => s.id === id);
+    return subscription ? describeSubscription(subscription) : null;
+}
+
+/**
+ * Create a subscription, the secret is only returned here (and when rotated)
+ * @param {Object} fields - { name, url, secret, events, groupsOnly, chats, sessions, enabled }
+ * @returns {Object} - Subscription plus its `secret`
+ */
+function createSubscription(fields) {
+    if (!fields.name || !fields.url) {
+        throw new SubscriptionInputError('name and url are required');
+    }
+    if (fields.secret !== undefined && (typeof fields.secret !== 'string' || fields.secret.length < 16)) {
+        throw new SubscriptionInputError('secret must be a string of at least 16 characters');
+    }
+
+    const subscription = {
+        id: crypto.randomUUID(),
+        events: ['*'],
+        groupsOnly: false,
+        chats: [],
+        sessions: null,
+        enabled: true,
+        ...validateFields(fields),
+        secret: fields.secret || generateSecret(),
+        source: 'api',
+        createdAt: Date.now()
+    };
+
+    store.data.subscriptions.push(subscription);
+    store.save();
+    return { ...describeSubscription(subscription), secret: subscription.secret };
+}
+
+/**
+ * Find a subscription created through the API
+ * @param {string} id - Subscription ID
+ * @returns {Object|null}
+ */
+function findApiSubscription(id) {
+    if (id === 'config') {
+        throw new SubscriptionInputError('The WEBHOOK_URL subscription can only be changed in the config', 409);
+    }
+    return store.data.subscriptions.find(s => s.id === id) || null;
+}
+
+/**
+ * Change a subscription's URL, filters or state
+ * @param {string} id - Subscription ID
+ * @param {Object} fields - Fields to change
+ * @returns {Object|null} - null when the subscription does not exist
+ */
+function updateSubscription(id, fields) {
+    const subscription = findApiSubscription(id);
+    if (!subscription) return null;
+
+    Object.assign(subscription, validateFields(fields), { updatedAt: Date.now() });
+    store.save();
+    return describeSubscription(subscription);
+}
+
+/**
+ * Replace a subscription's secret with a new one
+ * @param {string} id - Subscription ID
+ * @returns {Object|null} - Subscription plus the new `secret`, null when it does not exist
+ */
+function rotateSecret(id) {
+    const subscription = findApiSubscription(id);
+    if (!subscription) return null;
+
+    subscription.secret = generateSecret();
+    subscription.updatedAt = Date.now();
+    store.save();
+    return { ...describeSubscription(subscription), secret: subscription.secret };
+}
+
+/**
+ * Delete a subscription
+ * @param {string} id - Subscription ID
+ * @returns {boolean}
+ */
+function deleteSubscription(id) {
+    if (!findApiSubscription(id)) return false;
+    store.data.subscriptions = store.data.subscriptions.filter(s => s.id !== id);
+    store.save();
+    return true;
+}
+
+/**
+ * Find a subscription with its secret, used when a delivery is sent
+ * @param {string} id - Subscription ID
+ * @returns {Object|null}
+ */
+function findSubscription(id) {
+    return getAllSubscriptions().find(s => s.id === id) || null;
+}
+
+module.exports = {
+    EVENT_CATEGORIES,
+    SubscriptionInputError,
+    matchesFilters,
+    validateFields,
+    getMatchingSubscriptions,
+    listSubscriptions,
+    getSubscription,
+    createSubscription,
+    updateSubscription,
+    rotateSecret,
+    deleteSubscription,
+    findSubscription
+};
@@ -1,31 +1,154 @@
 const makeWASocket = require('@whiskeysockets/baileys').default;
-const { useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, makeCacheableSignalKeyStore, downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { DisconnectReason, fetchLatestBaileysVersion, makeCacheableSignalKeyStore } = require('@whiskeysockets/baileys');
 const pino = require('pino');
 const config = require('./config');
-const axios = require('axios');
 const qrcode = require('qrcode');
 const qrcodeTerminal = require('qrcode-terminal');
-const { normalizeMessage, preloadLidMappings, validateMappings } = require('./messageNormalizer');
+const { normalizeMessage, extractPhoneNumber, normalizeToWhatsAppJid } = require('./messageNormalizer');
+const { createLidCache, closeLidCache, loadLidMappings, learnFromMessageKey, learnFromContacts, learnFromLidMappingUpdate, learnFromAuthKeys } = require('./lidStore');
+const { createAuthStore, useAuthState } = require('./authState');
+const { publishEvent } = require('./events');
+const { saveContacts, applySenderName } = require('./contacts');
+const { handleInboundMedia } = require('./inboundMedia');
+const { saveMessage, getMessage: getStoredMessage } = require('./messageStore');
+const { decryptPollUpdate, recordPollVote } = require('./polls');
+const { handleIncomingMessage } = require('./autoResponder');
+const { handleCalls } = require('./calls');
+const { normalizeGroupUpdate, normalizeParticipantsUpdate } = require('./groups');
+const { statusName, updateMessageStatus, updateReceipt } = require('./messageStatus');
 
-let sock;
-let qrCodeData = null; // Store QR code data
-const processedMessages = new Set(); // Cache for processed message IDs
+// Deletions and edits of earlier messages go out as their own events instead of message.received
+const MESSAGE_CHANGE_EVENTS = {
+    revoke: 'message.deleted',
+    edit: 'message.edited'
+};
+
+/**
+ * Create the state object of a WhatsApp session
+ * The socket is attached later by connectToWhatsApp
+ * @param {string} id - Session ID
+ * @param {string} authDir - Folder of the session's auth state (used by AUTH_STORE=multi-file)
+ * @returns {Object} - Session state
+ */
+function createSessionState(id, authDir) {
+    const authStore = createAuthStore(id, authDir);
+    return {
+        id,
+        authDir,
+        authStore,
+        sock: null,
+        qrCodeData: null, // Store QR code data
+        status: 'connecting',
+        stopped: false, // Set when the session is logged out or deleted, prevents reconnects
+        processedMessages: new Set(), // Cache for processed message IDs
+        lidCache: createLidCache(id, authStore),
+        reconnectTimer: null,
+        reconnectAttempts: 0, // Reconnects since the last successful connection, drives the backoff
+        reconnectCount: 0, // Reconnects since the server started
+        nextReconnectAt: null,
+        lastConnectedAt: null,
+        lastDisconnectedAt: null,
+        lastDisconnectReason: null // { statusCode, error } of the last close
+    };
+}
+
+// Creates the socket of a session, see setSocketFactory
+let socketFactory = createBaileysSocket;
+
+// Error caused by a lifecycle request that does not fit the session's state (pairing while connected, ...)
+class ConnectionStateError extends Error {
+    constructor(message, statusCode = 409) {
+        super(message);
+        this.name = 'ConnectionStateError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Change the connection status of a session and publish it as a connection.update event
+ * @param {Object} session - Session state
+ * @param {string} status - connecting, scan_qr, connected, closed or logged_out
+ * @param {Object} details - Extra event fields (qr, reason, ...)
+ */
+function setConnectionStatus(session, status, details = {}) {
+    session.status = status;
+    publishEvent(session.id, 'connection.update', { status, ...details });
+}
 
-// Clean up processed messages cache periodically
-setInterval(() => {
-    if (processedMessages.size > 5000) {
-        processedMessages.clear();
-        console.log('Cleared processed messages cache');
+/**
+ * Record a decrypted poll vote and publish it as a poll.vote event
+ * @param {Object} session - Session state
+ * @param {Object} pollKey - Key of the poll creation message
+ * @param {Object} pollUpdate - { pollUpdateMessageKey, vote, senderTimestampMs }
+ */
+function tallyPollVote(session, pollKey, pollUpdate) {
+    const vote = recordPollVote(session, pollKey, pollUpdate);
+    if (vote) {
+        console.log(`[${session.id}] Poll vote from ${vote.voter}: ${vote.selectedOptions.join(', ') || '(retracted)'}`);
+        publishEvent(session.id, 'poll.vote', vote);
     }
-}, 60 * 60 * 1000); // Clear every hour
+}
+
+/**
+ * Backoff before the next reconnect attempt, doubling per attempt up to RECONNECT_MAX_DELAY_MS
+ * Half of the delay is random so sessions that dropped together do not reconnect in lockstep
+ * @param {number} attempt - Reconnect attempts since the last successful connection
+ * @returns {number} - Delay in ms
+ */
+function getReconnectDelay(attempt) {
+    const delay = Math.min(config.reconnectBaseDelayMs * 2 ** attempt, config.reconnectMaxDelayMs);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
 
-async function connectToWhatsApp() {
-    const { state, saveCreds } = await useMultiFileAuthState(config.sessionPath);
+/**
+ * Reconnect a session after the backoff delay
+ * @param {Object} session - Session state
+ * @param {Object} reason - { statusCode, error } of the disconnect
+ * @param {boolean} immediate - Skip the backoff (restart requested by WhatsApp, fresh login after a logout)
+ */
+function scheduleReconnect(session, reason, immediate = false) {
+    clearTimeout(session.reconnectTimer);
+    const delay = immediate ? 0 : getReconnectDelay(session.reconnectAttempts);
+    session.reconnectAttempts++;
+    session.reconnectCount++;
+    session.nextReconnectAt = Date.now() + delay;
+    console.log(`[${session.id}] Reconnecting in ${delay} ms (attempt ${session.reconnectAttempts})`);
+    setConnectionStatus(session, 'connecting', { ...reason, attempt: session.reconnectAttempts, retryInMs: delay });
+
+    session.reconnectTimer = setTimeout(async () => {
+        session.reconnectTimer = null;
+        session.nextReconnectAt = null;
+        if (session.stopped) return;
+        try {
+            await connectToWhatsApp(session);
+        } catch (error) {
+            console.error(`[${session.id}] ✗ Reconnect failed:`, error.message);
+            scheduleReconnect(session, { statusCode: null, error: error.message });
+        }
+    }, delay);
+}
+
+/**
+ * Remove a session's credentials so the next connection starts with a fresh QR
+ * @param {Object} session - Session state
+ */
+async function clearAuthState(session) {
+    closeLidCache(session.lidCache);
+    await session.authStore.clear();
+}
+
+/**
+ * Create the Baileys socket of a session
+ * @param {Object} session - Session state
+ * @param {Object} state - Auth state from useAuthState
+ * @returns {Promise<Object>} - Baileys socket
+ */
+async function createBaileysSocket(session, state) {
     const { version, isLatest } = await fetchLatestBaileysVersion();
     
-    console.log(`using WA v${version.join('.')}, isLatest: ${isLatest}`);
+    console.log(`[${session.id}] using WA v${version.join('.')}, isLatest: ${isLatest}`);
 
-    sock = makeWASocket({
+    return makeWASocket({
         version,
         logger: pino({ level: 'silent' }), // silent to avoid noise
         printQRInTerminal: false, // We handle it manually
@@ -34,118 +157,345 @@ async function connectToWhatsApp() {
             keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "silent" })),
         },
         browser: ['WA-API-V4', 'Chrome', '1.0.0'],
+        // Lets Baileys decrypt poll votes and resend messages on retry requests
+        getMessage: async (key) => {
+            const stored = getStoredMessage(session.id, key.id);
+            return stored && stored.raw ? stored.raw.message : undefined;
+        },
     });
+}
+
+/**
+ * Replace the socket factory, the test suite uses this to run sessions on a fake socket
+ * @param {Function|null} factory - async (session, state) => socket, null restores the Baileys socket
+ */
+function setSocketFactory(factory) {
+    socketFactory = factory || createBaileysSocket;
+}
+
+/**
+ * Open (or reopen) the WhatsApp socket of a session
+ * @param {Object} session - Session state created by createSessionState
+ */
+async function connectToWhatsApp(session) {
+    const { state, saveCreds } = await useAuthState(session.authStore, data => learnFromAuthKeys(session.lidCache, data));
+    const sock = await socketFactory(session, state);
+
+    session.stopped = false;
+    clearTimeout(session.reconnectTimer);
+    session.reconnectTimer = null;
+    session.status = 'connecting';
+    session.sock = sock;
 
     sock.ev.on('connection.update', (update) => {
         const { connection, lastDisconnect, qr } = update;
         
         if (qr) {
-            qrCodeData = qr;
-            console.log('QR Code received, scan it!');
+            session.qrCodeData = qr;
+            setConnectionStatus(session, 'scan_qr', { qr });
+            console.log(`[${session.id}] QR Code received, scan it!`);
             qrcodeTerminal.generate(qr, { small: true });
         }
 
         if (connection === 'close') {
-            const shouldReconnect = (lastDisconnect.error)?.output?.statusCode !== DisconnectReason.loggedOut;
-            console.log('connection closed due to ', lastDisconnect.error, ', reconnecting ', shouldReconnect);
-            if (shouldReconnect) {
-                connectToWhatsApp();
+            const statusCode = (lastDisconnect.error)?.output?.statusCode;
+            const loggedOut = statusCode === DisconnectReason.loggedOut;
+            const reason = { statusCode: statusCode || null, error: lastDisconnect.error ? lastDisconnect.error.message : null };
+
+            // Stopped on purpose: stopSession has already cleared session.sock, so this check comes before the replaced-socket one
+            if (session.stopped) {
+                const status = loggedOut ? 'logged_out' : 'closed';
+                if (session.status !== status) {
+                    console.log(`[${session.id}] connection closed, session is stopped`);
+                    session.lastDisconnectedAt = Date.now();
+                    session.lastDisconnectReason = reason;
+                    setConnectionStatus(session, status, reason);
+                }
+                return;
             }
-        } else if (connection === 'open') {
-            console.log('✓ WhatsApp connection opened');
-            qrCodeData = null;
-            
-            // Validate and preload LID mappings to ensure phone numbers are always resolved
-            console.log('\n=== LID Mapping Validation ===');
-            const validation = validateMappings();
-            if (validation.authDirExists) {
-                preloadLidMappings();
-                console.log('✓ Ready to resolve LIDs to phone numbers');
+
+            // Ignore close events of a socket that has already been replaced
+            if (session.sock !== sock) return;
+
+            console.log(`[${session.id}] connection closed due to `, lastDisconnect.error, ', reconnecting ', !session.stopped);
+            session.qrCodeData = null;
+            session.lastDisconnectedAt = Date.now();
+            session.lastDisconnectReason = reason;
+
+            if (loggedOut) {
+                // Unlinked from the phone: the credentials are useless now, start over with a fresh QR
+                console.log(`[${session.id}] ⚠ Logged out from the phone, clearing credentials`);
+                setConnectionStatus(session, 'logged_out', reason);
+                clearAuthState(session)
+                    .catch(error => console.error(`[${session.id}] ✗ Failed to clear credentials:`, error.message))
+                    .then(() => scheduleReconnect(session, reason, true));
             } else {
-                console.error('⚠ LID resolution may fail - auth directory missing!');
+                scheduleReconnect(session, reason, statusCode === DisconnectReason.restartRequired);
             }
-            console.log('==============================\n');
+        } else if (connection === 'open') {
+            console.log(`[${session.id}] ✓ WhatsApp connection opened`);
+            session.qrCodeData = null;
+            session.reconnectAttempts = 0;
+            session.lastConnectedAt = Date.now();
+            setConnectionStatus(session, 'connected', { user: sock.user ? { id: sock.user.id, name: sock.user.name || null } : null });
+
+            // Preload LID mappings so senders can be resolved to phone numbers
+            loadLidMappings(session.lidCache);
         }
     });
 
     sock.ev.on('creds.update', saveCreds);
 
+    // Learn LID <-> phone number mappings as WhatsApp shares them
+    sock.ev.on('lid-mapping.update', (update) => {
+        learnFromLidMappingUpdate(session.lidCache, update);
+    });
+
+    // Keep the address book (names, push names, business names) for the contacts API
+    sock.ev.on('contacts.upsert', (contacts) => {
+        learnFromContacts(session.lidCache, contacts);
+        saveContacts(session, contacts);
+    });
+
+    sock.ev.on('contacts.update', (contacts) => {
+        learnFromContacts(session.lidCache, contacts);
+        saveContacts(session, contacts);
+    });
+
+    // Contacts synced from the phone right after linking
+    sock.ev.on('messaging-history.set', ({ contacts }) => {
+        if (!contacts || contacts.length === 0) return;
+        learnFromContacts(session.lidCache, contacts);
+        saveContacts(session, contacts);
+        console.log(`[${session.id}] ✓ Synced ${contacts.length} contact(s) from history`);
+    });
+
+    // Incoming voice/video calls (offers) and their later state changes
+    sock.ev.on('call', (calls) => {
+        handleCalls(session, calls);
+    });
+
     sock.ev.on('messages.upsert', async (m) => {
         // console.log(JSON.stringify(m, undefined, 2));
 
-        if (config.webhookUrl) {
+        for (const msg of m.messages) {
             try {
-                // Only send if it's a notify message (real message)
-                if (m.type === 'notify') {
-                    for (const msg of m.messages) {
-                        if (!msg.key.fromMe) { // Don't send own messages to webhook loop
-                            const messageId = msg.key.id;
-                            
-                            // Check if message already processed
-                            if (processedMessages.has(messageId)) {
-                                console.log(`Skipping duplicate message: ${messageId}`);
-                                continue;
-                            }
-                            
-                            processedMessages.add(messageId);
-
-                            // Log incoming message
-                            const sender = msg.key.remoteJid;
-                            const msgType = Object.keys(msg.message || {})[0];
-                            console.log(`\n[New Message] From: ${sender} | Type: ${msgType}`);
-
-                             console.log('Sending message to webhook:', config.webhookUrl);
-                             
-                            const normalizedMessage = normalizeMessage(msg, sock);
-
-                            // Auto-download media for images
-                            if (normalizedMessage.messageType === 'image' && normalizedMessage.hasMedia) {
-                                try {
-                                    console.log('Downloading image media...');
-                                    const buffer = await downloadMediaMessage(
-                                        msg,
-                                        'buffer',
-                                        {},
-                                        { 
-                                            logger: pino({ level: 'silent' }),
-                                            reuploadRequest: sock.updateMediaMessage
-                                        }
-                                    );
-                                    if (buffer) {
-                                        normalizedMessage.base64 = buffer.toString('base64');
-                                        console.log('✓ Image downloaded and converted to base64');
-                                    }
-                                } catch (err) {
-                                    console.error('Failed to download media:', err.message);
-                                    normalizedMessage.mediaError = 'Failed to download media: ' + err.message;
-                                }
-                            }
-                             
-                            await axios.post(config.webhookUrl, {
-                                 event: 'message.received',
-                                 timestamp: Date.now(),
-                                 data: normalizedMessage
-                             });
-                        }
+                // Protocol and stub messages carry no content
+                if (!msg.message) continue;
+
+                learnFromMessageKey(session.lidCache, msg.key);
+                const normalizedMessage = normalizeMessage(msg, sock, session.lidCache);
+
+                // System frames (history sync notifications, disappearing message settings, ...) are no chat
+                // messages: keep them out of the history, the auto-responder and the webhooks
+                if (normalizedMessage.messageType === 'protocol') {
+                    console.log(`[${session.id}] Ignoring ${normalizedMessage.content} protocol message in ${msg.key.remoteJid}`);
+                    continue;
+                }
+                applySenderName(session, normalizedMessage);
+
+                // Only notify messages from others are real incoming messages, own messages must not loop back to the webhook
+                const isIncoming = m.type === 'notify' && !msg.key.fromMe;
+
+                if (isIncoming) {
+                    const messageId = msg.key.id;
+                    
+                    // Check if message already processed
+                    if (session.processedMessages.has(messageId)) {
+                        console.log(`Skipping duplicate message: ${messageId}`);
+                        continue;
                     }
+                    
+                    session.processedMessages.add(messageId);
+
+                    // Log incoming message
+                    const sender = msg.key.remoteJid;
+                    const msgType = Object.keys(msg.message || {})[0];
+                    console.log(`\n[New Message] Session: ${session.id} | From: ${sender} | Type: ${msgType}`);
+
+                    // Store media of every type and link it from the payload
+                    if (normalizedMessage.hasMedia) {
+                        await handleInboundMedia(session, msg, normalizedMessage);
+                    }
+                }
+
+                // Keep inbound and outbound messages for the conversation history API
+                if (config.messageStoreEnabled) {
+                    saveMessage(session.id, normalizedMessage, msg);
+                }
+
+                if (normalizedMessage.messageType === 'poll_vote') {
+                    // Votes are encrypted with the poll's secret, publish the decrypted vote as poll.vote instead of the ciphertext
+                    const decrypted = decryptPollUpdate(session, msg);
+                    if (decrypted) {
+                        tallyPollVote(session, decrypted.pollKey, decrypted.pollUpdate);
+                    }
+                } else if (isIncoming && MESSAGE_CHANGE_EVENTS[normalizedMessage.messageType]) {
+                    publishEvent(session.id, MESSAGE_CHANGE_EVENTS[normalizedMessage.messageType], normalizedMessage);
+                } else if (isIncoming) {
+                    const { skipWebhook } = handleIncomingMessage(session, msg, normalizedMessage);
+                    if (!skipWebhook) {
+                        publishEvent(session.id, 'message.received', normalizedMessage);
+                    }
+                }
+            } catch (error) {
+                console.error('Error handling message:', error.message);
+            }
+        }
+    });
+
+    // Server ack / delivered / read / played updates of messages we sent, and poll votes
+    // for Baileys versions that decrypt them themselves
+    sock.ev.on('messages.update', (updates) => {
+        for (const { key, update } of updates) {
+            try {
+                for (const pollUpdate of update.pollUpdates || []) {
+                    tallyPollVote(session, key, pollUpdate);
+                }
+
+                const status = statusName(update.status);
+                if (!key.fromMe || !status || status === 'pending') continue;
+
+                const jid = normalizeToWhatsAppJid(key.remoteJid, sock, session.lidCache) || key.remoteJid;
+                if (updateMessageStatus(session.id, key.id, jid, status)) {
+                    publishEvent(session.id, 'message.status', {
+                        messageId: key.id,
+                        jid,
+                        status,
+                        participant: null,
+                        participantJid: null,
+                        at: Date.now()
+                    });
                 }
             } catch (error) {
-                console.error('Error sending webhook:', error.message);
+                console.error('Error handling message status update:', error.message);
             }
         }
     });
+
+    // Per-participant receipts, reported for group messages
+    sock.ev.on('message-receipt.update', (updates) => {
+        for (const { key, receipt } of updates) {
+            try {
+                if (!key.fromMe || !receipt.userJid) continue;
+
+                const status = updateReceipt(session.id, key.id, receipt.userJid, receipt);
+                if (status) {
+                    publishEvent(session.id, 'message.status', {
+                        messageId: key.id,
+                        jid: normalizeToWhatsAppJid(key.remoteJid, sock, session.lidCache) || key.remoteJid,
+                        status,
+                        participant: extractPhoneNumber(receipt.userJid, sock, session.lidCache),
+                        participantJid: receipt.userJid,
+                        at: Date.now()
+                    });
+                }
+            } catch (error) {
+                console.error('Error handling message receipt:', error.message);
+            }
+        }
+    });
+
+    // Group subject, description and settings changes
+    sock.ev.on('groups.update', (updates) => {
+        for (const update of updates) {
+            try {
+                publishEvent(session.id, 'group.update', normalizeGroupUpdate(update, session));
+            } catch (error) {
+                console.error('Error handling group update:', error.message);
+            }
+        }
+    });
+
+    // Participants joining, leaving, being promoted or demoted
+    sock.ev.on('group-participants.update', (update) => {
+        try {
+            const normalized = normalizeParticipantsUpdate(update, session);
+            console.log(`[${session.id}] Group ${normalized.groupId}: ${normalized.action} ${normalized.participants.map(p => p.phone || p.rawJid).join(', ')}`);
+            publishEvent(session.id, 'group.participants.update', normalized);
+        } catch (error) {
+            console.error('Error handling group participants update:', error.message);
+        }
+    });
 }
 
-function getSocket() {
-    return sock;
+/**
+ * Log a session out of WhatsApp (unlinks the device) and stop reconnecting
+ * @param {Object} session - Session state
+ */
+async function logoutFromWhatsApp(session) {
+    const { sock } = session;
+    stopSession(session);
+    if (sock) {
+        try {
+            await sock.logout();
+        } catch (error) {
+            // Socket may already be closed, credentials get removed by the caller anyway
+            console.error(`[${session.id}] Error during logout:`, error.message);
+        }
+    }
+    // The socket's close event may have reported it already
+    if (session.status !== 'logged_out') {
+        setConnectionStatus(session, 'logged_out');
+    }
+}
+
+/**
+ * Mark a session as stopped and detach its socket, so the close event of that socket no longer reconnects
+ * @param {Object} session - Session state
+ */
+function stopSession(session) {
+    session.stopped = true;
+    session.qrCodeData = null;
+    session.sock = null;
+    clearTimeout(session.reconnectTimer);
+    session.reconnectTimer = null;
+    session.nextReconnectAt = null;
 }
 
-function getQrCode() {
-    return qrCodeData;
+/**
+ * Close a session's socket without logging out (credentials are kept)
+ * @param {Object} session - Session state
+ */
+function disconnectFromWhatsApp(session) {
+    const { sock } = session;
+    stopSession(session);
+    if (sock) {
+        sock.end(undefined);
+    }
+    if (session.status !== 'closed') {
+        setConnectionStatus(session, 'closed');
+    }
+}
+
+/**
+ * Ask WhatsApp for a pairing code, an alternative to scanning the QR:
+ * the user enters it under Linked devices > Link with phone number instead
+ * @param {Object} session - Session waiting for a login (status scan_qr)
+ * @param {string} phone - Phone number of the account, international digits
+ * @returns {Promise<string>} - Code formatted as "ABCD-EFGH"
+ */
+async function requestPairingCode(session, phone) {
+    const { sock } = session;
+    if (sock && sock.user) {
+        throw new ConnectionStateError(`Session ${session.id} is already connected, log out first`);
+    }
+    if (!sock || session.status !== 'scan_qr') {
+        throw new ConnectionStateError(`Session ${session.id} is not waiting for a login yet (status: ${session.status}), try again in a moment`);
+    }
+
+    const code = await sock.requestPairingCode(phone);
+    console.log(`[${session.id}] Pairing code requested for ${phone}`);
+    return code.match(/.{1,4}/g).join('-');
 }
 
 module.exports = {
+    ConnectionStateError,
+    createSessionState,
     connectToWhatsApp,
-    getSocket,
-    getQrCode
+    setSocketFactory,
+    clearAuthState,
+    logoutFromWhatsApp,
+    disconnectFromWhatsApp,
+    requestPairingCode
 };
@@ -0,0 +1,335 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { useTempEnvironment, removeTempEnvironment, waitUntil } = require('./helpers/environment');
+const { loadMessageFixtures } = require('./helpers/fixtures');
+const { startFakeSession, stopSessions, createTestApp } = require('./helpers/gateway');
+const { GATEWAY_PHONE, encryptPollVote } = require('./helpers/fakeSocket');
+
+const ADMIN_KEY = 'admin-key';
+const READER_KEY = 'reader-key';
+const REGISTERED = '6281234567890';
+
+const auth = (key = ADMIN_KEY) => ({ Authorization: `Bearer ${key}` });
+
+describe('/api routes', () => {
+    let tempDir;
+    let app;
+    let sock;
+
+    before(async () => {
+        tempDir = useTempEnvironment({
+            API_KEYS: `admin:${ADMIN_KEY}:*,reader:${READER_KEY}:read-status`,
+            ONWHATSAPP_NEGATIVE_CACHE_TTL_MS: '0'
+        });
+        ({ sock } = await startFakeSession('default', {
+            registered: [REGISTERED],
+            lidMappings: { '222222222222222': '6285711112222' }
+        }));
+        sock.open();
+        app = createTestApp();
+    });
+
+    after(() => {
+        stopSessions();
+        removeTempEnvironment(tempDir);
+    });
+
+    describe('authentication', () => {
+        it('rejects requests without a valid API key', async () => {
+            const res = await request(app).get('/api/status').expect(401);
+            assert.equal(res.body.code, 'UNAUTHORIZED');
+            await request(app).get('/api/status').set(auth('wrong-key')).expect(401);
+        });
+
+        it('rejects keys without the required scope', async () => {
+            await request(app).get('/api/status').set(auth(READER_KEY)).expect(200);
+            const res = await request(app).post('/api/send-message').set(auth(READER_KEY))
+                .send({ jid: REGISTERED, message: { text: 'Halo' } })
+                .expect(403);
+            assert.equal(res.body.code, 'FORBIDDEN');
+        });
+    });
+
+    describe('GET /api/status', () => {
+        it('reports the connected account', async () => {
+            const res = await request(app).get('/api/status').set(auth()).expect(200);
+            assert.equal(res.body.status, 'connected');
+            assert.equal(res.body.user.id, '6281100000000:1@s.whatsapp.net');
+        });
+    });
+
+    describe('POST /api/send-message', () => {
+        it('sends a text message to a local phone number', async () => {
+            const res = await request(app).post('/api/send-message').set(auth())
+                .send({ jid: '081234567890', message: { text: 'Halo dari test' } })
+                .expect(200);
+
+            assert.equal(res.body.success, true);
+            assert.equal(res.body.job.status, 'sent');
+            assert.deepEqual(sock.sent[sock.sent.length - 1].jid, `${REGISTERED}@s.whatsapp.net`);
+            assert.deepEqual(sock.sent[sock.sent.length - 1].content, { text: 'Halo dari test' });
+        });
+
+        it('queues the message and returns the job with async', async () => {
+            const res = await request(app).post('/api/send-message').set(auth())
+                .send({ jid: REGISTERED, message: { text: 'Nanti saja' }, async: true })
+                .expect(202);
+
+            const job = await waitUntil(async () => {
+                const { body } = await request(app).get(`/api/jobs/${res.body.job.id}`).set(auth()).expect(200);
+                return body.status === 'sent' && body;
+            });
+            assert.ok(job.messageId);
+        });
+
+        it('rejects numbers that are not on WhatsApp', async () => {
+            const res = await request(app).post('/api/send-message').set(auth())
+                .send({ jid: '6289900000000', message: { text: 'Halo' } })
+                .expect(422);
+            assert.match(res.body.error, /6289900000000/);
+            assert.equal(res.body.code, 'NOT_ON_WHATSAPP');
+        });
+
+        it('accepts a number that registered after it was rejected', async () => {
+            const body = { jid: '6289900000001', message: { text: 'Halo' } };
+            await request(app).post('/api/send-message').set(auth()).send(body).expect(422);
+
+            sock.registered.add('6289900000001');
+            await request(app).post('/api/send-message').set(auth()).send(body).expect(200);
+        });
+
+        it('rejects requests without a recipient or message', async () => {
+            const missingJid = await request(app).post('/api/send-message').set(auth()).send({ message: { text: 'Halo' } }).expect(400);
+            assert.equal(missingJid.body.code, 'VALIDATION_FAILED');
+            assert.deepEqual(missingJid.body.errors, [{ location: 'body', path: '', message: "must have required property 'jid' or 'phone'" }]);
+
+            const missingMessage = await request(app).post('/api/send-message').set(auth()).send({ jid: REGISTERED }).expect(400);
+            assert.equal(missingMessage.body.code, 'VALIDATION_FAILED');
+
+            const invalidJid = await request(app).post('/api/send-message').set(auth()).send({ jid: 'abc@example.com', message: { text: 'Halo' } }).expect(400);
+            assert.equal(invalidJid.body.code, 'INVALID_JID');
+        });
+
+        it('answers MEDIA_FETCH_FAILED when a media URL cannot be fetched', async () => {
+            const res = await request(app).post('/api/send-message').set(auth())
+                .send({ jid: REGISTERED, message: { document: 'http://127.0.0.1:1/invoice.pdf' } })
+                .expect(502);
+            assert.equal(res.body.code, 'MEDIA_FETCH_FAILED');
+        });
+
+        it('answers invalid JSON with VALIDATION_FAILED', async () => {
+            const res = await request(app).post('/api/send-message').set(auth())
+                .set('Content-Type', 'application/json')
+                .send('{"jid": ')
+                .expect(400);
+            assert.equal(res.body.code, 'VALIDATION_FAILED');
+        });
+    });
+
+    describe('chat history', () => {
+        it('lists received and sent messages of a chat', async () => {
+            const fixture = loadMessageFixtures().find(f => f.name === 'text-conversation');
+            sock.upsert(fixture.upsert);
+
+            const res = await waitUntil(async () => {
+                const page = await request(app).get(`/api/chats/${REGISTERED}@s.whatsapp.net/messages`).set(auth()).expect(200);
+                return page.body.messages.some(m => m.messageId === fixture.upsert.messages[0].key.id) && page;
+            });
+            assert.ok(res.body.messages.some(m => m.fromMe && m.content === 'Halo dari test'));
+        });
+    });
+
+    describe('polls', () => {
+        /**
+         * Send a poll through the API
+         * @returns {Promise<{ pollKey: Object, pollEncKey: Buffer }>}
+         */
+        async function sendPoll() {
+            const sent = await request(app).post('/api/send-poll').set(auth())
+                .send({ jid: REGISTERED, name: 'Jam rapat?', options: ['09.00', '13.00'] })
+                .expect(200);
+            // The result carries the poll's messageSecret as a JSON-serialized Buffer
+            const pollEncKey = Buffer.from(sent.body.result.message.messageContextInfo.messageSecret.data);
+            return { pollKey: sent.body.result.key, pollEncKey };
+        }
+
+        /**
+         * Deliver an encrypted vote, signed with the voter's phone number JID like WhatsApp does
+         * @param {Object} poll - From sendPoll
+         * @param {Object} key - Key of the vote message
+         * @param {Array<string>} options - Chosen options
+         * @param {number} timestampMs - senderTimestampMs
+         */
+        function vote({ pollKey, pollEncKey }, key, options, timestampMs) {
+            sock.upsert({
+                type: 'notify',
+                messages: [{
+                    key,
+                    messageTimestamp: Math.floor(timestampMs / 1000),
+                    message: {
+                        pollUpdateMessage: {
+                            pollCreationMessageKey: pollKey,
+                            vote: encryptPollVote({
+                                pollMsgId: pollKey.id,
+                                pollCreatorJid: `${GATEWAY_PHONE}@s.whatsapp.net`,
+                                voterJid: key.remoteJidAlt || key.remoteJid,
+                                pollEncKey,
+                                options
+                            }),
+                            senderTimestampMs: String(timestampMs)
+                        }
+                    }
+                }]
+            });
+        }
+
+        /**
+         * Wait for the results of a poll to match
+         * @param {Object} pollKey - Key of the poll
+         * @param {Function} check - (results) => boolean
+         * @returns {Promise<Object>} - Results
+         */
+        async function waitForResults(pollKey, check) {
+            const res = await waitUntil(async () => {
+                const results = await request(app).get(`/api/polls/${pollKey.id}/results`).set(auth()).expect(200);
+                return check(results.body) && results;
+            });
+            return res.body;
+        }
+
+        it('decrypts received votes and tallies them', async () => {
+            const poll = await sendPoll();
+            vote(poll, { remoteJid: `${REGISTERED}@s.whatsapp.net`, fromMe: false, id: 'VOTE0001' }, ['13.00'], 1718000000123);
+
+            const results = await waitForResults(poll.pollKey, r => r.totalVoters === 1);
+            assert.deepEqual(results.options.map(o => o.votes), [0, 1]);
+            assert.deepEqual(results.voters[0].options, ['13.00']);
+            assert.equal(results.voters[0].voter, REGISTERED);
+        });
+
+        it('counts a voter seen as a LID and later as a phone number once', async () => {
+            const poll = await sendPoll();
+            const lidJid = '444444444444444@lid';
+
+            vote(poll, { remoteJid: lidJid, fromMe: false, id: 'VOTE0002' }, ['09.00'], 1718000000000);
+            await waitForResults(poll.pollKey, r => r.voters.some(v => v.voterJid === lidJid));
+
+            // Addressed by phone number now, with the LID as the alternate address
+            vote(poll, { remoteJid: '6285799990000@s.whatsapp.net', remoteJidAlt: lidJid, fromMe: false, id: 'VOTE0003' }, ['13.00'], 1718000060000);
+            const results = await waitForResults(poll.pollKey, r => r.voters.some(v => v.voter === '6285799990000'));
+            assert.equal(results.voters.length, 1);
+            assert.deepEqual(results.options.map(o => o.votes), [0, 1]);
+        });
+    });
+
+    describe('LID lookup', () => {
+        it('finds a LID in the signal repository of the socket', async () => {
+            const res = await request(app).get('/api/lid/222222222222222@lid').set(auth()).expect(200);
+            assert.equal(res.body.phone, '6285711112222');
+            assert.equal(res.body.source, 'signal');
+
+            const reverse = await request(app).get('/api/phone/085711112222/lid').set(auth()).expect(200);
+            assert.equal(reverse.body.lid, '222222222222222');
+        });
+
+        it('answers 404 for an unknown and 400 for an invalid LID', async () => {
+            await request(app).get('/api/lid/333333333333333').set(auth()).expect(404);
+            await request(app).get('/api/lid/not-a-lid').set(auth()).expect(400);
+        });
+    });
+
+    describe('GET /api/schema', () => {
+        it('publishes the JSON Schema of every event', async () => {
+            const res = await request(app).get('/api/schema').set(auth(READER_KEY)).expect(200);
+            assert.match(res.body.schemaVersion, /^\d+\.\d+$/);
+            for (const event of ['message.received', 'message.deleted', 'message.edited', 'message.status', 'connection.update', 'call.received']) {
+                assert.equal(res.body.events[event].properties.event.const, event);
+            }
+
+            const single = await request(app).get('/api/schema/poll.vote').set(auth(READER_KEY)).expect(200);
+            assert.deepEqual(single.body.schema, res.body.events['poll.vote']);
+            await request(app).get('/api/schema/unknown.event').set(auth()).expect(404);
+        });
+    });
+
+    describe('GET /api/openapi.json', () => {
+        it('is served without an API key', async () => {
+            const res = await request(app).get('/api/openapi.json').expect(200);
+            assert.match(res.body.openapi, /^3\./);
+            assert.equal(res.body.paths['/api/send-message'].post.operationId, 'sendMessage');
+            assert.equal(res.body.paths['/api/sessions/{id}/send-message'].post.operationId, 'sendMessageInSession');
+            assert.ok(res.body.components.schemas.Error.properties.code.enum.includes('MEDIA_FETCH_FAILED'));
+
+            await request(app).get('/api/docs').expect(200).expect('Content-Type', /html/);
+        });
+
+        it('documents every route of the router', async () => {
+            const { paths } = (await request(app).get('/api/openapi.json').expect(200)).body;
+            const router = require('../src/api');
+            const toPath = route => route.path.replace(/:(\w+)/g, '{$1}');
+            const sessionRouter = router.stack.find(layer => layer.handle.stack).handle;
+
+            const expected = [];
+            for (const layer of router.stack.filter(l => l.route)) {
+                expected.push(...Object.keys(layer.route.methods).map(method => [`/api${toPath(layer.route)}`, method]));
+            }
+            for (const layer of sessionRouter.stack.filter(l => l.route)) {
+                for (const method of Object.keys(layer.route.methods)) {
+                    expected.push([`/api${toPath(layer.route)}`, method], [`/api/sessions/{id}${toPath(layer.route)}`, method]);
+                }
+            }
+
+            for (const [path, method] of expected) {
+                assert.ok(paths[path] && paths[path][method], `${method.toUpperCase()} ${path} is not documented`);
+            }
+        });
+
+        it('answers unknown endpoints with NOT_FOUND', async () => {
+            const res = await request(app).get('/api/does-not-exist').set(auth()).expect(404);
+            assert.equal(res.body.code, 'NOT_FOUND');
+        });
+    });
+
+    describe('sessions', () => {
+        it('lists the default session as connected', async () => {
+            const res = await request(app).get('/api/sessions').set(auth()).expect(200);
+            const session = res.body.sessions.find(s => s.id === 'default');
+            assert.equal(session.isDefault, true);
+            assert.equal(session.connection.connected, true);
+        });
+
+        it('creates a session that waits for a login', async () => {
+            const res = await request(app).post('/api/sessions').set(auth()).send({ id: 'toko-a' }).expect(201);
+            assert.equal(res.body.session.id, 'toko-a');
+
+            await request(app).post('/api/sessions').set(auth()).send({ id: 'toko-a' }).expect(409);
+            await request(app).post('/api/sessions').set(auth()).send({ id: '../etc' }).expect(400);
+
+            const status = await request(app).get('/api/sessions/toko-a/status').set(auth()).expect(200);
+            assert.equal(status.body.status, 'connecting');
+            const notConnected = await request(app).post('/api/sessions/toko-a/contacts/check').set(auth())
+                .send({ numbers: [REGISTERED] })
+                .expect(503);
+            assert.equal(notConnected.body.code, 'NOT_CONNECTED');
+        });
+
+        it('deletes the queued jobs, broadcasts and media of a deleted session', async () => {
+            const { enqueueMessage, getJob } = require('../src/outboundQueue');
+            const { getMediaStore } = require('../src/mediaStore');
+            await request(app).post('/api/sessions').set(auth()).send({ id: 'toko-b' }).expect(201);
+
+            const job = enqueueMessage('toko-b', `${REGISTERED}@s.whatsapp.net`, { text: 'Halo' });
+            await getMediaStore().saveMedia('toko-b', 'MEDIA0001', Buffer.from('gambar'), { mimetype: 'image/jpeg' });
+
+            await request(app).delete('/api/sessions/toko-b').set(auth()).expect(200);
+            assert.equal(getJob(job.id), null);
+            assert.equal(await getMediaStore().getMedia('toko-b', 'MEDIA0001'), null);
+        });
+
+        it('answers 404 for unknown sessions', async () => {
+            const res = await request(app).get('/api/sessions/unknown/status').set(auth()).expect(404);
+            assert.equal(res.body.code, 'SESSION_NOT_FOUND');
+        });
+    });
+});
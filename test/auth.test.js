@@ -0,0 +1,40 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { useTempEnvironment, removeTempEnvironment } = require('./helpers/environment');
+const { createTestApp } = require('./helpers/gateway');
+
+describe('authentication without API keys', () => {
+    let tempDir;
+    let app;
+    let auth;
+
+    before(() => {
+        tempDir = useTempEnvironment({ API_KEYS: '' });
+        auth = require('../src/auth');
+        app = createTestApp();
+    });
+
+    after(() => {
+        removeTempEnvironment(tempDir);
+    });
+
+    it('refuses remote and proxied requests', async () => {
+        const res = await request(app).post('/api/keys').set('X-Forwarded-For', '203.0.113.7')
+            .send({ name: 'attacker', scopes: ['*'] })
+            .expect(401);
+        assert.equal(res.body.code, 'UNAUTHORIZED');
+        assert.match(res.body.error, /No API keys configured/);
+
+        const upgrade = auth.authenticateUpgrade({ url: '/api/events/ws', headers: {}, socket: { remoteAddress: '203.0.113.7' } }, 'events');
+        assert.equal(upgrade.statusCode, 401);
+    });
+
+    it('lets the first key be created from the gateway host, then requires it', async () => {
+        const res = await request(app).post('/api/keys').send({ name: 'admin', scopes: ['*'] }).expect(201);
+        assert.ok(res.body.key.key);
+
+        await request(app).get('/api/keys').expect(401);
+        await request(app).get('/api/keys').set({ Authorization: `Bearer ${res.body.key.key}` }).expect(200);
+    });
+});
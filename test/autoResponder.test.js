@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempEnvironment, removeTempEnvironment, waitUntil } = require('./helpers/environment');
+const { startFakeSession, stopSessions } = require('./helpers/gateway');
+
+const CHAT = '6281200000000@s.whatsapp.net';
+
+describe('auto-responder', () => {
+    let tempDir;
+    let sock;
+    let autoResponder;
+
+    before(async () => {
+        tempDir = useTempEnvironment();
+        autoResponder = require('../src/autoResponder');
+        ({ sock } = await startFakeSession());
+        sock.open();
+    });
+
+    after(() => {
+        stopSessions();
+        removeTempEnvironment(tempDir);
+    });
+
+    /**
+     * Deliver incoming text messages in one upsert, they are handled in order
+     * @param {Array<Array<string>>} messages - [id, text, remoteJid] per message
+     */
+    function receive(...messages) {
+        sock.upsert({
+            type: 'notify',
+            messages: messages.map(([id, text, remoteJid = CHAT]) => ({
+                key: { remoteJid, fromMe: false, id },
+                messageTimestamp: 1718000000,
+                message: { conversation: text }
+            }))
+        });
+    }
+
+    const repliesTo = remoteJid => sock.sent.filter(s => s.jid === remoteJid && s.content.text);
+
+    it('rejects a negative or fractional cooldownMs', () => {
+        const actions = [{ type: 'reply', text: 'Halo' }];
+        assert.throws(() => autoResponder.addRule({ id: 'bad', cooldownMs: -1, actions }), /cooldownMs/);
+        assert.throws(() => autoResponder.addRule({ id: 'bad', cooldownMs: 1.5, actions }), /cooldownMs/);
+    });
+
+    it('replies once per chat within cooldownMs', async () => {
+        autoResponder.addRule({ id: 'ping', cooldownMs: 60000, match: { content: '^ping$' }, actions: [{ type: 'reply', text: 'pong' }] });
+
+        receive(['PING0001', 'ping']);
+        await waitUntil(() => repliesTo(CHAT).length === 1);
+        receive(['PING0002', 'ping'], ['PING0003', 'ping', '6281300000000@s.whatsapp.net']);
+        await waitUntil(() => repliesTo('6281300000000@s.whatsapp.net').length === 1);
+
+        assert.equal(repliesTo(CHAT).length, 1);
+        const hits = autoResponder.listHits({ ruleId: 'ping' });
+        assert.deepEqual(hits.map(hit => hit.messageId).sort(), ['PING0001', 'PING0003']);
+    });
+
+    it('does not match system frames', async () => {
+        autoResponder.addRule({ id: 'system', match: { messageTypes: ['protocol', 'text'] }, actions: [{ type: 'reply', text: 'Halo' }] });
+        const chat = '6281400000000@s.whatsapp.net';
+
+        sock.upsert({
+            type: 'notify',
+            messages: [{
+                key: { remoteJid: chat, fromMe: false, id: 'SYSTEM0001' },
+                messageTimestamp: 1718000000,
+                message: { protocolMessage: { type: 'EPHEMERAL_SETTING', ephemeralExpiration: 604800 } }
+            }]
+        });
+        receive(['SYSTEM0002', 'halo', chat]);
+        await waitUntil(() => repliesTo(chat).length === 1);
+
+        assert.deepEqual(autoResponder.listHits({ ruleId: 'system' }).map(hit => hit.messageId), ['SYSTEM0002']);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempEnvironment, removeTempEnvironment, waitUntil } = require('./helpers/environment');
+const { startFakeSession, stopSessions } = require('./helpers/gateway');
+
+describe('broadcasts', () => {
+    let tempDir;
+    let sock;
+    let broadcasts;
+    const sends = [];
+
+    before(async () => {
+        tempDir = useTempEnvironment({ QUEUE_POLL_INTERVAL_MS: '50' });
+        broadcasts = require('../src/broadcasts');
+        ({ sock } = await startFakeSession());
+        sock.open();
+
+        // The first send is slow, like a media upload
+        const sendMessage = sock.sendMessage;
+        sock.sendMessage = async (...args) => {
+            const send = { startedAt: Date.now() };
+            sends.push(send);
+            if (sends.length === 1) await new Promise(resolve => setTimeout(resolve, 400));
+            const result = await sendMessage(...args);
+            send.endedAt = Date.now();
+            return result;
+        };
+        require('../src/outboundQueue').startQueue();
+    });
+
+    after(() => {
+        stopSessions();
+        removeTempEnvironment(tempDir);
+    });
+
+    it('renders each recipient at send time and waits the delay after the previous send', async () => {
+        const broadcast = broadcasts.createBroadcast('default', {
+            recipients: [
+                { jid: '6281200000001@s.whatsapp.net', variables: { name: 'Budi' } },
+                { jid: '6281200000002@s.whatsapp.net', variables: { name: 'Sari' } },
+                { jid: '6281200000003@s.whatsapp.net' }
+            ],
+            content: { text: 'Halo {{name}}' },
+            minDelayMs: 300,
+            maxDelayMs: 300
+        });
+
+        const { getDb } = require('../src/db');
+        const jobs = getDb().prepare('SELECT content FROM outbound_jobs WHERE broadcast_id = ?').all(broadcast.id);
+        assert.deepEqual(jobs.map(job => JSON.parse(job.content)), [null, null, null]);
+
+        await waitUntil(() => broadcasts.getBroadcast(broadcast.id).status === 'completed', 5000);
+        assert.deepEqual(sock.sent.map(s => [s.jid, s.content.text]), [
+            ['6281200000001@s.whatsapp.net', 'Halo Budi'],
+            ['6281200000002@s.whatsapp.net', 'Halo Sari'],
+            ['6281200000003@s.whatsapp.net', 'Halo ']
+        ]);
+        for (let i = 1; i < sends.length; i++) {
+            assert.ok(sends[i].startedAt - sends[i - 1].endedAt >= 300, `send ${i} came too early`);
+        }
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempEnvironment, removeTempEnvironment } = require('./helpers/environment');
+
+const tempDir = useTempEnvironment({ INCLUDE_RAW_MESSAGE: 'false', VALIDATE_EVENTS: 'true' });
+const { createEnvelope } = require('../src/events');
+const { SCHEMA_VERSION, validateEvent } = require('../src/eventSchemas');
+const { normalizeMessage } = require('../src/messageNormalizer');
+
+after(() => removeTempEnvironment(tempDir));
+
+const message = normalizeMessage({
+    key: { remoteJid: '6281234567890@s.whatsapp.net', fromMe: false, id: 'ENVELOPE0001' },
+    messageTimestamp: 1718000000,
+    message: { conversation: 'Halo' }
+});
+
+/**
+ * Collect what is logged with console.error while a function runs
+ * @param {Function} fn - Function to run
+ * @returns {Array<string>}
+ */
+function captureErrors(fn) {
+    const original = console.error;
+    const lines = [];
+    console.error = (...args) => lines.push(args.join(' '));
+    try {
+        fn();
+    } finally {
+        console.error = original;
+    }
+    return lines;
+}
+
+describe('createEnvelope', () => {
+    it('wraps the payload with schemaVersion and an increasing eventId', () => {
+        const first = createEnvelope('default', 'message.received', message);
+        const second = createEnvelope('default', 'message.received', message);
+
+        assert.equal(first.schemaVersion, SCHEMA_VERSION);
+        assert.equal(first.event, 'message.received');
+        assert.equal(first.sessionId, 'default');
+        assert.ok(BigInt(second.eventId) > BigInt(first.eventId));
+        assert.deepEqual(validateEvent(first), []);
+    });
+
+    it('leaves rawMessage out with INCLUDE_RAW_MESSAGE=false', () => {
+        const envelope = createEnvelope('default', 'message.received', message);
+        assert.equal('rawMessage' in envelope.data, false);
+        assert.deepEqual(message.rawMessage, { conversation: 'Halo' });
+    });
+
+    it('logs payloads that do not match their schema with VALIDATE_EVENTS', () => {
+        const valid = captureErrors(() => createEnvelope('default', 'message.status', {
+            messageId: '3EB0SENT000000000001',
+            jid: '6281234567890@s.whatsapp.net',
+            status: 'read',
+            participant: null,
+            participantJid: null,
+            at: 1718000000000
+        }));
+        assert.deepEqual(valid, []);
+
+        const invalid = captureErrors(() => createEnvelope('default', 'message.status', { messageId: 42, status: 'seen' }));
+        assert.equal(invalid.length, 1);
+        assert.match(invalid[0], /message\.status payload does not match its schema/);
+        assert.match(invalid[0], /\/data\/status/);
+    });
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The test runner reads results from the stdout of each test file, keep the gateway's logs on stderr
+console.log = console.error;
+console.info = console.error;
+console.warn = console.error;
+
+/**
+ * Point the gateway at a fresh temporary folder and a predictable configuration
+ * Must run before anything from src/ is required, config.js reads the environment once
+ * Values set here win over a developer's .env (dotenv never overrides existing variables)
+ * @param {Object} env - Extra or overridden environment variables
+ * @returns {string} - Temporary folder, removed by removeTempEnvironment
+ */
+function useTempEnvironment(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-api-test-'));
+
+    Object.assign(process.env, {
+        DATA_DIR: path.join(dir, 'data'),
+        MEDIA_DIR: path.join(dir, 'data', 'media'),
+        SESSION_PATH: path.join(dir, 'auth_info_baileys'),
+        SESSIONS_DIR: path.join(dir, 'sessions'),
+        DEFAULT_SESSION_ID: 'default',
+        AUTH_STORE: 'memory',
+        WEBHOOK_URL: '',
+        WEBHOOK_SECRET: '',
+        API_KEYS: '',
+        PUBLIC_URL: '',
+        DEFAULT_COUNTRY_CODE: '62',
+        // Fixtures point at no real media, keep them from being downloaded
+        INBOUND_MEDIA_MAX_BYTES: '1',
+        QUEUE_GLOBAL_RATE_PER_MIN: '60000',
+        QUEUE_PER_JID_RATE_PER_MIN: '60000',
+        QUEUE_WAIT_TIMEOUT_MS: '5000',
+        CALL_AUTO_REJECT: 'false',
+        ...env
+    });
+    return dir;
+}
+
+/**
+ * Remove a folder created by useTempEnvironment
+ * @param {string} dir - Temporary folder
+ */
+function removeTempEnvironment(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Returns a truthy value once the condition holds
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<*>} - The truthy value
+ */
+async function waitUntil(check, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const value = await check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Condition not met within ${timeoutMs} ms`);
+}
+
+module.exports = {
+    useTempEnvironment,
+    removeTempEnvironment,
+    waitUntil
+};
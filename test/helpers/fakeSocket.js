@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { proto } = require('@whiskeysockets/baileys');
+
+// Phone number the fake socket is logged in with
+const GATEWAY_PHONE = '6281100000000';
+
+/**
+ * Turn send content into the message Baileys would echo back
+ * @param {Object} content - sendMessage content
+ * @returns {Object} - Message
+ */
+function messageFromContent(content) {
+    if (content.text !== undefined) return { extendedTextMessage: { text: content.text } };
+    if (content.react) return { reactionMessage: { key: content.react.key, text: content.react.text } };
+    if (content.poll) {
+        return {
+            // Votes are encrypted with this secret, like Baileys' generateWAMessageContent
+            messageContextInfo: { messageSecret: crypto.randomBytes(32) },
+            pollCreationMessage: {
+                name: content.poll.name,
+                selectableOptionsCount: content.poll.selectableCount,
+                options: content.poll.values.map(optionName => ({ optionName }))
+            }
+        };
+    }
+    return {};
+}
+
+/**
+ * Encrypt a vote the way the voter's phone does, the counterpart of Baileys' decryptPollVote
+ * @param {Object} vote - { pollMsgId, pollCreatorJid, voterJid, pollEncKey: messageSecret of the poll, options: chosen option names }
+ * @returns {{ encPayload: Buffer, encIv: Buffer }}
+ */
+function encryptPollVote({ pollMsgId, pollCreatorJid, voterJid, pollEncKey, options }) {
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+    const sign = Buffer.concat([Buffer.from(pollMsgId), Buffer.from(pollCreatorJid), Buffer.from(voterJid), Buffer.from('Poll Vote'), Buffer.from([1])]);
+    const key = hmac(hmac(Buffer.alloc(32), pollEncKey), sign);
+
+    const plaintext = proto.Message.PollVoteMessage.encode({
+        selectedOptions: options.map(name => crypto.createHash('sha256').update(name).digest())
+    }).finish();
+
+    const encIv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, encIv);
+    cipher.setAAD(Buffer.from(`${pollMsgId}\u0000${voterJid}`));
+    const encPayload = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    return { encPayload, encIv };
+}
+
+/**
+ * A stand-in for the Baileys socket: the same event emitter interface, with the network calls
+ * the gateway makes recorded instead of sent
+ * @param {Object} options - { registered: phone numbers onWhatsApp reports as registered, lidMappings: { lid: phone } for the signal repository }
+ * @returns {Object} - Fake socket
+ */
+function createFakeSocket({ registered = [], lidMappings = {} } = {}) {
+    const registeredNumbers = new Set(registered);
+    let nextId = 1;
+
+    const sock = {
+        ev: new EventEmitter(),
+        user: null,
+        sent: [], // { jid, content, options } of every sendMessage call
+        registered: registeredNumbers, // Add to it to register a number later
+        loggedOut: false,
+        ended: false,
+
+        async sendMessage(jid, content, options) {
+            sock.sent.push({ jid, content, options });
+            return {
+                key: { remoteJid: jid, fromMe: true, id: `3EB0FAKE${String(nextId++).padStart(8, '0')}` },
+                message: messageFromContent(content),
+                messageTimestamp: Math.floor(Date.now() / 1000),
+                status: 1
+            };
+        },
+
+        async onWhatsApp(...jids) {
+            return jids
+                .filter(jid => registeredNumbers.has(jid.split('@')[0]))
+                .map(jid => ({ jid, exists: true }));
+        },
+
+        signalRepository: {
+            lidMapping: {
+                async getPNForLID(lidJid) {
+                    const phone = lidMappings[lidJid.split('@')[0]];
+                    return phone ? `${phone}@s.whatsapp.net` : null;
+                },
+                async getLIDForPN(phoneJid) {
+                    const phone = phoneJid.split('@')[0];
+                    const lid = Object.keys(lidMappings).find(key => lidMappings[key] === phone);
+                    return lid ? `${lid}@lid` : null;
+                }
+            }
+        },
+
+        async logout() {
+            sock.loggedOut = true;
+        },
+
+        // Baileys reports its own end as a close, with the error it was ended with
+        end(error) {
+            if (sock.ended) return;
+            sock.ended = true;
+            sock.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error, date: new Date() } });
+        },
+
+        /**
+         * Finish the login like Baileys does once the QR is scanned
+         * @param {Object} user - Logged in account
+         */
+        open(user = { id: `${GATEWAY_PHONE}:1@s.whatsapp.net`, name: 'Gateway' }) {
+            sock.user = user;
+            sock.ev.emit('connection.update', { connection: 'open' });
+        },
+
+        /**
+         * Deliver messages the way Baileys reports them
+         * @param {Object} upsert - { type: 'notify' | 'append', messages: [...] }
+         */
+        upsert(upsert) {
+            sock.ev.emit('messages.upsert', upsert);
+        }
+    };
+
+    return sock;
+}
+
+module.exports = {
+    GATEWAY_PHONE,
+    createFakeSocket,
+    encryptPollVote
+};
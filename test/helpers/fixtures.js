@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'messages-upsert');
+
+/**
+ * Load the recorded messages.upsert fixtures
+ * Each file holds { description, event?, upsert: { type, messages }, expected }, expected describes messages[0]
+ * event is the webhook event the message goes out as, message.received when missing
+ * and null when the message is not delivered itself (encrypted poll votes go out as poll.vote, system frames are dropped)
+ * @returns {Array<Object>} - Fixtures with their file name (without .json) as name
+ */
+function loadMessageFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => ({
+            name: file.slice(0, -'.json'.length),
+            ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf-8'))
+        }));
+}
+
+/**
+ * Check the fields a fixture expects, other fields of the payload are not compared
+ * @param {Object} actual - Normalized message
+ * @param {Object} expected - Expected fields
+ */
+function assertPayloadMatches(actual, expected) {
+    for (const [field, value] of Object.entries(expected)) {
+        assert.deepEqual(actual[field], value, `Unexpected ${field}`);
+    }
+}
+
+module.exports = {
+    loadMessageFixtures,
+    assertPayloadMatches
+};
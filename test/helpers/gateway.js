@@ -0,0 +1,55 @@
+const express = require('express');
+const { createFakeSocket } = require('./fakeSocket');
+
+// src/ modules are required inside the helpers, after useTempEnvironment has set the environment
+
+/**
+ * Start a session whose sockets are fake sockets
+ * Every (re)connect creates a new fake socket, the latest one is sockets[sockets.length - 1]
+ * @param {string} id - Session ID
+ * @param {Object} options - Passed to createFakeSocket
+ * @returns {Promise<{ session: Object, sock: Object, sockets: Array<Object> }>}
+ */
+async function startFakeSession(id = 'default', options = {}) {
+    const { setSocketFactory } = require('../../src/whatsapp');
+    const { createSession } = require('../../src/sessions');
+
+    const sockets = [];
+    setSocketFactory(async () => {
+        const sock = createFakeSocket(options);
+        sockets.push(sock);
+        return sock;
+    });
+
+    const session = await createSession(id);
+    return { session, sock: sockets[sockets.length - 1], sockets };
+}
+
+/**
+ * Stop every session started by a test so no reconnect timer keeps the process alive
+ */
+function stopSessions() {
+    const { getSession, listSessions } = require('../../src/sessions');
+    const { disconnectFromWhatsApp } = require('../../src/whatsapp');
+
+    for (const { id } of listSessions()) {
+        disconnectFromWhatsApp(getSession(id));
+    }
+}
+
+/**
+ * Express app serving the API router like index.js does
+ * @returns {express.Application}
+ */
+function createTestApp() {
+    const app = express();
+    app.use('/api', require('../../src/api'));
+    app.use('/api', require('../../src/apiErrors').handleApiError);
+    return app;
+}
+
+module.exports = {
+    startFakeSession,
+    stopSessions,
+    createTestApp
+};
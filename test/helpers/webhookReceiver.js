@@ -0,0 +1,53 @@
+const http = require('http');
+const { waitUntil } = require('./environment');
+
+/**
+ * Local HTTP server standing in for a webhook consumer, it records every delivery
+ * @param {Object} options - { status: HTTP status to answer with, or (index of the delivery) => status; delayMs: wait this long before answering }
+ * @returns {Promise<Object>} - { url, deliveries, waitForEvent, close }
+ */
+function startWebhookReceiver({ status = 200, delayMs = 0 } = {}) {
+    const deliveries = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf-8');
+            const code = typeof status === 'function' ? status(deliveries.length) : status;
+            deliveries.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+            setTimeout(() => {
+                res.writeHead(code, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ ok: code < 300 }));
+            }, delayMs);
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/webhook`,
+                deliveries,
+
+                /**
+                 * Wait for a delivery of an event
+                 * @param {string} event - Event name
+                 * @param {Function} match - (data) => boolean, picks the delivery among events of that name
+                 * @returns {Promise<Object>} - { headers, raw, body }
+                 */
+                waitForEvent(event, match = () => true) {
+                    return waitUntil(() => deliveries.find(d => d.body.event === event && match(d.body.data)));
+                },
+
+                close() {
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+module.exports = {
+    startWebhookReceiver
+};
@@ -0,0 +1,140 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempEnvironment, removeTempEnvironment, waitUntil } = require('./helpers/environment');
+
+const tempDir = useTempEnvironment();
+const { createMultiFileAuthStore, useAuthState } = require('../src/authState');
+const {
+    createLidCache, loadLidMappings, rememberLidMapping, lookupPhoneByLid, lookupLidByPhone,
+    learnFromAuthKeys, fetchMappingFromAuthState, getMappingByLid, getMappingByPhone
+} = require('../src/lidStore');
+const { normalizeMessage, extractPhoneNumber, resolvePhoneNumberToLid } = require('../src/messageNormalizer');
+
+after(() => removeTempEnvironment(tempDir));
+
+/**
+ * Create a mapping folder laid out like Baileys' multi-file auth state
+ * @param {string} name - Folder name
+ * @param {Object} files - File name -> JSON value
+ * @returns {string} - Folder path
+ */
+function createMappingDir(name, files = {}) {
+    const dir = path.join(tempDir, name);
+    fs.mkdirSync(dir, { recursive: true });
+    for (const [file, value] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(value));
+    }
+    return dir;
+}
+
+/**
+ * LID cache of a session whose auth state lives in a mapping folder
+ * @param {string} sessionId - Session ID
+ * @param {string} dir - Mapping folder
+ * @returns {Object}
+ */
+function createCache(sessionId, dir) {
+    return createLidCache(sessionId, createMultiFileAuthStore(sessionId, dir));
+}
+
+describe('LID resolution from the auth state folder', () => {
+    const dir = createMappingDir('auth-a', {
+        // lid-mapping-<phone>.json holds the LID, lid-mapping-<lid>_reverse.json the phone number
+        'lid-mapping-6281234560001.json': '300000000000001',
+        'lid-mapping-300000000000002_reverse.json': '6281234560002',
+        'creds.json': { registered: true }
+    });
+    const lidCache = createCache('lid-a', dir);
+
+    it('imports both mapping directions when the mappings are loaded', async () => {
+        loadLidMappings(lidCache);
+        await waitUntil(() => lookupPhoneByLid(lidCache, '300000000000002'));
+
+        assert.equal(extractPhoneNumber('300000000000001@lid', null, lidCache), '6281234560001');
+        assert.equal(extractPhoneNumber('300000000000002@lid', null, lidCache), '6281234560002');
+        assert.equal(resolvePhoneNumberToLid('6281234560001', lidCache), '300000000000001');
+        assert.equal(getMappingByLid('lid-a', '300000000000001').source, 'auth-state');
+    });
+
+    it('finds mapping files written after the mappings were loaded', async () => {
+        fs.writeFileSync(path.join(dir, 'lid-mapping-300000000000003_reverse.json'), JSON.stringify('6281234560003'));
+        assert.equal(extractPhoneNumber('300000000000003@lid', null, lidCache), null);
+
+        assert.equal(await fetchMappingFromAuthState(lidCache, '300000000000003@lid'), true);
+        assert.equal(extractPhoneNumber('300000000000003@lid', null, lidCache), '6281234560003');
+    });
+
+    it('looks up a LID by phone number', async () => {
+        fs.writeFileSync(path.join(dir, 'lid-mapping-6281234560004.json'), JSON.stringify('300000000000004'));
+
+        assert.equal(await fetchMappingFromAuthState(lidCache, '6281234560004@s.whatsapp.net'), true);
+        assert.equal(resolvePhoneNumberToLid('6281234560004', lidCache), '300000000000004');
+    });
+
+    it('leaves a LID without a mapping file unresolved', async () => {
+        assert.equal(await fetchMappingFromAuthState(lidCache, '399999999999999@lid'), false);
+
+        const normalized = normalizeMessage({
+            key: { remoteJid: '399999999999999@lid', fromMe: false, id: 'UNRESOLVED0001' },
+            message: { conversation: 'Halo' }
+        }, null, lidCache);
+        assert.equal(normalized.from, null);
+        assert.equal(normalized.fromJid, null);
+        assert.equal(normalized.fromLid, '399999999999999');
+        assert.equal(normalized.senderUnresolved, true);
+    });
+});
+
+describe('LID resolution per session', () => {
+    it('does not resolve mappings of another session', async () => {
+        createMappingDir('auth-b', { 'lid-mapping-300000000000010_reverse.json': '6281234560010' });
+        const own = createCache('lid-b', path.join(tempDir, 'auth-b'));
+        const other = createCache('lid-c', createMappingDir('auth-c'));
+
+        loadLidMappings(own);
+        loadLidMappings(other);
+        await waitUntil(() => lookupPhoneByLid(own, '300000000000010'));
+
+        assert.equal(extractPhoneNumber('300000000000010@lid', null, other), null);
+        assert.equal(await fetchMappingFromAuthState(other, '300000000000010@lid'), false);
+    });
+
+    it('learns the mappings Baileys writes through the auth state', async () => {
+        const dir = createMappingDir('auth-d');
+        const lidCache = createCache('lid-d', dir);
+        const { state } = await useAuthState(lidCache.authStore, data => learnFromAuthKeys(lidCache, data));
+
+        await state.keys.set({ 'lid-mapping': { '6281234560020': '300000000000020', '300000000000020_reverse': '6281234560020' } });
+
+        assert.ok(fs.existsSync(path.join(dir, 'lid-mapping-300000000000020_reverse.json')));
+        assert.equal(extractPhoneNumber('300000000000020@lid', null, lidCache), '6281234560020');
+    });
+});
+
+describe('LID rebinding', () => {
+    it('forgets the old counterpart when a LID or phone number is bound to something else', () => {
+        const lidCache = createLidCache('lid-rebind', null);
+        loadLidMappings(lidCache);
+
+        rememberLidMapping(lidCache, '300000000000030@lid', '6281234560030@s.whatsapp.net', 'message');
+        // The LID moves to another phone number, then the first phone number gets a new LID
+        rememberLidMapping(lidCache, '300000000000030@lid', '6281234560031@s.whatsapp.net', 'message');
+        rememberLidMapping(lidCache, '300000000000031@lid', '6281234560031@s.whatsapp.net', 'message');
+
+        assert.equal(lookupLidByPhone(lidCache, '6281234560030'), null);
+        assert.equal(lookupPhoneByLid(lidCache, '300000000000030'), null);
+        assert.equal(lookupPhoneByLid(lidCache, '300000000000031'), '6281234560031');
+        assert.equal(lookupLidByPhone(lidCache, '6281234560031'), '300000000000031');
+
+        assert.equal(getMappingByLid('lid-rebind', '300000000000030'), null);
+        assert.equal(getMappingByPhone('lid-rebind', '6281234560030'), null);
+        assert.equal(getMappingByPhone('lid-rebind', '6281234560031').lid, '300000000000031');
+
+        // A restart loads the same view from the database
+        const reloaded = createLidCache('lid-rebind', null);
+        loadLidMappings(reloaded);
+        assert.deepEqual(Array.from(reloaded.lidToPhoneCache), [['300000000000031', '6281234560031']]);
+    });
+});
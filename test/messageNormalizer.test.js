@@ -0,0 +1,72 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempEnvironment, removeTempEnvironment } = require('./helpers/environment');
+const { loadMessageFixtures, assertPayloadMatches } = require('./helpers/fixtures');
+
+const tempDir = useTempEnvironment();
+const { normalizeMessage, extractPhoneNumber, normalizeToWhatsAppJid } = require('../src/messageNormalizer');
+const { createLidCache, learnFromMessageKey, rememberLidMapping } = require('../src/lidStore');
+
+after(() => removeTempEnvironment(tempDir));
+
+describe('normalizeMessage', () => {
+    for (const fixture of loadMessageFixtures()) {
+        it(`maps ${fixture.name}: ${fixture.description}`, () => {
+            const lidCache = createLidCache(`normalizer-${fixture.name}`, null);
+            const [msg] = fixture.upsert.messages;
+
+            // Same order as the messages.upsert handler: learn from the key, then normalize
+            learnFromMessageKey(lidCache, msg.key);
+            const normalized = normalizeMessage(msg, null, lidCache);
+
+            assertPayloadMatches(normalized, fixture.expected);
+            assert.equal(normalized.messageId, msg.key.id);
+            assert.deepEqual(normalized.rawMessage, msg.message);
+        });
+    }
+
+    it('reports a message without content as unknown', () => {
+        const normalized = normalizeMessage({ key: { remoteJid: '6281234567890@s.whatsapp.net', id: 'EMPTY' } });
+        assert.equal(normalized.messageType, 'unknown');
+        assert.deepEqual(normalized.rawMessage, {});
+    });
+});
+
+describe('extractPhoneNumber', () => {
+    const lidCache = createLidCache('extract', null);
+    rememberLidMapping(lidCache, '200000000000001@lid', '6281355550001@s.whatsapp.net', 'test');
+
+    it('strips the user JID suffix', () => {
+        assert.equal(extractPhoneNumber('6281234567890@s.whatsapp.net'), '6281234567890');
+    });
+
+    it('returns the creator part of a group JID', () => {
+        assert.equal(extractPhoneNumber('6281234567890-1600000000@g.us'), '6281234567890');
+    });
+
+    it('resolves a known LID and never returns an unknown LID as a phone number', () => {
+        assert.equal(extractPhoneNumber('200000000000001@lid', null, lidCache), '6281355550001');
+        assert.equal(extractPhoneNumber('200000000000002@lid', null, lidCache), null);
+        assert.equal(extractPhoneNumber('200000000000001@lid'), null);
+    });
+
+    it('returns null for empty input', () => {
+        assert.equal(extractPhoneNumber(null), null);
+        assert.equal(extractPhoneNumber(''), null);
+    });
+});
+
+describe('normalizeToWhatsAppJid', () => {
+    const lidCache = createLidCache('normalize-jid', null);
+    rememberLidMapping(lidCache, '200000000000003', '6281355550003', 'test');
+
+    it('keeps user and group JIDs', () => {
+        assert.equal(normalizeToWhatsAppJid('6281234567890@s.whatsapp.net'), '6281234567890@s.whatsapp.net');
+        assert.equal(normalizeToWhatsAppJid('120363025246125486@g.us'), '120363025246125486@g.us');
+    });
+
+    it('turns a known LID into the phone number JID', () => {
+        assert.equal(normalizeToWhatsAppJid('200000000000003@lid', null, lidCache), '6281355550003@s.whatsapp.net');
+        assert.equal(normalizeToWhatsAppJid('200000000000004@lid', null, lidCache), null);
+    });
+});
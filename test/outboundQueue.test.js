@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempEnvironment, removeTempEnvironment, waitUntil } = require('./helpers/environment');
+const { startFakeSession, stopSessions } = require('./helpers/gateway');
+
+describe('outbound queue', () => {
+    let tempDir;
+    let queue;
+    const sockets = {};
+
+    before(async () => {
+        // One message per minute per chat, so a backlog to one chat stays queued during the test
+        tempDir = useTempEnvironment({ QUEUE_PER_JID_RATE_PER_MIN: '1' });
+        queue = require('../src/outboundQueue');
+        for (const id of ['toko-a', 'toko-b', 'toko-c']) {
+            ({ sock: sockets[id] } = await startFakeSession(id));
+        }
+        sockets['toko-a'].open();
+        sockets['toko-b'].open();
+    });
+
+    after(() => {
+        stopSessions();
+        removeTempEnvironment(tempDir);
+    });
+
+    it('sends for other sessions while one session has a large backlog', async () => {
+        for (let i = 0; i < 600; i++) {
+            queue.enqueueMessage('toko-a', '6281200000000@s.whatsapp.net', { text: `Pesan ${i}` });
+        }
+        const job = queue.enqueueMessage('toko-b', '6281300000000@s.whatsapp.net', { text: 'Halo' });
+
+        const outcome = await queue.waitForJob(job.id, 3000);
+        assert.equal(outcome && outcome.job.status, 'sent');
+        assert.equal(sockets['toko-a'].sent.length, 1);
+    });
+
+    it('fails the jobs of a session that waits for a login', async () => {
+        sockets['toko-c'].ev.emit('connection.update', { qr: 'qr-code' });
+        const job = queue.enqueueMessage('toko-c', '6281200000000@s.whatsapp.net', { text: 'Halo' });
+
+        const failed = await waitUntil(() => {
+            const current = queue.getJob(job.id);
+            return current.status === 'failed' && current;
+        });
+        assert.match(failed.error, /logged out/);
+        assert.equal(sockets['toko-c'].sent.length, 0);
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useTempEnvironment, removeTempEnvironment, waitUntil } = require('./helpers/environment');
+const { loadMessageFixtures, assertPayloadMatches } = require('./helpers/fixtures');
+const { startWebhookReceiver } = require('./helpers/webhookReceiver');
+const { startFakeSession, stopSessions } = require('./helpers/gateway');
+const { SCHEMA_VERSION, validateEvent } = require('../src/eventSchemas');
+
+const WEBHOOK_SECRET = 'test-secret';
+
+describe('messages.upsert to webhook', () => {
+    let receiver;
+    let tempDir;
+    let sock;
+
+    before(async () => {
+        receiver = await startWebhookReceiver();
+        tempDir = useTempEnvironment({ WEBHOOK_URL: receiver.url, WEBHOOK_SECRET });
+        ({ sock } = await startFakeSession());
+        sock.open();
+    });
+
+    after(async () => {
+        try {
+            stopSessions();
+            // Let the "closed" event reach the receiver, a failed delivery would be retried in the background
+            await waitUntil(() => receiver.deliveries.find(d => d.body.sessionId === 'default' && d.body.data.status === 'closed'));
+        } finally {
+            await receiver.close();
+            removeTempEnvironment(tempDir);
+        }
+    });
+
+    /**
+     * Send a text message and wait for its delivery, everything published earlier has been delivered by then
+     * @param {string} id - Message ID
+     */
+    async function flush(id) {
+        sock.upsert({
+            type: 'notify',
+            messages: [{ key: { remoteJid: '6281200000000@s.whatsapp.net', fromMe: false, id }, messageTimestamp: 1718000000, message: { conversation: 'flush' } }]
+        });
+        await receiver.waitForEvent('message.received', data => data.messageId === id);
+    }
+
+    it('publishes connection.update when the socket opens', async () => {
+        const { body } = await receiver.waitForEvent('connection.update', data => data.status === 'connected');
+        assert.equal(body.sessionId, 'default');
+        assert.deepEqual(body.data.user, { id: '6281100000000:1@s.whatsapp.net', name: 'Gateway' });
+    });
+
+    for (const fixture of loadMessageFixtures().filter(f => f.event !== null)) {
+        const event = fixture.event || 'message.received';
+
+        it(`delivers ${fixture.name} as ${event}`, async () => {
+            const [msg] = fixture.upsert.messages;
+            sock.upsert(fixture.upsert);
+
+            const delivery = await receiver.waitForEvent(event, data => data.messageId === msg.key.id);
+            assert.equal(delivery.body.sessionId, 'default');
+            assert.equal(delivery.body.schemaVersion, SCHEMA_VERSION);
+            assert.deepEqual(validateEvent(delivery.body), []);
+            assertPayloadMatches(delivery.body.data, fixture.expected);
+
+            if (fixture.expected.hasMedia) {
+                // Over INBOUND_MEDIA_MAX_BYTES, so only the reference is kept for an on-demand download
+                assert.equal(delivery.body.data.mediaStored, false);
+                assert.equal(delivery.body.data.localMediaUrl, `/api/media/${msg.key.id}`);
+            }
+        });
+    }
+
+    it('signs deliveries with WEBHOOK_SECRET', async () => {
+        const { headers, raw } = receiver.deliveries.find(d => d.body.event === 'message.received');
+        const expected = crypto.createHmac('sha256', WEBHOOK_SECRET)
+            .update(`${headers['x-webhook-timestamp']}.${raw}`)
+            .digest('hex');
+        assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+        assert.ok(headers['x-webhook-delivery-id']);
+    });
+
+    it('gives every event its own eventId and matches the published schemas', () => {
+        const eventIds = receiver.deliveries.map(d => d.body.eventId);
+        assert.equal(new Set(eventIds).size, eventIds.length);
+        for (const { body } of receiver.deliveries) {
+            assert.deepEqual(validateEvent(body), [], `${body.event} ${body.eventId}`);
+        }
+    });
+
+    it('does not deliver own messages, history syncs or duplicates', async () => {
+        const [text] = loadMessageFixtures().find(f => f.name === 'text-conversation').upsert.messages;
+
+        sock.upsert({ type: 'notify', messages: [{ ...text, key: { ...text.key, id: 'OWN0001', fromMe: true } }] });
+        sock.upsert({ type: 'append', messages: [{ ...text, key: { ...text.key, id: 'HISTORY0001' } }] });
+        sock.upsert({ type: 'notify', messages: [text] });
+        await flush('FLUSH0001');
+
+        const received = receiver.deliveries.filter(d => d.body.event === 'message.received').map(d => d.body.data.messageId);
+        assert.ok(!received.includes('OWN0001'));
+        assert.ok(!received.includes('HISTORY0001'));
+        assert.equal(received.filter(id => id === text.key.id).length, 1);
+    });
+
+    it('does not deliver system frames or encrypted poll votes as messages', async () => {
+        const ignored = loadMessageFixtures().filter(f => f.event === null);
+        for (const fixture of ignored) {
+            sock.upsert(fixture.upsert);
+        }
+        await flush('FLUSH0003');
+
+        const received = receiver.deliveries.filter(d => d.body.event === 'message.received').map(d => d.body.data.messageId);
+        for (const fixture of ignored) {
+            assert.ok(!received.includes(fixture.upsert.messages[0].key.id), `${fixture.name} was delivered`);
+        }
+    });
+
+    it('reports a stopped session as closed once, with the disconnect time', async () => {
+        const { disconnectFromWhatsApp } = require('../src/whatsapp');
+        const { session, sock: second } = await startFakeSession('second');
+        second.open();
+
+        disconnectFromWhatsApp(session);
+        assert.equal(session.status, 'closed');
+        assert.equal(typeof session.lastDisconnectedAt, 'number');
+        await flush('FLUSH0002');
+
+        const closed = receiver.deliveries.filter(d => d.body.sessionId === 'second' && d.body.data.status === 'closed');
+        assert.equal(closed.length, 1);
+    });
+});
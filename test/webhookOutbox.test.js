@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempEnvironment, removeTempEnvironment, waitUntil } = require('./helpers/environment');
+const { startWebhookReceiver } = require('./helpers/webhookReceiver');
+
+describe('webhook outbox', () => {
+    let tempDir;
+    let outbox;
+    let fast;
+    let slow;
+    let failing;
+    let flaky;
+
+    before(async () => {
+        fast = await startWebhookReceiver();
+        slow = await startWebhookReceiver({ delayMs: 1000 });
+        failing = await startWebhookReceiver({ status: 500 });
+        flaky = await startWebhookReceiver({ status: index => index === 0 ? 500 : 200 });
+        tempDir = useTempEnvironment({ WEBHOOK_MAX_ATTEMPTS: '2', WEBHOOK_RETRY_BASE_MS: '200', WEBHOOK_DEAD_LETTER_MAX_ENTRIES: '2' });
+
+        // Left behind by a version that kept the outbox in a JSON file
+        fs.mkdirSync(process.env.DATA_DIR, { recursive: true });
+        fs.writeFileSync(path.join(process.env.DATA_DIR, 'webhook-outbox.json'), JSON.stringify({
+            pending: [{ id: 'legacy-1', url: fast.url, subscriptionId: null, payload: { event: 'legacy' }, attempts: 0, createdAt: 1, nextAttemptAt: 1, lastError: null }],
+            deadLetters: []
+        }));
+
+        outbox = require('../src/webhookOutbox');
+        outbox.startOutbox();
+    });
+
+    after(async () => {
+        await Promise.all([fast.close(), slow.close(), failing.close(), flaky.close()]);
+        removeTempEnvironment(tempDir);
+    });
+
+    it('imports the deliveries of the old JSON outbox', async () => {
+        await waitUntil(() => fast.deliveries.find(d => d.body.event === 'legacy'));
+        assert.equal(fs.existsSync(path.join(process.env.DATA_DIR, 'webhook-outbox.json')), false);
+    });
+
+    it('keeps delivering to other URLs while one receiver is slow', async () => {
+        outbox.enqueueWebhook(slow.url, { event: 'slow' });
+        outbox.enqueueWebhook(slow.url, { event: 'slow' });
+        outbox.enqueueWebhook(fast.url, { event: 'fast' });
+
+        await waitUntil(() => fast.deliveries.find(d => d.body.event === 'fast'), 500);
+        await waitUntil(() => outbox.getOutboxStats().pending === 0);
+        assert.equal(slow.deliveries.length, 2);
+    });
+
+    it('holds newer deliveries to a URL until the failed one is retried', async () => {
+        outbox.enqueueWebhook(flaky.url, { event: 'first' });
+        outbox.enqueueWebhook(flaky.url, { event: 'second' });
+
+        await waitUntil(() => outbox.getOutboxStats().pending === 0);
+        assert.deepEqual(flaky.deliveries.map(d => d.body.event), ['first', 'first', 'second']);
+    });
+
+    it('keeps only the newest WEBHOOK_DEAD_LETTER_MAX_ENTRIES dead letters', async () => {
+        const ids = ['a', 'b', 'c'].map(event => outbox.enqueueWebhook(failing.url, { event }));
+        await waitUntil(() => failing.deliveries.length === 6 && outbox.getOutboxStats().pending === 0);
+
+        assert.deepEqual(outbox.getOutboxStats(), { pending: 0, deadLetters: 2 });
+        assert.deepEqual(outbox.listDeadLetters().map(d => d.id), ids.slice(1));
+        assert.equal(outbox.listDeadLetters()[0].lastError, 'HTTP 500');
+    });
+
+    it('replays a dead letter with its delivery ID', async () => {
+        const [deadLetter] = outbox.listDeadLetters();
+        assert.equal(outbox.replayDeadLetter(deadLetter.id), true);
+
+        await waitUntil(() => failing.deliveries.length === 8 && outbox.getOutboxStats().pending === 0);
+        assert.equal(failing.deliveries[6].headers['x-webhook-delivery-id'], deadLetter.id);
+        assert.equal(outbox.deleteDeadLetter(deadLetter.id), true);
+        assert.equal(outbox.deleteDeadLetter(deadLetter.id), false);
+    });
+});